@@ -0,0 +1,252 @@
+// apikeys/index.js — scoped, rotatable API keys
+//
+// A key is presented as `<id>.<secret>` and stored only as a SHA-256 hash. It
+// belongs to one tenant and carries scopes; a route accepts a key only when it
+// has the route's scope, so e.g. an intake write key can no longer read caller
+// data. Any number of keys can be live at once: rotate by issuing a new key,
+// moving the client over, then revoking the old one.
+//
+// Sources, checked in this order:
+//   API_KEYS_FILE  static keys (YAML or JSON), hashes only:
+//                    keys:
+//                      - id: acme-intake-2026q4
+//                        tenant: acme
+//                        hash: sha256:<hex>          # npm run api-key -- acme-intake-2026q4
+//                        scopes: [pending:write]
+//                        expiresAt: "2027-01-01T00:00:00Z"
+//                        label: SMS intake agent
+//   api_keys       keys issued through /admin/api-keys (API_KEYS_COLLECTION)
+//   tenant tokens  legacy env tokens (READ_SECRET, ADMIN_TOKEN, a tenant's
+//                  tokens: block, ...), each with only its own role's scope.
+//                  LEGACY_TOKENS=off disables them once every client has a key.
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import YAML from "yaml";
+import { serverTimestamp } from "../storage/index.js";
+
+export const SCOPES = ["client-data:read", "contacts:read", "pending:write", "calls:write", "admin"];
+
+// Tenant token role → the one scope a legacy token of that role grants
+export const TOKEN_ROLE_SCOPES = {
+  clientData: "client-data:read",
+  read: "contacts:read",
+  write: "pending:write",
+  admin: "admin",
+  postCall: "calls:write"
+};
+
+const MANAGED_ID = /^key_[0-9a-f]{16}$/;
+const STATIC_ID = /^[A-Za-z0-9_-]{3,64}$/;
+const HASH = /^sha256:[0-9a-f]{64}$/;
+
+const CACHE_MS = (parseInt(process.env.API_KEY_CACHE_SECS, 10) || 30) * 1000;
+const CACHE_MAX = 1000;
+// lastUsedAt is written at most this often per key
+const USAGE_WRITE_MS = (parseInt(process.env.API_KEY_USAGE_INTERVAL_SECS, 10) || 60) * 1000;
+
+export function hashKey(key) {
+  return `sha256:${crypto.createHash("sha256").update(String(key)).digest("hex")}`;
+}
+
+// Both sides are fixed-length digests, so this never short-circuits on content
+function sameHash(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+export function generateKey(id = `key_${crypto.randomBytes(8).toString("hex")}`) {
+  const key = `${id}.${crypto.randomBytes(24).toString("base64url")}`;
+  return { id, key, hash: hashKey(key) };
+}
+
+const toMs = (value) => {
+  if (!value) return null;
+  const ms = typeof value.toDate === "function" ? value.toDate().getTime() : new Date(value).getTime();
+  return Number.isNaN(ms) ? null : ms;
+};
+
+function keyStatus(key, now = Date.now()) {
+  if (key.revokedAt) return "revoked";
+  const expires = toMs(key.expiresAt);
+  return expires !== null && expires <= now ? "expired" : "active";
+}
+
+function checkScopes(scopes, where) {
+  if (!Array.isArray(scopes) || scopes.length === 0) throw new Error(`${where}: scopes are required`);
+  const unknown = scopes.filter((s) => !SCOPES.includes(s));
+  if (unknown.length > 0) throw new Error(`${where}: unknown scope ${unknown.join(", ")}`);
+}
+
+function loadStaticKeys(tenants) {
+  const file = process.env.API_KEYS_FILE;
+  if (!file) return [];
+  const entries = YAML.parse(fs.readFileSync(file, "utf8"))?.keys ?? [];
+  return entries.map((entry, i) => {
+    const where = `${file}: key ${entry?.id ?? i}`;
+    if (!STATIC_ID.test(entry?.id ?? "")) throw new Error(`${where}: id must be 3-64 letters, digits, _ or -`);
+    if (!tenants.get(entry.tenant)) throw new Error(`${where}: unknown tenant ${entry.tenant}`);
+    if (!HASH.test(entry.hash ?? "")) throw new Error(`${where}: hash must be sha256:<64 hex>`);
+    checkScopes(entry.scopes, where);
+    if (entry.expiresAt && toMs(entry.expiresAt) === null) throw new Error(`${where}: invalid expiresAt`);
+    return {
+      id: entry.id,
+      tenant: entry.tenant,
+      hash: entry.hash,
+      scopes: entry.scopes,
+      label: entry.label ?? "",
+      expiresAt: entry.expiresAt ? new Date(toMs(entry.expiresAt)).toISOString() : null,
+      source: "file"
+    };
+  });
+}
+
+// Legacy tokens have no id prefix; they are named after the env var holding them
+function legacyKeys(tenants) {
+  if (process.env.LEGACY_TOKENS === "off") return [];
+  return tenants.list().flatMap((tenant) =>
+    Object.entries(tenant.tokens).flatMap(([role, tokens]) =>
+      tokens.map(({ env, secret }) => ({
+        id: `env:${env}`,
+        tenant: tenant.id,
+        hash: hashKey(secret),
+        scopes: [TOKEN_ROLE_SCOPES[role]],
+        label: `${role} token from ${env}`,
+        expiresAt: null,
+        source: "env"
+      }))
+    )
+  );
+}
+
+// Public view of a key: never the hash
+function describe(key, lastUsed) {
+  const { hash: _hash, ...rest } = key;
+  return { ...rest, lastUsedAt: lastUsed ?? key.lastUsedAt ?? null, status: keyStatus(key) };
+}
+
+/**
+ * repo: createKeyRepository(store) — managed keys
+ * tenants: createTenantRegistry(store) — tenant ids and legacy tokens
+ */
+export function createKeyRegistry({ repo, tenants }) {
+  const staticKeys = loadStaticKeys(tenants);
+  const staticById = new Map(staticKeys.map((k) => [k.id, k]));
+  const legacy = legacyKeys(tenants);
+
+  const cache = new Map(); // managed key id → { key | null, expires }
+  const lastUsed = new Map(); // key id → Date (this instance)
+  const usageWritten = new Map(); // managed key id → ms of last lastUsedAt write
+
+  async function managedKey(id) {
+    const hit = cache.get(id);
+    if (hit && hit.expires > Date.now()) return hit.key;
+    const data = await repo.get(id);
+    const key = data ? { id, ...data, source: "api" } : null;
+    if (cache.size >= CACHE_MAX) cache.delete(cache.keys().next().value);
+    cache.set(id, { key, expires: Date.now() + CACHE_MS });
+    return key;
+  }
+
+  // A presented `<id>.<secret>` is checked against that key only; anything
+  // else against every legacy token (all compared, no early exit)
+  async function candidates(token) {
+    const dot = token.indexOf(".");
+    const id = dot > 0 ? token.slice(0, dot) : "";
+    if (staticById.has(id)) return [staticById.get(id)];
+    if (MANAGED_ID.test(id)) {
+      const key = await managedKey(id);
+      if (key) return [key];
+    }
+    return legacy;
+  }
+
+  function recordUse(key) {
+    const now = new Date();
+    lastUsed.set(key.id, now);
+    if (key.source !== "api" || now - (usageWritten.get(key.id) ?? 0) < USAGE_WRITE_MS) return;
+    usageWritten.set(key.id, now.getTime());
+    // Best effort: usage tracking never fails a request
+    repo.update(key.id, { lastUsedAt: serverTimestamp() }).catch(() => {});
+  }
+
+  return {
+    /**
+     * Find the key among `presented` tokens that grants `scope` (a scope, or
+     * an array of scopes any one of which will do). Returns
+     * { ok: true, key, tenant } or { ok: false, reason, keyId? } where reason
+     * is unknown_key | key_revoked | key_expired | missing_scope.
+     */
+    async authenticate(presented, scope) {
+      const accepted = Array.isArray(scope) ? scope : [scope];
+      let failure = { ok: false, reason: "unknown_key" };
+      for (const token of presented) {
+        const digest = hashKey(token);
+        const matches = (await candidates(token)).filter((k) => sameHash(k.hash, digest));
+        if (matches.length === 0) continue;
+
+        // One legacy value can back several roles; prefer a usable key with the scope
+        const usable = matches.filter((k) => keyStatus(k) === "active");
+        const key = usable.find((k) => k.scopes.some((s) => accepted.includes(s)));
+        if (key) {
+          recordUse(key);
+          return { ok: true, key, tenant: tenants.get(key.tenant) };
+        }
+        const [first] = usable.length > 0 ? usable : matches;
+        const status = keyStatus(first);
+        failure = { ok: false, reason: status === "active" ? "missing_scope" : `key_${status}`, keyId: first.id };
+      }
+      return failure;
+    },
+
+    async list(tenantId) {
+      const managed = (await repo.listByTenant(tenantId)).map((doc) => ({ id: doc.id, ...doc.data, source: "api" }));
+      return [...staticKeys, ...legacy, ...managed]
+        .filter((k) => k.tenant === tenantId)
+        .map((k) => describe(k, lastUsed.get(k.id)));
+    },
+
+    /**
+     * Issue a managed key. Returns { ok: true, key, record } — `key` is the
+     * only time the secret is ever visible — or { ok: false, error }.
+     */
+    async create(tenantId, { scopes, label = "", expiresAt = null } = {}, actor) {
+      if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some((s) => !SCOPES.includes(s))) {
+        return { ok: false, error: "invalid_scopes" };
+      }
+      const expires = expiresAt === null ? null : toMs(expiresAt);
+      if (expiresAt !== null && (expires === null || expires <= Date.now())) {
+        return { ok: false, error: "invalid_expires_at" };
+      }
+      if (typeof label !== "string" || label.length > 100) return { ok: false, error: "invalid_label" };
+
+      const { id, key, hash } = generateKey();
+      const record = {
+        tenant: tenantId,
+        hash,
+        scopes: [...new Set(scopes)],
+        label,
+        expiresAt: expires === null ? null : new Date(expires).toISOString(),
+        createdAt: serverTimestamp(),
+        createdBy: actor
+      };
+      await repo.create(id, record);
+      cache.delete(id);
+      return { ok: true, key, record: describe({ id, ...record, createdAt: new Date().toISOString(), source: "api" }) };
+    },
+
+    // Revocation reaches other instances within API_KEY_CACHE_SECS
+    async revoke(tenantId, id, actor) {
+      if (staticById.has(id) || legacy.some((k) => k.id === id)) return { ok: false, error: "static_key" };
+      const data = MANAGED_ID.test(id) ? await repo.get(id) : null;
+      if (!data || data.tenant !== tenantId) return { ok: false, error: "not_found" };
+      if (data.revokedAt) return { ok: false, error: "already_revoked" };
+      await repo.update(id, { revokedAt: serverTimestamp(), revokedBy: actor });
+      cache.delete(id);
+      return { ok: true };
+    },
+
+    counts: () => ({ file: staticKeys.length, env: legacy.length })
+  };
+}
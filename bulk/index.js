@@ -0,0 +1,181 @@
+// bulk/index.js — CSV / NDJSON rows in and out of contacts and pending contacts
+//
+// Import: rows are read from the request body, renamed by a column mapping
+// (?map[Mobile Phone]=phone), and for CSV coerced from text to each schema
+// field's type — booleans from true/false/yes/no/1/0, integers, arrays split
+// on ";" — before server.js validates them like a single write. Columns that
+// are not fields are ignored and reported.
+//
+// Export: documents are written one line at a time; CSV gets a header row and
+// joins arrays with "; " so the file imports back unchanged.
+
+import readline from "node:readline";
+import { readCsv, toCsvLine } from "../lib/csv.js";
+
+export const FORMATS = ["csv", "ndjson"];
+
+const MEDIA_TYPES = {
+  "text/csv": "csv",
+  "application/csv": "csv",
+  "application/x-ndjson": "ndjson",
+  "application/ndjson": "ndjson",
+  "application/jsonl": "ndjson"
+};
+
+export function contentType(format) {
+  return format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson; charset=utf-8";
+}
+
+// ?format= wins over the Content-Type (imports) or defaults to csv (exports)
+export function requestFormat(req, fallback = null) {
+  if (req.query.format !== undefined) return FORMATS.includes(req.query.format) ? req.query.format : null;
+  const media = String(req.get("Content-Type") || "").split(";")[0].trim().toLowerCase();
+  return MEDIA_TYPES[media] ?? fallback;
+}
+
+/**
+ * ?map[<column>]=<field> → { mapping } or { error }. Several columns cannot
+ * land on one field.
+ */
+export function parseMapping(query, fields) {
+  if (query === undefined) return { mapping: {} };
+  if (!query || typeof query !== "object" || Array.isArray(query)) return { error: "invalid_mapping" };
+  const targets = Object.values(query);
+  if (targets.some((field) => typeof field !== "string" || !fields.includes(field))) {
+    return { error: "invalid_mapping" };
+  }
+  if (new Set(targets).size !== targets.length) return { error: "invalid_mapping" };
+  return { mapping: query };
+}
+
+/**
+ * Rows of `input` as { row, values } — row is the record number as a
+ * spreadsheet shows it (CSV header = 1) or the NDJSON line number — or
+ * { row, error } for a line that is not a JSON object.
+ */
+export async function* readRows(input, format) {
+  if (format === "csv") {
+    let header = null;
+    let row = 0;
+    for await (const fields of readCsv(input)) {
+      row += 1;
+      if (!header) {
+        header = fields.map((h) => h.replace(/^\uFEFF/, "").trim());
+        continue;
+      }
+      yield { row, values: Object.fromEntries(header.map((name, i) => [name, (fields[i] ?? "").trim()])) };
+    }
+    return;
+  }
+  let row = 0;
+  for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+    row += 1;
+    if (!line.trim()) continue;
+    let values;
+    try {
+      values = JSON.parse(line);
+    } catch {
+      yield { row, error: "invalid_json" };
+      continue;
+    }
+    if (!values || typeof values !== "object" || Array.isArray(values)) yield { row, error: "invalid_json" };
+    else yield { row, values };
+  }
+}
+
+// Rename mapped columns; returns { values, ignored } keeping only `fields`
+export function mapRow(values, mapping, fields) {
+  const out = {};
+  const ignored = [];
+  for (const [column, value] of Object.entries(values)) {
+    const field = mapping[column] ?? column;
+    if (fields.includes(field)) out[field] = value;
+    else ignored.push(column);
+  }
+  return { values: out, ignored };
+}
+
+const TRUE = /^(true|yes|y|1)$/i;
+const FALSE = /^(false|no|n|0)$/i;
+
+/**
+ * CSV text → the types `schema` declares. Empty cells of non-string fields are
+ * dropped (not answered); values that do not convert are left as text for
+ * validation to report.
+ */
+export function coerceRow(values, schema) {
+  const out = {};
+  for (const [field, value] of Object.entries(values)) {
+    const type = schema.properties[field]?.type;
+    if (typeof value !== "string" || type === undefined || type === "string") {
+      out[field] = value;
+    } else if (type === "array") {
+      out[field] = value.split(";").map((item) => item.trim()).filter(Boolean);
+    } else if (value === "") {
+      continue;
+    } else if (type === "boolean") {
+      out[field] = TRUE.test(value) ? true : FALSE.test(value) ? false : value;
+    } else if (type === "integer" || type === "number") {
+      const n = Number(value);
+      out[field] = Number.isNaN(n) || (type === "integer" && !Number.isInteger(n)) ? value : n;
+    } else {
+      out[field] = value;
+    }
+  }
+  return out;
+}
+
+function exportValue(value) {
+  if (value && typeof value.toDate === "function") return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map((item) => (item && typeof item === "object" ? JSON.stringify(item) : item)).join("; ");
+  if (value && typeof value === "object") return JSON.stringify(value);
+  return value;
+}
+
+// Top-level timestamps → ISO strings; nested values as stored
+function exportDoc(data) {
+  return Object.fromEntries(
+    Object.entries(data).map(([k, v]) => [k, v && typeof v.toDate === "function" ? v.toDate().toISOString() : v])
+  );
+}
+
+/**
+ * Write `docs` (async iterable of { id, data }) to `res` as CSV with
+ * `columns`, or as NDJSON — whole documents, or only `columns` when the caller
+ * picked them. Nothing is sent until the first document has been read, so a
+ * failing query can still get an error response. Waits for the client to
+ * drain and stops if it goes away. Returns the number of rows written.
+ */
+export async function writeRows(res, docs, { format, columns, picked, idField }) {
+  const write = (chunk) => {
+    if (res.write(chunk)) return null;
+    return new Promise((resolve) => {
+      const done = () => {
+        res.off("drain", done);
+        res.off("close", done);
+        resolve();
+      };
+      res.once("drain", done);
+      res.once("close", done);
+    });
+  };
+  const iterator = docs[Symbol.asyncIterator]();
+  let next = await iterator.next();
+  if (format === "csv") await write(toCsvLine(columns));
+  let count = 0;
+  for (; !next.done && !res.destroyed; next = await iterator.next()) {
+    const { search: _search, ...doc } = { ...next.value.data, [idField]: next.value.id };
+    let line;
+    if (format === "csv") {
+      line = toCsvLine(columns.map((column) => exportValue(doc[column])));
+    } else {
+      const out = exportDoc(doc);
+      line = `${JSON.stringify(picked ? Object.fromEntries(columns.map((c) => [c, out[c] ?? null])) : out)}\n`;
+    }
+    await write(line);
+    count += 1;
+  }
+  if (!next.done) await iterator.return?.();
+  return count;
+}
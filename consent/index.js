@@ -0,0 +1,89 @@
+// consent/index.js — SMS consent records, STOP/START keywords and suppression
+//
+// One document per phone in the tenant's consent collection holds the current
+// state; every opt-in / opt-out is also appended to {phone}/events, so the
+// record shows when, where and under which wording consent was given or
+// withdrawn:
+//
+//   sms_consent/{phone}:        { status, suppressed, channel, source,
+//                                 wordingVersion, optedInAt, optedOutAt, ... }
+//   sms_consent/{phone}/events: { action, channel, source, wordingVersion,
+//                                 keyword, message, keyId, actor, at }
+//
+// `message` is the text the person sent, kept as evidence for keyword changes.
+//
+// A phone with no record has status "unknown": nobody asked. Only "opted_out"
+// suppresses texts, so an unknown phone is not suppressed — whether to text it
+// is for the caller to decide from the status.
+
+import { serverTimestamp } from "../storage/index.js";
+
+export const CONSENT_ACTIONS = ["opt_in", "opt_out"];
+// Where consent was given or withdrawn
+export const CONSENT_CHANNELS = ["sms", "voice", "web", "email", "paper", "other"];
+
+// Carrier-standard keywords (the same ones Twilio handles on its own). "YES"
+// is not an opt-in: it only means one in answer to a consent prompt, which
+// this service never sends.
+const KEYWORDS = {
+  opt_out: ["STOP", "STOPALL", "UNSUBSCRIBE", "CANCEL", "END", "QUIT", "REVOKE", "OPTOUT"],
+  opt_in: ["START", "UNSTOP"],
+  help: ["HELP", "INFO"]
+};
+
+/**
+ * The keyword an inbound text consists of, if any: { action, keyword } with
+ * action opt_out | opt_in | help, else null. Case, surrounding spaces and
+ * trailing punctuation are ignored; "stop texting me" is not a keyword.
+ */
+export function matchKeyword(text) {
+  const word = String(text ?? "").trim().replace(/[.!]+$/, "").toUpperCase();
+  for (const [action, words] of Object.entries(KEYWORDS)) {
+    if (words.includes(word)) return { action, keyword: word };
+  }
+  return null;
+}
+
+// Current state as callers see it; `record` is the stored document or null
+export function consentState(record) {
+  return {
+    status: record?.status ?? "unknown",
+    suppressed: record?.suppressed === true,
+    channel: record?.channel ?? "",
+    source: record?.source ?? "",
+    wordingVersion: record?.wordingVersion ?? "",
+    optedInAt: record?.optedInAt ?? null,
+    optedOutAt: record?.optedOutAt ?? null,
+    updatedAt: record?.updatedAt ?? null
+  };
+}
+
+/**
+ * Record an opt-in or opt-out for `phone` inside transaction `tx` (bound
+ * repositories). `before` is the stored record, read earlier in the same
+ * transaction. Returns the new { status, suppressed }.
+ */
+export function recordConsent(
+  tx,
+  phone,
+  before,
+  { action, channel, source, wordingVersion = "", keyword = null, message = null, keyId = null, actor = null }
+) {
+  const optedIn = action === "opt_in";
+  const record = {
+    phone,
+    status: optedIn ? "opted_in" : "opted_out",
+    suppressed: !optedIn,
+    channel,
+    source,
+    // An opt-out keeps the wording the person had agreed to
+    wordingVersion: optedIn ? wordingVersion : before?.wordingVersion ?? "",
+    optedInAt: optedIn ? serverTimestamp() : before?.optedInAt ?? null,
+    optedOutAt: optedIn ? before?.optedOutAt ?? null : serverTimestamp(),
+    createdAt: before?.createdAt ?? serverTimestamp(),
+    updatedAt: serverTimestamp()
+  };
+  tx.consent.set(phone, record);
+  tx.consent.addEvent(phone, { action, channel, source, wordingVersion, keyword, message, keyId, actor, at: serverTimestamp() });
+  return { status: record.status, suppressed: record.suppressed };
+}
@@ -0,0 +1,95 @@
+// enrichment/company.js — normalizes the `company` field for display and matching
+//
+// "ABC CONSTRUCTION, llc" →
+//   { name: "ABC Construction", legalSuffix: "LLC", entityType: "LLC",
+//     displayName: "ABC Construction LLC", matchKey: "abc construction" }
+
+// Legal suffixes, longest first so "l.l.c." wins over "co"; value is the canonical form
+const LEGAL_SUFFIXES = [
+  ["limited liability company", "LLC"],
+  ["incorporated", "Inc."],
+  ["corporation", "Corp."],
+  ["company", "Co."],
+  ["limited", "Ltd."],
+  ["l.l.c.", "LLC"],
+  ["llc", "LLC"],
+  ["inc.", "Inc."],
+  ["inc", "Inc."],
+  ["corp.", "Corp."],
+  ["corp", "Corp."],
+  ["co.", "Co."],
+  ["co", "Co."],
+  ["ltd.", "Ltd."],
+  ["ltd", "Ltd."],
+  ["lp", "LP"],
+  ["llp", "LLP"],
+  ["pc", "PC"]
+];
+
+// Canonical suffix → the businessType vocabulary used by validatePendingContact
+const ENTITY_TYPE = { LLC: "LLC", "Inc.": "INC.", "Corp.": "INC." };
+
+// Trade-name abbreviations expanded before building the match key
+const ABBREVIATIONS = {
+  "&": "and",
+  bros: "brothers",
+  const: "construction",
+  constr: "construction",
+  contr: "contracting",
+  dev: "development",
+  elec: "electric",
+  mech: "mechanical",
+  plmb: "plumbing",
+  svcs: "services",
+  svc: "service"
+};
+
+// Words kept upper-case when title-casing
+const KEEP_UPPER = new Set(["ABC", "HVAC", "USA", "LLC", "LP", "LLP", "PC", "CA", "II", "III", "IV"]);
+
+function titleWord(word) {
+  if (KEEP_UPPER.has(word.toUpperCase())) return word.toUpperCase();
+  // Short all-caps tokens are usually initials ("JR Builders", "AAA")
+  if (/^[A-Z]{2,3}$/.test(word)) return word;
+  return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+}
+
+export function normalizeCompanyName(raw) {
+  let name = String(raw || "").trim().replace(/\s+/g, " ");
+  if (!name) return null;
+
+  let legalSuffix = "";
+  const lower = name.toLowerCase().replace(/[\s,]+$/, "");
+  for (const [suffix, canonical] of LEGAL_SUFFIXES) {
+    if (lower === suffix) continue; // the whole name, not a suffix
+    if (lower.endsWith(` ${suffix}`) || lower.endsWith(`,${suffix}`)) {
+      legalSuffix = canonical;
+      name = name.slice(0, lower.length - suffix.length).replace(/[\s,]+$/, "");
+      break;
+    }
+  }
+
+  const cleaned = name.split(" ").map(titleWord).join(" ");
+  const matchKey = cleaned
+    .toLowerCase()
+    .replace(/&/g, " & ")
+    .split(/[^a-z0-9&]+/)
+    .filter(Boolean)
+    .map((w) => ABBREVIATIONS[w] || w)
+    .join(" ");
+
+  return {
+    name: cleaned,
+    legalSuffix,
+    entityType: ENTITY_TYPE[legalSuffix] || "",
+    displayName: legalSuffix ? `${cleaned} ${legalSuffix}` : cleaned,
+    matchKey
+  };
+}
+
+export const companyEnricher = {
+  name: "company",
+  version: "1",
+  stage: "normalized",
+  run: (contact) => normalizeCompanyName(contact.company)
+};
@@ -0,0 +1,97 @@
+// enrichment/index.js — ordered enricher registry for pending contact upserts
+//
+// Enrichers run at one of the two pipeline points from WEBFORM_PIPELINE.md:
+//   "normalized" — Point A, right after normalizePendingContact()
+//   "pre-write"  — Point B, on the final payload just before it is stored
+//
+// Each enricher gets a copy of the contact and returns an object (stored under
+// enrichment.<name>) or null to skip. Failures and timeouts are recorded in
+// enrichmentStatus.<name> and never stop the upsert.
+
+import { licenseEnricher } from "../licensing/index.js";
+import { companyEnricher } from "./company.js";
+import { locationEnricher } from "./location.js";
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.ENRICHMENT_TIMEOUT_MS, 10) || 1500;
+const DISABLED = new Set(
+  (process.env.ENRICHMENT_DISABLED || "").split(",").map((s) => s.trim()).filter(Boolean)
+);
+
+const registry = [];
+
+// enricher: { name, version, stage = "normalized", timeoutMs, run(contact, { signal }) }
+export function registerEnricher(enricher) {
+  if (!enricher?.name || typeof enricher.run !== "function") {
+    throw new Error("Enricher needs a name and a run(contact) function");
+  }
+  if (registry.some((e) => e.name === enricher.name)) {
+    throw new Error(`Enricher already registered: ${enricher.name}`);
+  }
+  registry.push({ stage: "normalized", version: "1", ...enricher });
+}
+
+export function listEnrichers() {
+  return registry.map(({ name, version, stage, timeoutMs }) => ({
+    name,
+    version,
+    stage,
+    timeoutMs: timeoutMs ?? DEFAULT_TIMEOUT_MS,
+    enabled: !DISABLED.has(name)
+  }));
+}
+
+async function runOne(enricher, contact) {
+  const timeoutMs = enricher.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(Object.assign(new Error(`timed out after ${timeoutMs}ms`), { code: "timeout" }));
+    }, timeoutMs);
+  });
+
+  const started = Date.now();
+  try {
+    const data = await Promise.race([
+      Promise.resolve().then(() => enricher.run(structuredClone(contact), { signal: controller.signal })),
+      timeout
+    ]);
+    const durationMs = Date.now() - started;
+    return data == null
+      ? { status: { status: "skipped", version: enricher.version, durationMs } }
+      : { data, status: { status: "ok", version: enricher.version, durationMs } };
+  } catch (err) {
+    return {
+      status: {
+        status: err.code === "timeout" ? "timeout" : "error",
+        version: enricher.version,
+        durationMs: Date.now() - started,
+        error: err.message
+      }
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Run every enabled enricher for `stage` in registration order. Later enrichers
+// see earlier results on contact.enrichment. Returns { enrichment, enrichmentStatus }.
+export async function runEnrichers(stage, contact, previous = {}) {
+  const enrichment = { ...(previous.enrichment || {}) };
+  const enrichmentStatus = { ...(previous.enrichmentStatus || {}) };
+
+  for (const enricher of registry) {
+    if (enricher.stage !== stage || DISABLED.has(enricher.name)) continue;
+    const result = await runOne(enricher, { ...contact, enrichment });
+    if (result.data !== undefined) enrichment[enricher.name] = result.data;
+    enrichmentStatus[enricher.name] = result.status;
+  }
+
+  return { enrichment, enrichmentStatus };
+}
+
+// Built-in enrichers (local reference data only, no network)
+registerEnricher(locationEnricher);
+registerEnricher(companyEnricher);
+registerEnricher(licenseEnricher);
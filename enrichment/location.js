@@ -0,0 +1,92 @@
+// enrichment/location.js — normalizes the free-text `location` field
+//
+// "123 main st, san francisco, ca 94105" →
+//   { street: "123 Main St", city: "San Francisco", state: "CA", zip: "94105",
+//     county: "San Francisco", lat: 37.77, lng: -122.42, precision: "city", ... }
+
+import { PLACES } from "./reference/places.js";
+import { STATE_CODE_BY_NAME, US_STATES } from "./reference/us-states.js";
+
+const ZIP_RE = /\b(\d{5})(?:-(\d{4}))?\s*$/;
+
+const titleCase = (s) =>
+  s.toLowerCase().replace(/\b([a-z])/g, (c) => c.toUpperCase()).replace(/\s+/g, " ").trim();
+
+function stateCode(token) {
+  const t = String(token || "").replace(/\./g, "").trim();
+  if (/^[a-z]{2}$/i.test(t) && US_STATES[t.toUpperCase()]) return t.toUpperCase();
+  return STATE_CODE_BY_NAME[t.toLowerCase()] || "";
+}
+
+function findPlace(city, state) {
+  if (!city) return null;
+  const key = city.toLowerCase();
+  const matches = PLACES.filter((p) => p.city.toLowerCase() === key && (!state || p.state === state));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+export function parseLocation(raw) {
+  let rest = String(raw || "").trim().replace(/\s+/g, " ");
+  if (!rest) return null;
+
+  let zip = "";
+  let zip4 = "";
+  const zipMatch = rest.match(ZIP_RE);
+  if (zipMatch) {
+    [, zip, zip4 = ""] = zipMatch;
+    rest = rest.slice(0, zipMatch.index).replace(/[,\s]+$/, "");
+  }
+
+  const parts = rest.split(",").map((p) => p.trim()).filter(Boolean);
+
+  // State: last comma part, or the last word(s) of it ("San Francisco CA")
+  let state = "";
+  if (parts.length) {
+    const last = parts[parts.length - 1];
+    state = stateCode(last);
+    if (state) {
+      parts.pop();
+    } else {
+      const words = last.split(" ");
+      for (const n of [2, 1]) {
+        if (words.length <= n) continue;
+        const code = stateCode(words.slice(-n).join(" "));
+        if (code) {
+          state = code;
+          parts[parts.length - 1] = words.slice(0, -n).join(" ");
+          break;
+        }
+      }
+    }
+  }
+
+  const city = parts.length ? titleCase(parts.pop()) : "";
+  const street = parts.length ? titleCase(parts.join(", ")) : "";
+  const place = findPlace(city, state);
+  const resolvedState = state || place?.state || "";
+
+  if (!city && !resolvedState && !zip) return null;
+
+  const formatted = [city, [resolvedState, zip].filter(Boolean).join(" ")].filter(Boolean).join(", ");
+  return {
+    street,
+    city,
+    state: resolvedState,
+    stateName: US_STATES[resolvedState] || "",
+    zip,
+    zip4,
+    country: resolvedState ? "US" : "",
+    county: place?.county || "",
+    lat: place?.lat ?? null,
+    lng: place?.lng ?? null,
+    precision: place ? "city" : resolvedState ? "state" : "none",
+    formatted
+  };
+}
+
+export const locationEnricher = {
+  name: "location",
+  version: "1",
+  stage: "normalized",
+  run: (contact) => parseLocation(contact.location)
+};
@@ -0,0 +1,48 @@
+// enrichment/reference/places.js — city centroids used by the location enricher
+//
+// Deliberately small: the service area (California) plus a few large metros.
+// Coordinates are city centroids rounded to 2 decimals (~1 km).
+
+export const PLACES = [
+  { city: "Los Angeles", state: "CA", county: "Los Angeles", lat: 34.05, lng: -118.24 },
+  { city: "San Diego", state: "CA", county: "San Diego", lat: 32.72, lng: -117.16 },
+  { city: "San Jose", state: "CA", county: "Santa Clara", lat: 37.34, lng: -121.89 },
+  { city: "San Francisco", state: "CA", county: "San Francisco", lat: 37.77, lng: -122.42 },
+  { city: "Fresno", state: "CA", county: "Fresno", lat: 36.74, lng: -119.79 },
+  { city: "Sacramento", state: "CA", county: "Sacramento", lat: 38.58, lng: -121.49 },
+  { city: "Long Beach", state: "CA", county: "Los Angeles", lat: 33.77, lng: -118.19 },
+  { city: "Oakland", state: "CA", county: "Alameda", lat: 37.80, lng: -122.27 },
+  { city: "Bakersfield", state: "CA", county: "Kern", lat: 35.37, lng: -119.02 },
+  { city: "Anaheim", state: "CA", county: "Orange", lat: 33.84, lng: -117.91 },
+  { city: "Santa Ana", state: "CA", county: "Orange", lat: 33.75, lng: -117.87 },
+  { city: "Riverside", state: "CA", county: "Riverside", lat: 33.95, lng: -117.40 },
+  { city: "Stockton", state: "CA", county: "San Joaquin", lat: 37.96, lng: -121.29 },
+  { city: "Irvine", state: "CA", county: "Orange", lat: 33.68, lng: -117.83 },
+  { city: "Fremont", state: "CA", county: "Alameda", lat: 37.55, lng: -121.99 },
+  { city: "San Bernardino", state: "CA", county: "San Bernardino", lat: 34.11, lng: -117.29 },
+  { city: "Modesto", state: "CA", county: "Stanislaus", lat: 37.64, lng: -121.00 },
+  { city: "Oxnard", state: "CA", county: "Ventura", lat: 34.20, lng: -119.18 },
+  { city: "Fontana", state: "CA", county: "San Bernardino", lat: 34.09, lng: -117.44 },
+  { city: "Santa Clarita", state: "CA", county: "Los Angeles", lat: 34.39, lng: -118.54 },
+  { city: "Glendale", state: "CA", county: "Los Angeles", lat: 34.14, lng: -118.25 },
+  { city: "Huntington Beach", state: "CA", county: "Orange", lat: 33.66, lng: -118.00 },
+  { city: "Santa Rosa", state: "CA", county: "Sonoma", lat: 38.44, lng: -122.71 },
+  { city: "Oceanside", state: "CA", county: "San Diego", lat: 33.20, lng: -117.38 },
+  { city: "Pasadena", state: "CA", county: "Los Angeles", lat: 34.15, lng: -118.14 },
+  { city: "Berkeley", state: "CA", county: "Alameda", lat: 37.87, lng: -122.27 },
+  { city: "Palo Alto", state: "CA", county: "Santa Clara", lat: 37.44, lng: -122.14 },
+  { city: "Santa Barbara", state: "CA", county: "Santa Barbara", lat: 34.42, lng: -119.70 },
+  { city: "Redding", state: "CA", county: "Shasta", lat: 40.59, lng: -122.39 },
+  { city: "Chico", state: "CA", county: "Butte", lat: 39.73, lng: -121.84 },
+  { city: "Phoenix", state: "AZ", county: "Maricopa", lat: 33.45, lng: -112.07 },
+  { city: "Las Vegas", state: "NV", county: "Clark", lat: 36.17, lng: -115.14 },
+  { city: "Reno", state: "NV", county: "Washoe", lat: 39.53, lng: -119.81 },
+  { city: "Portland", state: "OR", county: "Multnomah", lat: 45.52, lng: -122.68 },
+  { city: "Seattle", state: "WA", county: "King", lat: 47.61, lng: -122.33 },
+  { city: "Houston", state: "TX", county: "Harris", lat: 29.76, lng: -95.37 },
+  { city: "Dallas", state: "TX", county: "Dallas", lat: 32.78, lng: -96.80 },
+  { city: "Austin", state: "TX", county: "Travis", lat: 30.27, lng: -97.74 },
+  { city: "Denver", state: "CO", county: "Denver", lat: 39.74, lng: -104.99 },
+  { city: "New York", state: "NY", county: "New York", lat: 40.71, lng: -74.01 },
+  { city: "Chicago", state: "IL", county: "Cook", lat: 41.88, lng: -87.63 }
+];
@@ -0,0 +1,48 @@
+// greetings/catalog.js — first_message templates per language and caller state
+//
+// Placeholders are {name} / {business}; {name|there} falls back to "there"
+// when the caller has no usable name, {name|} to nothing (a space left before
+// punctuation is dropped). Values are cleaned before they are filled in (see
+// greetings/index.js), so templates never need escaping.
+//
+// Caller states:
+//   new            — no contact and no pending intake
+//   registered     — has a contact in the registry
+//   repeat_pending — not registered yet, but already has a pending contact
+//   flagged        — contact or pending contact tagged "flagged"
+
+export const GREETINGS = {
+  en: {
+    new: "Hi! I can help you get started. Are you calling about a new project or an existing one?",
+    registered: "Hi {name|there} — welcome back. How can I help today?",
+    repeat_pending: "Hi {name|there}, thanks for calling back. We're still reviewing your details for {business|your company}. What can I help with in the meantime?",
+    flagged: "Thanks for calling. How can I help you today?"
+  },
+  es: {
+    new: "¡Hola! Puedo ayudarle a empezar. ¿Llama por un proyecto nuevo o uno existente?",
+    registered: "Hola {name|}, qué gusto saludarle de nuevo. ¿En qué le puedo ayudar hoy?",
+    repeat_pending: "Hola {name|}, gracias por volver a llamar. Todavía estamos revisando los datos de {business|su empresa}. ¿En qué le puedo ayudar mientras tanto?",
+    flagged: "Gracias por llamar. ¿En qué le puedo ayudar hoy?"
+  }
+};
+
+// Language spoken in a called number's region, when the catalog has it
+export const LANGUAGE_BY_REGION = {
+  US: "en",
+  CA: "en",
+  GB: "en",
+  AU: "en",
+  MX: "es",
+  ES: "es"
+};
+
+// Free-form languageUsed values seen in intake data → catalog language
+export const LANGUAGE_ALIASES = {
+  english: "en",
+  ingles: "en",
+  inglés: "en",
+  spanish: "es",
+  espanol: "es",
+  español: "es",
+  castellano: "es"
+};
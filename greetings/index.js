@@ -0,0 +1,73 @@
+// greetings/index.js — pick the caller's language and render a first_message
+//
+// Language order: the caller's stored preference (contact.language, then
+// languageUsed on the contact or pending contact), then the called number's
+// region, then GREETING_DEFAULT_LANGUAGE. Only languages in the catalog are
+// returned, so the agent is never told to speak one we have no copy for.
+
+import { parsePhone } from "../phone/index.js";
+import { GREETINGS, LANGUAGE_ALIASES, LANGUAGE_BY_REGION } from "./catalog.js";
+
+export { GREETINGS } from "./catalog.js";
+
+export const DEFAULT_LANGUAGE = GREETINGS[process.env.GREETING_DEFAULT_LANGUAGE] ? process.env.GREETING_DEFAULT_LANGUAGE : "en";
+
+const MAX_VALUE_LENGTH = 60;
+
+// "es-MX", "ES", "Spanish", "español" → "es"; null when not in the catalog
+export function normalizeLanguage(value) {
+  if (typeof value !== "string" || !value.trim()) return null;
+  const s = value.trim().toLowerCase();
+  const code = LANGUAGE_ALIASES[s] ?? s.split(/[-_]/)[0];
+  return GREETINGS[code] ? code : null;
+}
+
+export function resolveLanguage({ contact, pending, calledNumber, defaultLanguage = DEFAULT_LANGUAGE } = {}) {
+  const stored = [contact?.language, contact?.languageUsed, pending?.languageUsed]
+    .map(normalizeLanguage)
+    .find(Boolean);
+  if (stored) return { language: stored, source: "stored" };
+
+  const region = calledNumber ? parsePhone(calledNumber).region : null;
+  const regional = normalizeLanguage(LANGUAGE_BY_REGION[region]);
+  if (regional) return { language: regional, source: "called_number" };
+
+  return { language: defaultLanguage, source: "default" };
+}
+
+const isFlagged = (doc) => !!doc && (doc.flagged === true || (Array.isArray(doc.tags) && doc.tags.includes("flagged")));
+
+export function callerState({ contact, pending } = {}) {
+  if (isFlagged(contact) || isFlagged(pending)) return "flagged";
+  if (contact) return "registered";
+  if (pending) return "repeat_pending";
+  return "new";
+}
+
+// Names come from callers and intake forms: keep letters, digits and ordinary
+// punctuation only, so a value can't inject braces, markup or prompt text.
+function cleanValue(value) {
+  if (typeof value !== "string") return "";
+  return value
+    .normalize("NFC")
+    .replace(/[^\p{L}\p{M}\p{N} .,'&-]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_VALUE_LENGTH)
+    .trim();
+}
+
+/**
+ * Render the greeting for a caller state.
+ * values: { name, business } — raw strings; cleaned before use.
+ * messages: per-language template overrides ({ es: { new: "..." } }), e.g. a tenant's.
+ */
+export function renderGreeting({ language = DEFAULT_LANGUAGE, state = "new", values = {}, messages = {} }) {
+  const catalog = { ...(GREETINGS[language] ?? GREETINGS[DEFAULT_LANGUAGE]), ...messages[language] };
+  const template = catalog[state] ?? catalog.new;
+  return template
+    .replace(/\{(\w+)(?:\|([^}]*))?\}/g, (_, key, fallback) => cleanValue(values[key]) || fallback || "")
+    .replace(/\s+([,.!?])/g, "$1")
+    .replace(/\s+/g, " ")
+    .trim();
+}
@@ -0,0 +1,72 @@
+// lib/breaker.js — deadlines and a circuit breaker for calls to a dependency
+//
+// closed     calls go through; `failures` failures in a row open the circuit
+// open       calls are refused at once (error code "circuit_open") for `cooldownMs`
+// half_open  after the cooldown one trial call goes through: success closes
+//            the circuit, failure opens it for another cooldown
+//
+// A call that misses its deadline (error code "deadline_exceeded") counts as
+// a failure. The underlying call is not cancelled; its late result is ignored.
+
+/** `promise`, or a deadline_exceeded error after `ms` (no deadline when ms is 0). */
+export function withDeadline(promise, ms) {
+  if (!ms) return promise;
+  let timer;
+  const deadline = new Promise((_resolve, reject) => {
+    timer = setTimeout(
+      () => reject(Object.assign(new Error(`deadline of ${ms}ms exceeded`), { code: "deadline_exceeded" })),
+      ms
+    );
+  });
+  return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Breaker named `name`; onChange(state, previous) is called on every
+ * transition (for logging).
+ */
+export function createCircuitBreaker({ name, failures = 5, cooldownMs = 30_000, onChange = () => {}, now = Date.now }) {
+  let state = "closed";
+  let consecutive = 0;
+  let openedAt = 0;
+  let trial = false; // a half-open trial call is in flight
+
+  const moveTo = (next) => {
+    if (next === state) return;
+    const previous = state;
+    state = next;
+    onChange(next, previous);
+  };
+
+  return {
+    get state() {
+      if (state === "open" && now() - openedAt >= cooldownMs) moveTo("half_open");
+      return state;
+    },
+
+    /** fn()'s result, or a circuit_open error without calling fn while open. */
+    async call(fn) {
+      const current = this.state;
+      if (current === "open" || (current === "half_open" && trial)) {
+        throw Object.assign(new Error(`circuit ${name} is open`), { code: "circuit_open" });
+      }
+      const isTrial = current === "half_open";
+      if (isTrial) trial = true;
+      try {
+        const result = await fn();
+        consecutive = 0;
+        moveTo("closed");
+        return result;
+      } catch (err) {
+        consecutive += 1;
+        if (isTrial || consecutive >= failures) {
+          openedAt = now();
+          moveTo("open");
+        }
+        throw err;
+      } finally {
+        if (isTrial) trial = false;
+      }
+    }
+  };
+}
@@ -0,0 +1,70 @@
+// lib/cache.js — in-process LRU cache with a time-to-live per entry
+//
+// A Map keeps insertion order, so re-inserting on every hit makes the first
+// key the least recently used one. Entries past their TTL are dropped when
+// read. `load` fills the cache from a loader; a delete while the loader runs
+// marks that load stale, so a write that lands mid-read is never cached over.
+
+export function createLruCache({ max = 1000, ttlMs = 30_000, now = Date.now } = {}) {
+  const entries = new Map(); // key → { value, expires }
+  const loading = new Map(); // key → Set of in-flight load tokens
+
+  const cache = {
+    get enabled() {
+      return max > 0 && ttlMs > 0;
+    },
+
+    get size() {
+      return entries.size;
+    },
+
+    // { hit: true, value } or { hit: false }
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return { hit: false };
+      entries.delete(key);
+      if (entry.expires <= now()) return { hit: false };
+      entries.set(key, entry);
+      return { hit: true, value: entry.value };
+    },
+
+    set(key, value) {
+      if (!cache.enabled) return;
+      entries.delete(key);
+      entries.set(key, { value, expires: now() + ttlMs });
+      while (entries.size > max) entries.delete(entries.keys().next().value);
+    },
+
+    delete(key) {
+      entries.delete(key);
+      for (const token of loading.get(key) ?? []) token.stale = true;
+    },
+
+    clear() {
+      entries.clear();
+      for (const tokens of loading.values()) for (const token of tokens) token.stale = true;
+    },
+
+    /**
+     * The cached value for `key`, else loader()'s result, cached unless the
+     * key was deleted meanwhile. Returns { value, cached } (cached: from the
+     * cache). Loader errors are not cached.
+     */
+    async load(key, loader) {
+      const found = cache.get(key);
+      if (found.hit) return { value: found.value, cached: true };
+      const token = { stale: false };
+      if (!loading.has(key)) loading.set(key, new Set());
+      loading.get(key).add(token);
+      try {
+        const value = await loader();
+        if (!token.stale) cache.set(key, value);
+        return { value, cached: false };
+      } finally {
+        loading.get(key).delete(token);
+        if (!loading.get(key).size) loading.delete(key);
+      }
+    }
+  };
+  return cache;
+}
@@ -0,0 +1,77 @@
+// lib/csv.js — minimal RFC 4180 CSV reader and writer (quoted fields, embedded commas/newlines)
+
+import readline from "node:readline";
+
+// Parse one physical line into fields, continuing an open quoted field from `state`.
+// Returns true when the record is complete.
+function consumeLine(line, state) {
+  let i = 0;
+  while (i < line.length) {
+    const ch = line[i];
+    if (state.quoted) {
+      if (ch === '"') {
+        if (line[i + 1] === '"') {
+          state.field += '"';
+          i += 2;
+          continue;
+        }
+        state.quoted = false;
+      } else {
+        state.field += ch;
+      }
+    } else if (ch === '"' && state.field === "") {
+      state.quoted = true;
+    } else if (ch === ",") {
+      state.fields.push(state.field);
+      state.field = "";
+    } else {
+      state.field += ch;
+    }
+    i++;
+  }
+  if (state.quoted) {
+    state.field += "\n";
+    return false;
+  }
+  state.fields.push(state.field);
+  return true;
+}
+
+// Async iterator of records (arrays of strings) from a readable stream
+export async function* readCsv(input) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let state = { fields: [], field: "", quoted: false };
+  for await (const line of lines) {
+    if (!state.quoted && state.fields.length === 0 && line === "") continue;
+    if (consumeLine(line, state)) {
+      yield state.fields;
+      state = { fields: [], field: "", quoted: false };
+    }
+  }
+  if (state.quoted || state.fields.length) {
+    state.fields.push(state.field.replace(/\n$/, ""));
+    yield state.fields;
+  }
+}
+
+// Async iterator of objects keyed by the header row
+export async function* readCsvObjects(input) {
+  let header = null;
+  for await (const fields of readCsv(input)) {
+    if (!header) {
+      header = fields.map((h) => h.replace(/^\uFEFF/, "").trim());
+      continue;
+    }
+    yield Object.fromEntries(header.map((name, i) => [name, (fields[i] ?? "").trim()]));
+  }
+}
+
+// One CSV record (with CRLF) from an array of values; quotes only when needed
+export function toCsvLine(values) {
+  return values
+    .map((value) => {
+      const text = value === undefined || value === null ? "" : String(value);
+      return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(",") + "\r\n";
+}
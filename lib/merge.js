@@ -0,0 +1,37 @@
+// lib/merge.js — PATCH-style field merge for repeat submissions
+//
+// Only the fields in `incoming` change; everything else already stored is
+// kept. Arrays either replace the stored array or are unioned with it (stored
+// items first, new ones appended in the order sent).
+
+export const ARRAY_STRATEGIES = ["replace", "union"];
+
+// A blank answer on a form means "not asked here", not "erase"
+export function isBlank(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    (typeof value === "string" && value.trim() === "") ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+export function mergeFields(existing, incoming, { arrays = "replace" } = {}) {
+  const merged = { ...existing };
+  for (const [key, value] of Object.entries(incoming)) {
+    const stored = existing?.[key];
+    if (arrays === "union" && Array.isArray(value) && Array.isArray(stored)) {
+      const seen = new Set(stored.map((item) => JSON.stringify(item)));
+      merged[key] = [...stored];
+      for (const item of value) {
+        const id = JSON.stringify(item);
+        if (seen.has(id)) continue;
+        seen.add(id);
+        merged[key].push(item);
+      }
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
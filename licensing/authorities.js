@@ -0,0 +1,80 @@
+// licensing/authorities.js — license number rules per licensing authority
+//
+// Each authority defines how to clean a raw number (prefixes like "Lic #",
+// "ROC"), the format it must match, and an optional checksum. None of the
+// boards below publish a check digit, so checksum is null for all of them;
+// an authority that has one can add `checksum: (digits) => boolean`.
+
+export const LICENSE_AUTHORITIES = {
+  CSLB: {
+    name: "California Contractors State License Board",
+    state: "CA",
+    prefixes: ["cslb", "license", "lic", "no", "#"],
+    pattern: /^[1-9]\d{0,7}$/,
+    format: "1-8 digits, no leading zero",
+    checksum: null
+  },
+  NSCB: {
+    name: "Nevada State Contractors Board",
+    state: "NV",
+    prefixes: ["nscb", "license", "lic", "no", "#"],
+    pattern: /^\d{4,7}[A-Z]?$/,
+    format: "4-7 digits, optional letter suffix",
+    checksum: null
+  },
+  AZROC: {
+    name: "Arizona Registrar of Contractors",
+    state: "AZ",
+    prefixes: ["roc", "license", "lic", "no", "#"],
+    pattern: /^\d{6}$/,
+    format: "6 digits (ROC prefix optional)",
+    checksum: null
+  },
+  ORCCB: {
+    name: "Oregon Construction Contractors Board",
+    state: "OR",
+    prefixes: ["ccb", "license", "lic", "no", "#"],
+    pattern: /^\d{1,6}$/,
+    format: "1-6 digits",
+    checksum: null
+  }
+};
+
+export const DEFAULT_AUTHORITY = process.env.LICENSE_DEFAULT_AUTHORITY || "CSLB";
+
+// Strip labels and separators: "CSLB Lic # 1,234,567" → "1234567"
+function clean(raw, prefixes) {
+  let s = String(raw ?? "").trim().toUpperCase();
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const prefix of prefixes) {
+      const p = prefix.toUpperCase();
+      if (s.startsWith(p)) {
+        s = s.slice(p.length).replace(/^[\s.:#-]+/, "");
+        changed = true;
+      }
+    }
+  }
+  return s.replace(/[\s,.-]/g, "");
+}
+
+export function validateLicenseNumber(raw, authority = DEFAULT_AUTHORITY) {
+  const code = String(authority || DEFAULT_AUTHORITY).toUpperCase();
+  const rules = LICENSE_AUTHORITIES[code];
+  if (!rules) {
+    return { valid: false, authority: code, licenseNumber: "", errors: [`unknown license authority: ${code}`] };
+  }
+
+  const licenseNumber = clean(raw, rules.prefixes);
+  const errors = [];
+  if (!licenseNumber) {
+    errors.push("license number is empty");
+  } else if (!rules.pattern.test(licenseNumber)) {
+    errors.push(`${code} license numbers must be ${rules.format}`);
+  } else if (rules.checksum && !rules.checksum(licenseNumber)) {
+    errors.push(`${code} license number fails checksum`);
+  }
+
+  return { valid: errors.length === 0, authority: code, licenseNumber, errors };
+}
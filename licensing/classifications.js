@@ -0,0 +1,69 @@
+// licensing/classifications.js — CSLB classification codes → descriptions
+
+export const CSLB_CLASSIFICATIONS = {
+  A: "General Engineering Contractor",
+  B: "General Building Contractor",
+  "B-2": "Residential Remodeling Contractor",
+  "C-2": "Insulation and Acoustical",
+  "C-4": "Boiler, Hot Water Heating and Steam Fitting",
+  "C-5": "Framing and Rough Carpentry",
+  "C-6": "Cabinet, Millwork and Finish Carpentry",
+  "C-7": "Low Voltage Systems",
+  "C-8": "Concrete",
+  "C-9": "Drywall",
+  "C-10": "Electrical",
+  "C-11": "Elevator",
+  "C-12": "Earthwork and Paving",
+  "C-13": "Fencing",
+  "C-15": "Flooring and Floor Covering",
+  "C-16": "Fire Protection",
+  "C-17": "Glazing",
+  "C-20": "Warm-Air Heating, Ventilating and Air-Conditioning",
+  "C-21": "Building Moving/Demolition",
+  "C-22": "Asbestos Abatement",
+  "C-23": "Ornamental Metal",
+  "C-27": "Landscaping",
+  "C-28": "Lock and Security Equipment",
+  "C-29": "Masonry",
+  "C-31": "Construction Zone Traffic Control",
+  "C-32": "Parking and Highway Improvement",
+  "C-33": "Painting and Decorating",
+  "C-34": "Pipeline",
+  "C-35": "Lathing and Plastering",
+  "C-36": "Plumbing",
+  "C-38": "Refrigeration",
+  "C-39": "Roofing",
+  "C-42": "Sanitation System",
+  "C-43": "Sheet Metal",
+  "C-45": "Sign",
+  "C-46": "Solar",
+  "C-47": "General Manufactured Housing",
+  "C-49": "Tree and Palm",
+  "C-50": "Reinforcing Steel",
+  "C-51": "Structural Steel",
+  "C-53": "Swimming Pool",
+  "C-54": "Ceramic and Mosaic Tile",
+  "C-55": "Water Conditioning",
+  "C-57": "Well Drilling",
+  "C-60": "Welding",
+  "C-61": "Limited Specialty",
+  ASB: "Asbestos Certification",
+  HAZ: "Hazardous Substance Removal Certification"
+};
+
+// "C10" / "c-10" / "C 10" → "C-10"; D-subcategories of C-61 ("D12") → "C-61/D-12"
+export function normalizeClassificationCode(raw) {
+  const s = String(raw || "").toUpperCase().replace(/\s+/g, "");
+  const m = s.match(/^([A-Z]+)-?(\d+)?$/);
+  if (!m) return s;
+  const [, letters, num] = m;
+  if (!num) return letters;
+  if (letters === "D") return `C-61/D-${num}`;
+  return `${letters}-${num}`;
+}
+
+export function describeClassification(code) {
+  const normalized = normalizeClassificationCode(code);
+  const base = normalized.startsWith("C-61/") ? "C-61" : normalized;
+  return { code: normalized, description: CSLB_CLASSIFICATIONS[base] || "" };
+}
@@ -0,0 +1,98 @@
+// licensing/index.js — contractor license validation + lookup service
+//
+// lookupLicense() validates the number against its authority's rules, then
+// asks the configured data sources in order. Sources implement
+// `lookup(authority, licenseNumber) → record | null` (see sources/csv.js).
+//
+// LICENSE_DATA_CSV=/path/to/cslb.csv registers the CSLB public-data CSV.
+
+import { describeClassification } from "./classifications.js";
+import { DEFAULT_AUTHORITY, LICENSE_AUTHORITIES, validateLicenseNumber } from "./authorities.js";
+import { createCsvLicenseSource } from "./sources/csv.js";
+
+export { DEFAULT_AUTHORITY, LICENSE_AUTHORITIES, validateLicenseNumber } from "./authorities.js";
+
+const sources = [];
+
+export function registerLicenseSource(source) {
+  sources.push(source);
+}
+
+if (process.env.LICENSE_DATA_CSV) {
+  registerLicenseSource(createCsvLicenseSource({ path: process.env.LICENSE_DATA_CSV, authority: "CSLB" }));
+}
+
+// Board status strings vary ("CLEAR", "Active", "Exp"); map to a small vocabulary
+function normalizeStatus(status, expired) {
+  const s = String(status || "").toLowerCase();
+  if (/susp/.test(s)) return "suspended";
+  if (/revok/.test(s)) return "revoked";
+  if (/cancel/.test(s)) return "cancelled";
+  if (/inact/.test(s)) return "inactive";
+  if (expired || /exp/.test(s)) return "expired";
+  if (/clear|active|valid/.test(s)) return "active";
+  return s || "unknown";
+}
+
+export async function lookupLicense(raw, authority = DEFAULT_AUTHORITY, { today = new Date() } = {}) {
+  const validation = validateLicenseNumber(raw, authority);
+  const base = {
+    valid: validation.valid,
+    authority: validation.authority,
+    authorityName: LICENSE_AUTHORITIES[validation.authority]?.name ?? "",
+    licenseNumber: validation.licenseNumber,
+    errors: validation.errors,
+    found: false,
+    status: validation.valid ? "unknown" : "invalid",
+    expired: null,
+    expirationDate: "",
+    classifications: [],
+    businessName: "",
+    source: ""
+  };
+  if (!validation.valid) return base;
+
+  for (const source of sources) {
+    const record = await source.lookup(validation.authority, validation.licenseNumber);
+    if (!record) continue;
+    const todayIso = today.toISOString().slice(0, 10);
+    const expired = record.expirationDate ? record.expirationDate < todayIso : null;
+    return {
+      ...base,
+      found: true,
+      status: normalizeStatus(record.status, expired),
+      expired,
+      expirationDate: record.expirationDate,
+      issueDate: record.issueDate,
+      classifications: record.classifications.map(describeClassification),
+      businessName: record.businessName,
+      city: record.city,
+      source: source.name
+    };
+  }
+  return base;
+}
+
+// One sentence the agent can read back to the caller
+export function describeLicense(result) {
+  if (!result.valid) return `That doesn't look like a valid ${result.authority} license number: ${result.errors[0]}.`;
+  if (!result.found) return `I couldn't find ${result.authority} license ${result.licenseNumber} in our license records.`;
+  const who = result.businessName ? ` for ${result.businessName}` : "";
+  if (result.expired) return `${result.authority} license ${result.licenseNumber}${who} expired on ${result.expirationDate}.`;
+  if (result.status !== "active") return `${result.authority} license ${result.licenseNumber}${who} is ${result.status}.`;
+  const until = result.expirationDate ? ` through ${result.expirationDate}` : "";
+  return `${result.authority} license ${result.licenseNumber}${who} is active${until}.`;
+}
+
+export const licenseEnricher = {
+  name: "license",
+  version: "1",
+  stage: "normalized",
+  timeoutMs: 5000, // first lookup may load the CSV index
+  async run(contact) {
+    if (!contact.licenseNumber) return null;
+    const result = await lookupLicense(contact.licenseNumber, contact.licenseAuthority || DEFAULT_AUTHORITY);
+    const { errors, ...rest } = result;
+    return { ...rest, error: errors[0] ?? "" };
+  }
+};
@@ -0,0 +1,80 @@
+// licensing/sources/csv.js — license data source backed by a public-data CSV export
+//
+// Defaults match the CSLB "License Master" public data file. The file is
+// streamed once, on first lookup, into an in-memory index keyed by license number.
+
+import fs from "node:fs";
+import { readCsvObjects } from "../../lib/csv.js";
+
+// Record field → candidate CSV headers (first present wins)
+const CSLB_COLUMNS = {
+  licenseNumber: ["LicenseNo", "License Number", "LicenseNumber"],
+  businessName: ["FullBusinessName", "BusinessName", "Business Name"],
+  status: ["PrimaryStatus", "Status", "License Status"],
+  secondaryStatus: ["SecondaryStatus"],
+  classifications: ["Classifications(s)", "Classifications", "Classification"],
+  issueDate: ["IssueDate", "Issue Date"],
+  expirationDate: ["ExpirationDate", "Expiration Date"],
+  city: ["City"],
+  state: ["State"]
+};
+
+// "03/31/2026" or "2026-03-31" → "2026-03-31"
+function isoDate(value) {
+  const s = String(value || "").trim();
+  const us = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (us) return `${us[3]}-${us[1].padStart(2, "0")}-${us[2].padStart(2, "0")}`;
+  const iso = s.match(/^(\d{4}-\d{2}-\d{2})/);
+  return iso ? iso[1] : "";
+}
+
+function pick(row, candidates) {
+  for (const name of candidates) {
+    if (row[name] !== undefined && row[name] !== "") return row[name];
+  }
+  return "";
+}
+
+export function toLicenseRecord(row, columns = CSLB_COLUMNS) {
+  return {
+    licenseNumber: pick(row, columns.licenseNumber).replace(/^0+/, ""),
+    businessName: pick(row, columns.businessName),
+    status: pick(row, columns.status),
+    secondaryStatus: pick(row, columns.secondaryStatus ?? []),
+    classifications: pick(row, columns.classifications)
+      .split(/[|,;]/)
+      .map((c) => c.trim())
+      .filter(Boolean),
+    issueDate: isoDate(pick(row, columns.issueDate)),
+    expirationDate: isoDate(pick(row, columns.expirationDate)),
+    city: pick(row, columns.city ?? []),
+    state: pick(row, columns.state ?? [])
+  };
+}
+
+export function createCsvLicenseSource({ path, authority = "CSLB", columns = CSLB_COLUMNS }) {
+  let index = null;
+
+  async function load() {
+    const records = new Map();
+    for await (const row of readCsvObjects(fs.createReadStream(path))) {
+      const record = toLicenseRecord(row, columns);
+      if (record.licenseNumber) records.set(record.licenseNumber, record);
+    }
+    return records;
+  }
+
+  return {
+    name: `csv:${authority}`,
+    authority,
+    async lookup(licenseAuthority, licenseNumber) {
+      if (licenseAuthority !== authority) return null;
+      // Share one load between concurrent first lookups; retry after a failed load
+      index ??= load().catch((err) => {
+        index = null;
+        throw err;
+      });
+      return (await index).get(licenseNumber) ?? null;
+    }
+  };
+}
@@ -0,0 +1,143 @@
+// mapping/index.js — contact → ElevenLabs dynamic variables, driven by profiles
+//
+// A profile lists the variables a webhook returns. Each variable reads a path
+// from the render context and coerces it to a type:
+//
+//   variables:
+//     customer_name: { from: contact.name, type: string, default: "there" }
+//     last_seen:     { from: [contact.updatedAt, contact.createdAt], type: timestamp }
+//     channel:       { value: voice }
+//
+// Context paths: contact.* (Firestore doc, {} when not found), found,
+// caller.* (parsePhone result + digits), call.* (agentId, calledNumber,
+// callSid), calls.* (call history summary), consent.* (SMS consent: status,
+// suppressed, wordingVersion, ...), dataSource (cache, live or fallback),
+// error.
+// Types: string (default), boolean, integer, number, timestamp (ISO string),
+// array, any. output is "flat", or "nested" under `root`.
+//
+// MAPPING_PROFILES_FILE (YAML or JSON) adds `profiles` (optionally
+// `extends: <name>`) and ordered `routes` that pick a profile by agentId,
+// calledNumber and/or endpoint; the first matching route wins.
+
+import fs from "node:fs";
+import YAML from "yaml";
+import { toE164 } from "../phone/index.js";
+import { BUILTIN_PROFILES, DEFAULT_PROFILE_BY_ENDPOINT } from "./profiles.js";
+
+const TYPES = ["string", "boolean", "integer", "number", "timestamp", "array", "any"];
+
+const isEmpty = (v) => v === undefined || v === null || v === "";
+
+function toIso(v) {
+  if (v && typeof v.toDate === "function") return v.toDate().toISOString();
+  if (v instanceof Date) return v.toISOString();
+  if (typeof v === "number") return new Date(v).toISOString();
+  return typeof v === "string" ? v : undefined;
+}
+
+const COERCE = {
+  string: (v) => (typeof v?.toDate === "function" ? toIso(v) : String(v)),
+  boolean: (v) => (typeof v === "string" ? !["false", "0", "no"].includes(v.toLowerCase()) : !!v),
+  integer: (v) => {
+    const n = Number.parseInt(v, 10);
+    return Number.isNaN(n) ? undefined : n;
+  },
+  number: (v) => {
+    const n = Number(v);
+    return Number.isNaN(n) ? undefined : n;
+  },
+  timestamp: toIso,
+  array: (v) => (Array.isArray(v) ? v : undefined),
+  any: (v) => v
+};
+
+const EMPTY = { string: "", boolean: false, integer: 0, number: 0, timestamp: "", array: [], any: null };
+
+function readPath(context, path) {
+  return path.split(".").reduce((obj, key) => (obj == null ? undefined : obj[key]), context);
+}
+
+function renderVariable(spec, context) {
+  const type = spec.type || "string";
+  if ("value" in spec) return spec.value;
+  const paths = Array.isArray(spec.from) ? spec.from : [spec.from];
+  const raw = paths.map((p) => readPath(context, p)).find((v) => !isEmpty(v));
+  const value = isEmpty(raw) ? undefined : COERCE[type](raw);
+  if (value !== undefined) return value;
+  return spec.default !== undefined ? spec.default : EMPTY[type];
+}
+
+/**
+ * Render a profile's dynamic_variables for one call.
+ * context: { contact, found, caller, call, calls, error }
+ */
+export function renderVariables(profile, context) {
+  const vars = {};
+  for (const [name, spec] of Object.entries(profile.variables)) {
+    vars[name] = renderVariable(spec, context);
+  }
+  return profile.output === "nested" ? { [profile.root]: vars } : vars;
+}
+
+function checkProfile(name, profile) {
+  const where = `mapping profile "${name}"`;
+  if (!["flat", "nested"].includes(profile.output)) throw new Error(`${where}: output must be "flat" or "nested"`);
+  if (profile.output === "nested" && !profile.root) throw new Error(`${where}: nested output needs a root`);
+  if (!profile.variables || typeof profile.variables !== "object") throw new Error(`${where}: variables are required`);
+  for (const [variable, spec] of Object.entries(profile.variables)) {
+    if (!spec || (!("value" in spec) && !spec.from)) throw new Error(`${where}: ${variable} needs "from" or "value"`);
+    if (spec.type && !TYPES.includes(spec.type)) throw new Error(`${where}: ${variable} has unknown type ${spec.type}`);
+  }
+}
+
+// Merge file profiles over the built-ins and normalize routes
+function compile(config = {}) {
+  const profiles = { ...BUILTIN_PROFILES };
+  for (const [name, profile] of Object.entries(config.profiles || {})) {
+    const base = profile.extends ? profiles[profile.extends] : null;
+    if (profile.extends && !base) throw new Error(`mapping profile "${name}": unknown profile to extend ${profile.extends}`);
+    const { extends: _extends, ...own } = profile;
+    profiles[name] = base
+      ? { ...base, ...own, variables: { ...base.variables, ...own.variables } }
+      : own;
+  }
+  for (const [name, profile] of Object.entries(profiles)) checkProfile(name, profile);
+
+  const routes = (config.routes || []).map((route, i) => {
+    if (!profiles[route.profile]) throw new Error(`mapping route ${i}: unknown profile ${route.profile}`);
+    const calledNumber = route.calledNumber ? toE164(route.calledNumber) : undefined;
+    if (route.calledNumber && !calledNumber) throw new Error(`mapping route ${i}: invalid calledNumber ${route.calledNumber}`);
+    return { ...route, calledNumber };
+  });
+  return { profiles, routes };
+}
+
+function loadConfig() {
+  const file = process.env.MAPPING_PROFILES_FILE;
+  if (!file) return compile();
+  return compile(YAML.parse(fs.readFileSync(file, "utf8")) || {});
+}
+
+const config = loadConfig();
+
+export function hasProfile(name) {
+  return name in config.profiles;
+}
+
+/**
+ * Pick the profile for a webhook call.
+ * Returns { name, profile } — the first route whose agentId / calledNumber /
+ * endpoint (those it sets) all match, else `fallback` (the tenant's profile
+ * for this endpoint), else the endpoint's default.
+ */
+export function selectProfile({ endpoint, agentId, calledNumber, fallback }) {
+  const called = calledNumber ? toE164(calledNumber) : null;
+  const route = config.routes.find((r) =>
+    (!r.endpoint || r.endpoint === endpoint) &&
+    (!r.agentId || r.agentId === agentId) &&
+    (!r.calledNumber || r.calledNumber === called)
+  );
+  const name = route?.profile ?? fallback ?? DEFAULT_PROFILE_BY_ENDPOINT[endpoint];
+  return { name, profile: config.profiles[name] };
+}
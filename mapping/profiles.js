@@ -0,0 +1,63 @@
+// mapping/profiles.js — built-in dynamic-variable mapping profiles
+//
+// These reproduce the two webhook payloads the agents were built against.
+// MAPPING_PROFILES_FILE can add profiles, override these by name, and route
+// agents / called numbers to them (see mapping/index.js for the format).
+
+export const BUILTIN_PROFILES = {
+  // /twilio-init: flat variables, ElevenLabs system__ passthroughs
+  "twilio-init": {
+    output: "flat",
+    variables: {
+      customer_name: { from: "contact.name", type: "string" },
+      business_name: { from: "contact.business", type: "string" },
+      license_number: { from: "contact.cslb", type: "string" },
+      phone_e164: { from: "contact.phone_e164", type: "string" },
+      last_channel: { from: "contact.lastChannel", type: "string" },
+      notes: { from: "contact.notes", type: "string" },
+      source: { from: "contact.source", type: "string" },
+      tags: { from: "contact.tags", type: "array" },
+      is_registered_contact: { from: "found", type: "boolean" },
+      sms_suppressed: { from: "consent.suppressed", type: "boolean" },
+      system__caller_id: { from: "caller.e164", type: "string" },
+      system__called_number: { from: "call.calledNumber", type: "string" },
+      system__call_sid: { from: "call.callSid", type: "string" }
+    }
+  },
+
+  // /elevenlabs/client-data: everything under memorycaller_status
+  "client-data": {
+    output: "nested",
+    root: "memorycaller_status",
+    variables: {
+      isRegistered: { from: "contact.isRegistered", type: "boolean" },
+      business: { from: "contact.business", type: "string" },
+      cslb: { from: "contact.cslb", type: "string" },
+      name: { from: "contact.name", type: "string" },
+      phone_e164: { from: "caller.e164", type: "string" },
+      digits: { from: "caller.digits", type: "string" },
+      phone_type: { from: "caller.type", type: "string" },
+      phone_region: { from: "caller.region", type: "string" },
+      lastChannel: { from: "contact.lastChannel", type: "string" },
+      source: { from: "contact.source", type: "string" },
+      notes: { from: "contact.notes", type: "string" },
+      tags: { from: "contact.tags", type: "array" },
+      createdAt: { from: "contact.createdAt", type: "timestamp" },
+      updatedAt: { from: "contact.updatedAt", type: "timestamp" },
+      callCount: { from: "calls.callCount", type: "integer" },
+      lastCallAt: { from: "calls.lastCallAt", type: "string" },
+      lastCallSummary: { from: "calls.lastCallSummary", type: "string" },
+      recentCalls: { from: "calls.recentCalls", type: "array" },
+      smsConsent: { from: "consent.status", type: "string", default: "unknown" },
+      smsSuppressed: { from: "consent.suppressed", type: "boolean" },
+      dataSource: { from: "dataSource", type: "string" },
+      error: { from: "error", type: "boolean" }
+    }
+  }
+};
+
+// Profile each webhook uses when no selection rule matches
+export const DEFAULT_PROFILE_BY_ENDPOINT = {
+  "/twilio-init": "twilio-init",
+  "/elevenlabs/client-data": "client-data"
+};
@@ -0,0 +1,190 @@
+// observability/index.js — request ids, Cloud Logging trace correlation and Prometheus metrics
+//
+// Every request gets an id: the caller's X-Request-Id when it sends a usable
+// one, else a new UUID. It is echoed in the X-Request-Id response header and
+// added to every log line written while the request is handled, together with
+// the Cloud Trace ids from X-Cloud-Trace-Context (set by Cloud Run's front
+// end), so Cloud Logging groups a request's lines under its trace:
+//
+//   X-Cloud-Trace-Context: <32 hex trace id>/<decimal span id>;o=<1 if sampled>
+//
+//   { "severity": "WARNING", "event": "auth_fail", "requestId": "...",
+//     "logging.googleapis.com/trace": "projects/<project>/traces/<trace id>",
+//     "logging.googleapis.com/spanId": "...", ... }
+//
+// The trace field needs the project id (GOOGLE_CLOUD_PROJECT); without it the
+// trace id is logged as traceId only.
+//
+// Metrics are kept per instance and served in the Prometheus text format
+// (version 0.0.4) by GET /metrics.
+
+import { AsyncLocalStorage } from "node:async_hooks";
+import crypto from "node:crypto";
+
+// logEvent level → Cloud Logging severity
+export const SEVERITY = { debug: "DEBUG", info: "INFO", warn: "WARNING", error: "ERROR" };
+
+// Prometheus' default buckets, in seconds
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const PROJECT_ID = process.env.GOOGLE_CLOUD_PROJECT || process.env.GCLOUD_PROJECT || "";
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const requests = new AsyncLocalStorage();
+
+/** "TRACE_ID/SPAN_ID;o=1" → { traceId, spanId, sampled }, or null when malformed. */
+export function parseTraceContext(header) {
+  const match = /^([0-9a-f]{32})(?:\/(\d+))?(?:;o=([01]))?$/i.exec(String(header ?? "").trim());
+  if (!match || /^0+$/.test(match[1])) return null;
+  return { traceId: match[1].toLowerCase(), spanId: match[2] ?? null, sampled: match[3] === "1" };
+}
+
+// Fields to add to a log line written while a request is handled ({} outside one)
+export function requestLogFields() {
+  const current = requests.getStore();
+  if (!current) return {};
+  const { requestId, trace } = current;
+  if (!trace) return { requestId };
+  if (!PROJECT_ID) return { requestId, traceId: trace.traceId };
+  return {
+    requestId,
+    "logging.googleapis.com/trace": `projects/${PROJECT_ID}/traces/${trace.traceId}`,
+    ...(trace.spanId ? { "logging.googleapis.com/spanId": trace.spanId } : {}),
+    "logging.googleapis.com/trace_sampled": trace.sampled
+  };
+}
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+// Series of one metric family, keyed by their label values in `labelNames` order
+function seriesMap(labelNames) {
+  const series = new Map();
+  return {
+    series,
+    get(labels, init) {
+      const values = labelNames.map((name) => String(labels[name] ?? ""));
+      const key = JSON.stringify(values);
+      if (!series.has(key)) {
+        series.set(key, { labels: Object.fromEntries(labelNames.map((name, i) => [name, values[i]])), ...init() });
+      }
+      return series.get(key);
+    }
+  };
+}
+
+/**
+ * Counters and histograms for /metrics. Families are declared once with
+ * their label names; render() returns the exposition text.
+ */
+export function createMetrics() {
+  const families = [];
+
+  return {
+    counter(name, help, labelNames = []) {
+      const { series, get } = seriesMap(labelNames);
+      families.push({ name, help, type: "counter", series });
+      return {
+        inc(labels = {}, amount = 1) {
+          get(labels, () => ({ value: 0 })).value += amount;
+        }
+      };
+    },
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      const { series, get } = seriesMap(labelNames);
+      families.push({ name, help, type: "histogram", series, buckets });
+      return {
+        observe(labels, seconds) {
+          const entry = get(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+          buckets.forEach((le, i) => {
+            if (seconds <= le) entry.counts[i] += 1;
+          });
+          entry.sum += seconds;
+          entry.count += 1;
+        }
+      };
+    },
+
+    render() {
+      const lines = [];
+      for (const { name, help, type, series, buckets } of families) {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        for (const entry of series.values()) {
+          if (type === "counter") {
+            lines.push(`${name}${formatLabels(entry.labels)} ${entry.value}`);
+            continue;
+          }
+          buckets.forEach((le, i) => {
+            lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le })} ${entry.counts[i]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: "+Inf" })} ${entry.count}`);
+          lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+          lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+        }
+      }
+      return `${lines.join("\n")}\n`;
+    }
+  };
+}
+
+// Route pattern of a handled request (bounded cardinality); "unmatched" for 404s
+function routeLabel(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+}
+
+/**
+ * Express middleware, mounted first: assigns the request id, runs the rest of
+ * the request in its logging context, and when the response is finished (or
+ * the client goes away) writes one access line and records the request in
+ * http_requests_total / http_request_duration_seconds. `log` is logEvent.
+ */
+export function observeRequests({ metrics, log }) {
+  const total = metrics.counter("http_requests_total", "Requests handled, by route and status", ["method", "route", "status"]);
+  const duration = metrics.histogram("http_request_duration_seconds", "Request latency, by route", ["method", "route"]);
+
+  return (req, res, next) => {
+    const presented = req.get("X-Request-Id");
+    const requestId = presented && REQUEST_ID.test(presented) ? presented : crypto.randomUUID();
+    const context = { requestId, trace: parseTraceContext(req.get("X-Cloud-Trace-Context")) };
+    req.requestId = requestId;
+    res.set("X-Request-Id", requestId);
+
+    const started = process.hrtime.bigint();
+    let done = false;
+    const finish = () => {
+      if (done) return;
+      done = true;
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      // Closed before the response was sent: 499, as nginx logs it
+      const status = res.writableFinished ? res.statusCode : 499;
+      const route = routeLabel(req);
+      total.inc({ method: req.method, route, status });
+      duration.observe({ method: req.method, route }, seconds);
+      requests.run(context, () =>
+        log(status >= 500 ? "error" : status >= 400 ? "warn" : "info", "request", {
+          route,
+          // Cloud Logging's request fields (shown like its own request log)
+          httpRequest: {
+            requestMethod: req.method,
+            requestUrl: req.originalUrl,
+            status,
+            responseSize: String(res.getHeader("Content-Length") ?? ""),
+            userAgent: req.get("User-Agent") || "",
+            remoteIp: req.ip,
+            latency: `${seconds.toFixed(3)}s`
+          },
+          keyId: req.apiKeyId
+        })
+      );
+    };
+    res.once("finish", finish);
+    res.once("close", finish);
+
+    requests.run(context, next);
+  };
+}
@@ -0,0 +1,72 @@
+// observability/redact.js — phone numbers and email addresses out of log lines
+//
+// Every log line passes through redactLogEntry before it is written. Phone
+// numbers (E.164, also URL-encoded as in request paths, and bare digit strings
+// under phone-like keys) and email addresses are replaced wherever they occur:
+// in values, error messages, stack traces and URLs. LOG_PII picks how:
+//
+//   mask (default)  +*******1212, j***@example.com — readable, not unique
+//   hash            phone:5d41402abc, email:7b52009b64 — the same number always
+//                   gives the same hash, so one caller's lines can be found;
+//                   keyed with LOG_HASH_KEY (set it: unkeyed hashes of phone
+//                   numbers are easy to reverse)
+//   off             written as is (local debugging only)
+//
+// Find a caller's lines in hash mode with `npm run log-hash -- +14155551212`.
+
+import crypto from "node:crypto";
+
+export const LOG_PII_MODES = ["mask", "hash", "off"];
+
+const MODE = LOG_PII_MODES.includes(process.env.LOG_PII) ? process.env.LOG_PII : "mask";
+const HASH_KEY = process.env.LOG_HASH_KEY || "";
+
+const EMAIL = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g;
+// "+" or its URL encoding, then 7-15 digits
+const PHONE = /(\+|%2B)(\d{7,15})\b/gi;
+// Bare digits are only a phone number under these keys (digits: "14155551212")
+const PHONE_KEYS = new Set(["phone", "phone_e164", "phone_number", "caller_id", "digits", "docId", "from", "to"]);
+const BARE_PHONE = /^\d{7,15}$/;
+
+/** Short keyed hash of a normalized value, as hash mode logs it. */
+export function logHash(kind, value, key = HASH_KEY) {
+  const normalized = kind === "email" ? String(value).toLowerCase() : String(value).replace(/^(\+|%2B)/i, "");
+  const digest = key
+    ? crypto.createHmac("sha256", key).update(normalized).digest("hex")
+    : crypto.createHash("sha256").update(normalized).digest("hex");
+  return `${kind}:${digest.slice(0, 10)}`;
+}
+
+function maskPhone(prefix, digits) {
+  return `${prefix}${"*".repeat(digits.length - 4)}${digits.slice(-4)}`;
+}
+
+function maskEmail(email) {
+  const at = email.indexOf("@");
+  return `${email[0]}***${email.slice(at)}`;
+}
+
+function redactString(text, mode) {
+  return text
+    .replace(EMAIL, (email) => (mode === "hash" ? logHash("email", email) : maskEmail(email)))
+    .replace(PHONE, (match, prefix, digits) => (mode === "hash" ? logHash("phone", digits) : maskPhone(prefix, digits)));
+}
+
+function redactValue(value, key, mode) {
+  if (typeof value === "string") {
+    if (PHONE_KEYS.has(key) && BARE_PHONE.test(value)) {
+      return mode === "hash" ? logHash("phone", value) : maskPhone("", value);
+    }
+    return redactString(value, mode);
+  }
+  if (Array.isArray(value)) return value.map((item) => redactValue(item, key, mode));
+  if (value && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactValue(v, k, mode)]));
+  }
+  return value;
+}
+
+/** `entry` with phones and emails masked or hashed (LOG_PII). */
+export function redactLogEntry(entry, mode = MODE) {
+  return mode === "off" ? entry : redactValue(entry, "", mode);
+}
@@ -0,0 +1,100 @@
+// phone/index.js — parse caller-supplied phone numbers into E.164
+//
+// E.164 strings key both Firestore collections and feed system__caller_id, so
+// anything that does not parse to a real number in a supported region is
+// rejected rather than guessed at. Numbers without "+" (or an international
+// dialing prefix) are read in PHONE_DEFAULT_REGION. International numbers
+// under a calling code with no rules in phone/regions.js are only checked
+// against the generic E.164 shape (8-15 digits) and typed "unknown".
+
+import { CALLING_CODES, PHONE_REGIONS, regionForNumber } from "./regions.js";
+
+export { PHONE_REGIONS } from "./regions.js";
+
+export const DEFAULT_REGION = (process.env.PHONE_DEFAULT_REGION || "US").toUpperCase();
+
+// "…x123", "… ext. 123", "… extension 123", "…#123"
+const EXTENSION = /\s*(?:;?ext(?:ension)?\.?|x|#)\s*(\d{1,7})$/i;
+const ALLOWED = /^\+?[\d\s().\-/]+$/;
+
+function invalid(raw, errors, extra = {}) {
+  return { valid: false, raw, e164: null, region: null, callingCode: null, nationalNumber: null, extension: null, type: null, errors, ...extra };
+}
+
+// Country calling codes never start with 0; E.164 allows at most 15 digits
+const GENERIC_E164 = /^[1-9]\d{7,14}$/;
+
+// International number under a calling code with no region rules
+function parseGeneric(raw, digits, extension) {
+  if (!GENERIC_E164.test(digits)) return invalid(raw, ["not a valid E.164 number"], { extension });
+  return { valid: true, raw, e164: `+${digits}`, region: null, callingCode: null, nationalNumber: null, extension, type: "unknown", errors: [] };
+}
+
+/**
+ * Parse a phone number.
+ * Returns { valid, raw, e164, region, callingCode, nationalNumber, extension, type, errors }.
+ * type is one of mobile, landline, mobile_or_landline, toll_free, premium,
+ * or unknown (calling code without region rules; region, callingCode and
+ * nationalNumber are then null).
+ */
+export function parsePhone(raw, { defaultRegion = DEFAULT_REGION } = {}) {
+  let s = String(raw ?? "").trim();
+  if (!s) return invalid(raw, ["phone number is empty"]);
+
+  let extension = null;
+  const ext = s.match(EXTENSION);
+  if (ext) {
+    extension = ext[1];
+    s = s.slice(0, ext.index).trim();
+  }
+  if (!ALLOWED.test(s)) return invalid(raw, ["phone number contains invalid characters"], { extension });
+
+  const home = PHONE_REGIONS[defaultRegion];
+  if (!home) return invalid(raw, [`unsupported default region ${defaultRegion}`], { extension });
+
+  let digits = s.replace(/\D/g, "");
+  let international = s.startsWith("+");
+  if (!international && digits.startsWith(home.internationalPrefix)) {
+    digits = digits.slice(home.internationalPrefix.length);
+    international = true;
+  }
+
+  let callingCode;
+  let nsn;
+  if (international) {
+    callingCode = CALLING_CODES.find((code) => digits.startsWith(code));
+    if (!callingCode) return parseGeneric(raw, digits, extension);
+    nsn = digits.slice(callingCode.length);
+  } else {
+    callingCode = home.callingCode;
+    nsn = digits;
+  }
+
+  // Trunk prefix dialed nationally ("020…", "1-415-…") or kept after the code ("+44 (0)20…")
+  const { trunkPrefix } = PHONE_REGIONS[regionForNumber(callingCode, nsn)];
+  if (trunkPrefix && nsn.startsWith(trunkPrefix)) {
+    const stripped = nsn.slice(trunkPrefix.length);
+    const { types } = PHONE_REGIONS[regionForNumber(callingCode, stripped)];
+    if (types.some(([, pattern]) => pattern.test(stripped))) nsn = stripped;
+  }
+
+  const region = regionForNumber(callingCode, nsn);
+  const rules = PHONE_REGIONS[region];
+  if (rules.legacyMobilePrefix && nsn.length === Math.max(...rules.lengths) + 1 && nsn.startsWith(rules.legacyMobilePrefix)) {
+    nsn = nsn.slice(rules.legacyMobilePrefix.length);
+  }
+
+  const base = { raw, region, callingCode, nationalNumber: nsn, extension };
+  if (nsn.length < Math.min(...rules.lengths)) return { ...invalid(raw, [`too short for ${rules.name}`]), ...base };
+  if (nsn.length > Math.max(...rules.lengths)) return { ...invalid(raw, [`too long for ${rules.name}`]), ...base };
+
+  const match = rules.types.find(([, pattern]) => pattern.test(nsn));
+  if (!match) return { ...invalid(raw, [`not a valid ${rules.name} number`]), ...base };
+
+  return { valid: true, ...base, e164: `+${callingCode}${nsn}`, type: match[0], errors: [] };
+}
+
+// E.164 document ID for a raw number, or null when it does not parse
+export function toE164(raw, options) {
+  return parsePhone(raw, options).e164;
+}
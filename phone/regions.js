@@ -0,0 +1,128 @@
+// phone/regions.js — numbering plan rules per region
+//
+// Patterns match the national significant number (NSN): the digits after the
+// country calling code, with any trunk prefix ("0", or "1" inside NANP)
+// removed. A number is valid when its NSN matches one of the region's type
+// patterns; the first match gives its type. NANP numbers cannot be told apart
+// as mobile or landline from the number alone, so they type as
+// "mobile_or_landline".
+
+const NANP_TYPES = [
+  ["toll_free", /^8(00|33|44|55|66|77|88)[2-9]\d{6}$/],
+  ["premium", /^900[2-9]\d{6}$/],
+  ["mobile_or_landline", /^[2-9](?!11)\d{2}[2-9]\d{6}$/]
+];
+
+// Canadian area codes; every other NANP area code is attributed to US
+const CA_AREA_CODES = new Set([
+  "204", "226", "236", "249", "250", "263", "289", "306", "343", "354", "365", "367", "368", "382",
+  "403", "416", "418", "428", "431", "437", "438", "450", "468", "474", "506", "514", "519", "548",
+  "579", "581", "584", "587", "604", "613", "639", "647", "672", "683", "705", "709", "742", "753",
+  "778", "780", "782", "807", "819", "825", "867", "873", "879", "902", "905"
+]);
+
+export const PHONE_REGIONS = {
+  US: {
+    name: "United States",
+    callingCode: "1",
+    trunkPrefix: "1",
+    internationalPrefix: "011",
+    lengths: [10],
+    types: NANP_TYPES
+  },
+  CA: {
+    name: "Canada",
+    callingCode: "1",
+    trunkPrefix: "1",
+    internationalPrefix: "011",
+    lengths: [10],
+    types: NANP_TYPES
+  },
+  MX: {
+    name: "Mexico",
+    callingCode: "52",
+    trunkPrefix: null,
+    internationalPrefix: "00",
+    lengths: [10],
+    // Pre-2019 mobile dialing put a "1" after +52; it is dropped before matching
+    legacyMobilePrefix: "1",
+    types: [
+      ["toll_free", /^800\d{7}$/],
+      ["premium", /^900\d{7}$/],
+      ["mobile_or_landline", /^[1-9]\d{9}$/]
+    ]
+  },
+  GB: {
+    name: "United Kingdom",
+    callingCode: "44",
+    trunkPrefix: "0",
+    internationalPrefix: "00",
+    lengths: [9, 10],
+    types: [
+      ["mobile", /^7[1-57-9]\d{8}$/],
+      ["toll_free", /^80[08]\d{6,7}$/],
+      ["premium", /^9[018]\d{8}$/],
+      ["landline", /^[1-3]\d{8,9}$/]
+    ]
+  },
+  ES: {
+    name: "Spain",
+    callingCode: "34",
+    trunkPrefix: null,
+    internationalPrefix: "00",
+    lengths: [9],
+    types: [
+      ["mobile", /^[67]\d{8}$/],
+      ["toll_free", /^(800|900)\d{6}$/],
+      ["premium", /^80[36]\d{6}$/],
+      ["landline", /^[89]\d{8}$/]
+    ]
+  },
+  FR: {
+    name: "France",
+    callingCode: "33",
+    trunkPrefix: "0",
+    internationalPrefix: "00",
+    lengths: [9],
+    types: [
+      ["mobile", /^[67]\d{8}$/],
+      ["toll_free", /^80[0-5]\d{6}$/],
+      ["premium", /^8[19]\d{7}$/],
+      ["landline", /^[1-59]\d{8}$/]
+    ]
+  },
+  DE: {
+    name: "Germany",
+    callingCode: "49",
+    trunkPrefix: "0",
+    internationalPrefix: "00",
+    lengths: [6, 7, 8, 9, 10, 11, 12, 13],
+    types: [
+      ["mobile", /^1[5-7]\d{8,9}$/],
+      ["toll_free", /^800\d{7}$/],
+      ["premium", /^900\d{7}$/],
+      ["landline", /^[2-9]\d{5,12}$/]
+    ]
+  },
+  AU: {
+    name: "Australia",
+    callingCode: "61",
+    trunkPrefix: "0",
+    internationalPrefix: "0011",
+    lengths: [9, 10],
+    types: [
+      ["mobile", /^4\d{8}$/],
+      ["toll_free", /^1800\d{6}$/],
+      ["premium", /^190\d{7}$/],
+      ["landline", /^[2378]\d{8}$/]
+    ]
+  }
+};
+
+// Region that owns an NSN under a shared calling code
+export function regionForNumber(callingCode, nsn) {
+  if (callingCode === "1") return CA_AREA_CODES.has(nsn.slice(0, 3)) ? "CA" : "US";
+  return Object.keys(PHONE_REGIONS).find((r) => PHONE_REGIONS[r].callingCode === callingCode) ?? null;
+}
+
+export const CALLING_CODES = [...new Set(Object.values(PHONE_REGIONS).map((r) => r.callingCode))];
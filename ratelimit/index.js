@@ -0,0 +1,98 @@
+// ratelimit/index.js — fixed-window request limits per key, IP and phone
+//
+// A policy groups routes (lookup, upsert) and sets a limit per dimension:
+//
+//   lookup  /contacts/lookup, /tools/license-lookup   key 120/1m, ip 60/1m
+//   upsert  /pending-contacts/upsert (all versions)   key 60/1m,  ip 30/1m, phone 5/1h
+//   sms     /twilio/sms (texts, not keywords)           phone 20/1h
+//
+// Override any of them with RATE_LIMIT_<POLICY>_<DIMENSION>, e.g.
+// RATE_LIMIT_UPSERT_PHONE=10/1d or RATE_LIMIT_LOOKUP_IP=off. Windows take
+// s, m, h or d.
+//
+// RATE_LIMIT_STORE picks where counters live:
+//   memory (default) — per instance; N instances allow up to N× the limit
+//   store            — the STORAGE_BACKEND store (rate_limits collection),
+//                      shared by every instance
+
+export const DEFAULT_POLICIES = {
+  lookup: { key: "120/1m", ip: "60/1m" },
+  upsert: { key: "60/1m", ip: "30/1m", phone: "5/1h" },
+  sms: { phone: "20/1h" }
+};
+
+const UNIT_MS = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 };
+
+// "60/1m" → { max: 60, windowMs: 60000 }; "off" → null
+export function parseLimit(spec, where) {
+  if (String(spec).trim() === "off") return null;
+  const match = /^(\d+)\s*\/\s*(\d*)\s*([smhd])$/.exec(String(spec).trim());
+  if (!match || Number(match[1]) < 1) throw new Error(`${where}: expected <count>/<window> like 60/1m, or off`);
+  return { max: Number(match[1]), windowMs: (Number(match[2]) || 1) * UNIT_MS[match[3]] };
+}
+
+function loadPolicies() {
+  const policies = {};
+  for (const [policy, limits] of Object.entries(DEFAULT_POLICIES)) {
+    policies[policy] = {};
+    for (const [dimension, fallback] of Object.entries(limits)) {
+      const name = `RATE_LIMIT_${policy}_${dimension}`.toUpperCase();
+      policies[policy][dimension] = parseLimit(process.env[name] ?? fallback, name);
+    }
+  }
+  return policies;
+}
+
+export function createMemoryLimitStore() {
+  const windows = new Map(); // key → { count, resetAt }
+  let nextSweep = 0;
+  return {
+    async hit(key, windowMs, now = Date.now()) {
+      if (now >= nextSweep) {
+        for (const [k, w] of windows) if (w.resetAt <= now) windows.delete(k);
+        nextSweep = now + 60_000;
+      }
+      let w = windows.get(key);
+      if (!w || w.resetAt <= now) {
+        w = { count: 0, resetAt: now + windowMs };
+        windows.set(key, w);
+      }
+      w.count += 1;
+      return { count: w.count, resetAt: w.resetAt };
+    }
+  };
+}
+
+// counters: createCounterRepository(store); windows align to multiples of windowMs
+export function createSharedLimitStore(counters) {
+  return {
+    async hit(key, windowMs, now = Date.now()) {
+      const start = Math.floor(now / windowMs) * windowMs;
+      const resetAt = start + windowMs;
+      const count = await counters.hit(key, start, new Date(resetAt));
+      return { count, resetAt };
+    }
+  };
+}
+
+/**
+ * limitStore: anything with hit(key, windowMs) → { count, resetAt }
+ */
+export function createRateLimiter(limitStore, policies = loadPolicies()) {
+  return {
+    policies,
+
+    /**
+     * Count one request against `policy`/`dimension` for `id`.
+     * Returns { ok: true } when the dimension is off or under its limit, else
+     * { ok: false, max, retryAfter } with retryAfter in whole seconds.
+     */
+    async hit(policy, dimension, id, now = Date.now()) {
+      const limit = policies[policy]?.[dimension];
+      if (!limit || !id) return { ok: true };
+      const { count, resetAt } = await limitStore.hit(`${policy}:${dimension}:${id}`, limit.windowMs, now);
+      if (count <= limit.max) return { ok: true };
+      return { ok: false, max: limit.max, retryAfter: Math.max(1, Math.ceil((resetAt - now) / 1000)) };
+    }
+  };
+}
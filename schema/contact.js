@@ -0,0 +1,29 @@
+// schema/contact.js — fields backoffice may write on contacts/{phone}
+//
+// The phone is the document ID, so it is not a field here. `name` is only
+// required on create; updates validate against the same properties.
+
+export const CONTACT_SCHEMA = {
+  title: "ContactFields",
+  type: "object",
+  description: "Writable contact fields; unknown fields are rejected",
+  additionalProperties: false,
+  required: ["name"],
+  properties: {
+    name: { type: "string" },
+    business: { type: "string" },
+    cslb: { type: "string", description: "Contractor license number" },
+    licenseAuthority: {
+      type: "string",
+      enum: ["CSLB", "NSCB", "AZROC", "ORCCB"],
+      description: "Authority for cslb (default CSLB)"
+    },
+    email: { type: "string", format: "email" },
+    language: { type: "string", description: "Greeting language (en, es); empty to use the called number's" },
+    notes: { type: "string" },
+    source: { type: "string" },
+    lastChannel: { type: "string" },
+    tags: { type: "array", items: { type: "string" } },
+    isRegistered: { type: "boolean" }
+  }
+};
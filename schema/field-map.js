@@ -0,0 +1,107 @@
+// schema/field-map.js — versioned upsert contract → one canonical pending contact
+//
+// v2 is the canonical camelCase shape in schema/pending-contact.js. v1 is the
+// legacy snake_case shape the SMS intake agent was configured with; it has no
+// survey fields, so those get neutral defaults. Either version accepts the
+// other's field names, and every legacy name used is reported back as
+// deprecated so clients can migrate at their own pace.
+
+import { PENDING_CONTACT_SCHEMA } from "./pending-contact.js";
+
+export const API_VERSIONS = ["v1", "v2"];
+
+// Legacy (v1) field name → canonical field name
+export const V1_FIELD_MAP = {
+  raw_number: "rawPhone",
+  phone_number: "phone",
+  business_name: "company",
+  contact_name: "name",
+  contact_email: "email",
+  business_address: "location",
+  trade_type: "constructionType",
+  contact_method: "contactMethod",
+  is_repeat: "isRepeat",
+  last_contact_date: "lastContactDate",
+  created_date: "createdDate",
+  call_count: "callCount",
+  license_number: "licenseNumber",
+  license_authority: "licenseAuthority",
+  business_type: "businessType",
+  language_used: "languageUsed"
+};
+
+const V1_NAME_BY_CANONICAL = Object.fromEntries(Object.entries(V1_FIELD_MAP).map(([v1, canonical]) => [canonical, v1]));
+
+// Canonical fields v1 clients never send
+export const V1_DEFAULTS = {
+  jobTitle: "",
+  companySize: "",
+  painPoints: "",
+  currentTools: "",
+  featureInterest: [],
+  participateFeedback: false
+};
+
+// v1 request schema, derived from the canonical one so the two cannot drift
+export const PENDING_CONTACT_V1_SCHEMA = {
+  title: "PendingContactRequestV1",
+  type: "object",
+  description: "Deprecated snake_case shape; use PendingContactRequest (/v2/pending-contacts/upsert)",
+  deprecated: true,
+  required: PENDING_CONTACT_SCHEMA.required.filter((f) => !(f in V1_DEFAULTS)).map((f) => V1_NAME_BY_CANONICAL[f]),
+  properties: Object.fromEntries(
+    Object.entries(V1_FIELD_MAP).map(([v1, canonical]) => {
+      const { description, ...rest } = PENDING_CONTACT_SCHEMA.properties[canonical];
+      return [v1, { ...rest, description: `${description ? `${description}. ` : ""}Deprecated: use ${canonical}` }];
+    })
+  )
+};
+
+// Unversioned requests are v1 when they use any legacy field name
+export function detectVersion(body) {
+  return Object.keys(body || {}).some((key) => key in V1_FIELD_MAP) ? "v1" : "v2";
+}
+
+/**
+ * Map a v1/v2 upsert body onto the canonical record.
+ * Returns { record, deprecated: [{ field, replacement }], fieldNames } where
+ * fieldNames maps canonical names back to what the client sent (for errors).
+ * A canonical name wins over its legacy alias when a body carries both.
+ */
+export function toCanonicalPendingContact(body, version) {
+  const record = version === "v1" ? { ...V1_DEFAULTS } : {};
+  const fieldNames = {};
+  const deprecated = [];
+
+  for (const [key, value] of Object.entries(body || {})) {
+    const canonical = V1_FIELD_MAP[key];
+    if (!canonical) {
+      record[key] = value;
+      fieldNames[key] = key;
+      continue;
+    }
+    deprecated.push({ field: key, replacement: canonical });
+    if (canonical in body) continue;
+    record[canonical] = value;
+    fieldNames[canonical] = key;
+  }
+
+  // Legacy clients sometimes send only raw_number; it is normalized like phone
+  if (record.phone === undefined && record.rawPhone !== undefined) {
+    record.phone = record.rawPhone;
+    fieldNames.phone = fieldNames.rawPhone;
+  }
+
+  return { record, deprecated, fieldNames };
+}
+
+// Rewrite canonical error paths into the names the client used (or its version's names)
+export function toClientErrors(errors, version, fieldNames) {
+  return errors.map((err) => {
+    const [field, ...rest] = err.path.split(/(?=[.[])/);
+    const name = fieldNames[field] ?? (version === "v1" ? V1_NAME_BY_CANONICAL[field] : undefined) ?? field;
+    if (name === field) return err;
+    const message = err.message.replace(new RegExp(`^${field}(?=[ .[])|(?<=: )${field}$`), name);
+    return { ...err, path: [name, ...rest].join(""), message };
+  });
+}
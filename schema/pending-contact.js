@@ -0,0 +1,80 @@
+// schema/pending-contact.js — the pending contact contract (single source of truth)
+//
+// Drives validatePendingContact() in server.js, the PendingContactRequest schema
+// in openapi.yaml and the pending_contacts_upsert input in tools.yaml
+// (regenerate both with `npm run schema:sync`). firestore.rules mirrors the
+// required list by hand.
+
+export const PENDING_CONTACT_SCHEMA = {
+  title: "PendingContactRequest",
+  type: "object",
+  required: [
+    "phone", "company", "name", "email", "location", "constructionType",
+    "jobTitle", "companySize", "painPoints", "currentTools", "featureInterest", "participateFeedback",
+    "contactMethod", "isRepeat", "lastContactDate", "createdDate", "callCount",
+    "licenseNumber", "businessType", "languageUsed"
+  ],
+  properties: {
+    phone: {
+      type: "string",
+      format: "phone",
+      description: "Phone number; normalized to E.164 and used as the document ID. Numbers without a country code are read in PHONE_DEFAULT_REGION; extensions (x123) are stored separately",
+      example: "+14155551212"
+    },
+    rawPhone: { type: "string", description: "Phone number exactly as the caller gave it", example: "(415) 555-1212" },
+    company: { type: "string", example: "ABC Construction LLC" },
+    name: { type: "string", example: "John Doe" },
+    email: { type: "string", format: "email", example: "john@abcconstruction.com" },
+    location: { type: "string", example: "123 Main St, San Francisco, CA 94105" },
+    constructionType: { type: "string", example: "General Contractor" },
+    jobTitle: { type: "string", example: "Project Manager" },
+    companySize: { type: "string", example: "10-50 employees" },
+    painPoints: { type: "string", example: "Difficulty tracking project progress" },
+    currentTools: { type: "string", example: "Excel spreadsheets" },
+    featureInterest: {
+      type: "array",
+      items: { type: "string" },
+      example: ["project_management", "scheduling"]
+    },
+    participateFeedback: { type: "boolean", example: true },
+    contactMethod: { type: "string", enum: ["text", "phone", "email"], example: "email" },
+    isRepeat: { type: "boolean", example: false },
+    lastContactDate: { type: "string", example: "2025-01-27T10:30:00.000Z" },
+    createdDate: { type: "string", example: "2025-01-27T10:30:00.000Z" },
+    callCount: { type: "integer", minimum: 0, example: 1 },
+    licenseNumber: {
+      type: "string",
+      format: "license-number",
+      description: "Contractor license number; empty when unlicensed",
+      example: "1234567"
+    },
+    licenseAuthority: {
+      type: "string",
+      enum: ["CSLB", "NSCB", "AZROC", "ORCCB"],
+      description: "Authority for licenseNumber (default CSLB)"
+    },
+    businessType: { type: "string", enum: ["LLC", "INC.", "Sole Proprietorship"], example: "LLC" },
+    languageUsed: { type: "string", example: "en" },
+    smsConsent: {
+      type: "boolean",
+      description: "Answer to the SMS consent question: true records an opt-in, false an opt-out (sms_consent); omit when not asked",
+      example: true
+    },
+    smsConsentVersion: {
+      type: "string",
+      description: "Version of the consent wording the person agreed to",
+      example: "sms-terms-2026-10"
+    }
+  }
+};
+
+// Per-field error returned in `details` when validation fails
+export const FIELD_ERROR_SCHEMA = {
+  type: "object",
+  required: ["path", "rule", "message"],
+  properties: {
+    path: { type: "string", example: "contactMethod" },
+    rule: { type: "string", example: "enum" },
+    message: { type: "string", example: "contactMethod must be one of: text, phone, email" }
+  }
+};
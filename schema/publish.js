@@ -0,0 +1,78 @@
+// schema/publish.js — OpenAPI and tool manifests generated from schema/*.js
+//
+// openapi.yaml and tools.yaml stay the hand-written documents for everything
+// else; the parts below are overwritten from the schemas, both when the
+// service serves /openapi.json and /tools.json and when `npm run schema:sync`
+// rewrites the files.
+
+import fs from "node:fs";
+import YAML from "yaml";
+import { CONTACT_SCHEMA } from "./contact.js";
+import { PENDING_CONTACT_V1_SCHEMA } from "./field-map.js";
+import { FIELD_ERROR_SCHEMA, PENDING_CONTACT_SCHEMA } from "./pending-contact.js";
+
+const OPENAPI_FILE = new URL("../openapi.yaml", import.meta.url);
+const TOOLS_FILE = new URL("../tools.yaml", import.meta.url);
+
+// JSON Schema → OpenAPI 3.0 schema object (drops keywords OpenAPI 3.0 rejects)
+function toOpenApi(schema) {
+  const { title: _title, ...rest } = schema;
+  return JSON.parse(JSON.stringify(rest));
+}
+
+function toolByName(doc, name) {
+  const tools = doc.get("tools");
+  const tool = tools.items.find((t) => t.get("name") === name);
+  if (!tool) throw new Error(`tools.yaml has no tool named ${name}`);
+  return tool;
+}
+
+function applyOpenApi(doc) {
+  doc.setIn(["components", "schemas", "PendingContactRequest"], doc.createNode(toOpenApi(PENDING_CONTACT_SCHEMA)));
+  doc.setIn(["components", "schemas", "PendingContactRequestV1"], doc.createNode(toOpenApi(PENDING_CONTACT_V1_SCHEMA)));
+  doc.setIn(["components", "schemas", "ContactFields"], doc.createNode(toOpenApi(CONTACT_SCHEMA)));
+  doc.setIn(["components", "schemas", "FieldError"], doc.createNode(toOpenApi(FIELD_ERROR_SCHEMA)));
+  doc.setIn(
+    ["components", "schemas", "ValidationErrorResponse", "properties", "details"],
+    doc.createNode({ type: "array", items: { $ref: "#/components/schemas/FieldError" } })
+  );
+  return doc;
+}
+
+function applyTools(doc) {
+  const upsert = toolByName(doc, "pending_contacts_upsert");
+  upsert.setIn(["io", "input"], doc.createNode(toOpenApi(PENDING_CONTACT_SCHEMA)));
+  upsert.setIn(["io", "output", "properties", "details"], doc.createNode({ type: "array", items: toOpenApi(FIELD_ERROR_SCHEMA) }));
+  return doc;
+}
+
+const load = (file) => YAML.parseDocument(fs.readFileSync(file, "utf8"));
+// Match each file's existing flow style: openapi.yaml `[a, b]`, tools.yaml `{ a: b }`
+const render = (doc, flowCollectionPadding) => doc.toString({ lineWidth: 0, flowCollectionPadding });
+
+export function buildOpenApi() {
+  return applyOpenApi(load(OPENAPI_FILE)).toJS();
+}
+
+export function buildToolsManifest() {
+  return applyTools(load(TOOLS_FILE)).toJS();
+}
+
+// Rewrite openapi.yaml / tools.yaml from the schemas. With check=true nothing is
+// written; returns the files that are out of date.
+export function syncSpecFiles({ check = false } = {}) {
+  const stale = [];
+  const files = [
+    [OPENAPI_FILE, applyOpenApi, false],
+    [TOOLS_FILE, applyTools, true]
+  ];
+  for (const [file, apply, padding] of files) {
+    const current = fs.readFileSync(file, "utf8");
+    const next = render(apply(YAML.parseDocument(current)), padding);
+    if (next !== current) {
+      stale.push(file.pathname);
+      if (!check) fs.writeFileSync(file, next);
+    }
+  }
+  return stale;
+}
@@ -0,0 +1,88 @@
+// schema/validate.js — small JSON Schema validator for the keywords our schemas use
+//
+// Supported: type, required, properties, additionalProperties (false), items,
+// enum, minimum, minLength, pattern, format. Returns a list of
+// { path, rule, message } — empty when the value is valid.
+
+import { validateLicenseNumber } from "../licensing/index.js";
+import { parsePhone } from "../phone/index.js";
+
+// Each format returns an error message, or null when the value is acceptable
+const FORMATS = {
+  email: (v, _parent, label) => (!v || v.includes("@") ? null : `${label} must be a valid email address`),
+  phone: (v, _parent, label) => {
+    const phone = parsePhone(v);
+    return phone.valid ? null : `${label} is invalid: ${phone.errors[0]}`;
+  },
+  // Empty means "no license"; otherwise the authority's format rules apply
+  "license-number": (v, parent, label) => {
+    if (!v.trim()) return null;
+    const license = validateLicenseNumber(v, parent?.licenseAuthority);
+    return license.valid ? null : `${label} is invalid: ${license.errors[0]}`;
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+const article = (type) => (/^[aeiou]/.test(type) ? "an" : "a");
+
+export function validateSchema(schema, value, path = "", parent = undefined) {
+  const errors = [];
+  const label = path || "body";
+  const fail = (rule, message) => errors.push({ path: label, rule, message });
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    fail("type", `${label} must be ${article(schema.type)} ${schema.type}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail("enum", `${label} must be one of: ${schema.enum.join(", ")}`);
+  }
+  if (schema.minimum !== undefined && typeof value === "number" && value < schema.minimum) {
+    fail("minimum", schema.minimum === 0 ? `${label} must be a non-negative integer` : `${label} must be >= ${schema.minimum}`);
+  }
+  if (schema.minLength !== undefined && typeof value === "string" && value.length < schema.minLength) {
+    fail("minLength", `${label} must be at least ${schema.minLength} characters`);
+  }
+  if (schema.pattern && typeof value === "string" && !new RegExp(schema.pattern).test(value)) {
+    fail("pattern", `${label} has an invalid format`);
+  }
+  if (schema.format && typeof value === "string" && FORMATS[schema.format]) {
+    const message = FORMATS[schema.format](value, parent, label);
+    if (message) fail("format", message);
+  }
+
+  if (schema.type === "array" && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${label}[${i}]`, value)));
+  }
+
+  if (schema.type === "object") {
+    for (const field of schema.required || []) {
+      if (!(field in value)) {
+        errors.push({ path: path ? `${path}.${field}` : field, rule: "required", message: `Missing required field: ${field}` });
+      }
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+      const child = path ? `${path}.${field}` : field;
+      const fieldSchema = schema.properties?.[field];
+      if (fieldSchema) {
+        if (fieldValue !== undefined) errors.push(...validateSchema(fieldSchema, fieldValue, child, value));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: child, rule: "additionalProperties", message: `Unknown field: ${field}` });
+      }
+    }
+  }
+
+  return errors;
+}
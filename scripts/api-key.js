@@ -0,0 +1,16 @@
+// scripts/api-key.js — mint a key for API_KEYS_FILE
+//
+//   npm run api-key -- <id>   print a new key (give it to the client) and the
+//                             hash to put in API_KEYS_FILE under that id
+
+import { generateKey } from "../apikeys/index.js";
+
+const id = process.argv[2];
+if (!/^[A-Za-z0-9_-]{3,64}$/.test(id || "")) {
+  console.error("usage: npm run api-key -- <id>   (3-64 letters, digits, _ or -)");
+  process.exit(1);
+}
+
+const { key, hash } = generateKey(id);
+console.log(`key:  ${key}`);
+console.log(`hash: ${hash}`);
@@ -0,0 +1,51 @@
+// scripts/backfill-search.js — write the `search` map (search/index.js) on
+// contacts and pending contacts saved before /contacts/search existed
+//
+//   npm run search:backfill              every tenant's collections
+//   npm run search:backfill -- --dry-run count what would change
+//
+// Uses the same STORAGE_BACKEND / TENANTS_FILE / FIELD_ENCRYPTION_* environment
+// as the server (with encryption on, keys from encrypted fields are written as
+// blind indexes). Safe to re-run: documents whose search map is current are
+// left alone.
+
+import { createStore } from "../storage/index.js";
+import { encryptFields, encryptedStore, loadFieldEncryption } from "../storage/encryption.js";
+import { blindIndexedKeys, searchKeys } from "../search/index.js";
+import { createTenantRegistry } from "../tenants/index.js";
+
+const dryRun = process.argv.includes("--dry-run");
+const encryption = loadFieldEncryption();
+const indexed = encryption ? blindIndexedKeys(encryption.fields) : [];
+const store = encryptedStore(
+  createStore({
+    backend: process.env.STORAGE_BACKEND || "firestore",
+    file: process.env.STORAGE_FILE || ".data/store.json"
+  }),
+  encryption,
+  { appliesTo: () => true, blindIndexed: indexed }
+);
+// The search map as it is stored
+const stored = (search) => (encryption ? encryptFields(encryption, indexed, { search }).search : search);
+
+let failed = false;
+for (const tenant of createTenantRegistry(store).list()) {
+  for (const repo of [tenant.repos.contacts, tenant.repos.pending]) {
+    let updated = 0;
+    const docs = await repo.query({});
+    for (const { id, data } of docs) {
+      const search = searchKeys(data);
+      if (JSON.stringify(stored(search)) === JSON.stringify(data.search)) continue;
+      updated += 1;
+      if (dryRun) continue;
+      try {
+        await repo.update(id, { search });
+      } catch (err) {
+        failed = true;
+        console.error(`${tenant.id} ${repo.collection}/${id}: ${err.message}`);
+      }
+    }
+    console.log(`${tenant.id} ${repo.collection}: ${updated}/${docs.length} ${dryRun ? "to update" : "updated"}`);
+  }
+}
+process.exit(failed ? 1 : 0);
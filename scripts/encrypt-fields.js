@@ -0,0 +1,60 @@
+// scripts/encrypt-fields.js — encrypt FIELD_ENCRYPTION_FIELDS (storage/encryption.js)
+// in contacts and pending contacts saved in plain text or under an older key
+//
+//   npm run encrypt:backfill              every tenant's collections
+//   npm run encrypt:backfill -- --dry-run count what would change
+//
+// Uses the same STORAGE_BACKEND / TENANTS_FILE / FIELD_ENCRYPTION_* environment
+// as the server. Covers the documents, their audit trail and submission
+// history (the subcollections that copy these fields). Safe to re-run:
+// documents already encrypted under the first key are left alone. After a
+// key rotation, run it before removing the old key.
+
+import { CONTACT_AUDIT, SUBMISSIONS, createStore } from "../storage/index.js";
+import { decryptFields, encryptFields, loadFieldEncryption, needsEncryption } from "../storage/encryption.js";
+import { blindIndexedKeys } from "../search/index.js";
+import { createTenantRegistry } from "../tenants/index.js";
+
+const dryRun = process.argv.includes("--dry-run");
+const config = loadFieldEncryption();
+if (!config) {
+  console.error("FIELD_ENCRYPTION_KEYS is not set: nothing to encrypt with");
+  process.exit(1);
+}
+const indexed = blindIndexedKeys(config.fields);
+const store = createStore({
+  backend: process.env.STORAGE_BACKEND || "firestore",
+  file: process.env.STORAGE_FILE || ".data/store.json"
+});
+
+let failed = false;
+
+// Rewrite the stale documents of one collection; returns [updated, total]
+async function encryptCollection(collection) {
+  let updated = 0;
+  const docs = await store.query(collection, {});
+  for (const { id, data } of docs) {
+    if (!needsEncryption(config, indexed, data)) continue;
+    updated += 1;
+    if (dryRun) continue;
+    try {
+      await store.set(collection, id, encryptFields(config, indexed, decryptFields(config, data)));
+    } catch (err) {
+      failed = true;
+      console.error(`${collection}/${id}: ${err.message}`);
+    }
+  }
+  return [updated, docs.length];
+}
+
+for (const tenant of createTenantRegistry(store).list()) {
+  for (const [collection, sub] of [[tenant.collections.contacts, CONTACT_AUDIT], [tenant.collections.pending, SUBMISSIONS]]) {
+    const [updated, total] = await encryptCollection(collection);
+    let history = 0;
+    for (const { id } of await store.query(collection, {})) {
+      history += (await encryptCollection(`${collection}/${id}/${sub}`))[0];
+    }
+    console.log(`${tenant.id} ${collection}: ${updated}/${total} ${dryRun ? "to update" : "updated"}, ${history} ${sub} entries`);
+  }
+}
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,21 @@
+// scripts/log-hash.js — what a phone number or email looks like in logs with LOG_PII=hash
+//
+//   npm run log-hash -- +14155551212 john@abc.com
+//
+// Uses LOG_HASH_KEY from the environment, like the server; search the logs
+// for the printed value (jsonPayload.phone_e164="phone:...").
+
+import { logHash } from "../observability/redact.js";
+import { toE164 } from "../phone/index.js";
+
+const values = process.argv.slice(2);
+if (values.length === 0) {
+  console.error("usage: npm run log-hash -- <phone or email> ...");
+  process.exit(1);
+}
+
+for (const value of values) {
+  const kind = value.includes("@") ? "email" : "phone";
+  const normalized = kind === "phone" ? toE164(value) || value : value;
+  console.log(`${value}  ${logHash(kind, normalized)}`);
+}
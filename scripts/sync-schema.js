@@ -0,0 +1,18 @@
+// scripts/sync-schema.js — regenerate schema-derived parts of openapi.yaml and tools.yaml
+//
+//   npm run schema:sync    rewrite the files
+//   npm run schema:check   exit 1 if they are out of date
+
+import { syncSpecFiles } from "../schema/publish.js";
+
+const check = process.argv.includes("--check");
+const stale = syncSpecFiles({ check });
+
+if (stale.length === 0) {
+  console.log("openapi.yaml and tools.yaml are in sync with schema/");
+} else if (check) {
+  console.error(`Out of date (run npm run schema:sync):\n  ${stale.join("\n  ")}`);
+  process.exit(1);
+} else {
+  console.log(`Updated:\n  ${stale.join("\n  ")}`);
+}
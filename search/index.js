@@ -0,0 +1,222 @@
+// search/index.js — contact search by email, license number, company and name
+//
+// Firestore has no case-insensitive or substring queries, so every contact and
+// pending contact carries a `search` map written alongside the document:
+//
+//   search: {
+//     email: "john@abc.com",                 exact, lowercased
+//     license: "1234567",                    exact, uppercase letters/digits only
+//     nameTerms: ["jo", "joh", "john", ...], prefixes of each name word
+//     companyTerms: ["ab", "abc", "co", ...] prefixes of each company word
+//   }
+//
+// Words are lowercased with accents, punctuation and company suffixes (LLC,
+// Inc, ...) removed, so "Peña Construcción, LLC" is found by "pena constr".
+// One criterion drives the query (email, then license, name, company); the
+// others filter the candidates. Documents written before search existed are
+// indexed by `npm run search:backfill`.
+//
+// With field-level encryption (storage/encryption.js), the keys built from
+// encrypted fields are stored as blind indexes (keyed hashes of the value, or
+// of each prefix term), so search works the same without the plain values.
+
+import { DOCUMENT_ID } from "../storage/index.js";
+
+const MIN_PREFIX = 2;
+const MAX_PREFIX = 15;
+// Candidates read per search call; the cursor continues where a call stopped
+const SCAN_LIMIT = parseInt(process.env.SEARCH_SCAN_LIMIT, 10) || 200;
+const COMPANY_SUFFIXES = new Set(["llc", "inc", "corp", "co", "ltd", "company", "corporation", "incorporated", "sa", "cv", "de"]);
+
+// Each scope sees these result fields; a key sees the union of its scopes'
+export const FIELDS_BY_SCOPE = {
+  "contacts:read": ["phone_e164", "kind", "name", "company", "isRegistered", "status", "matched"],
+  admin: [
+    "phone_e164", "kind", "name", "company", "isRegistered", "status", "matched",
+    "email", "licenseNumber", "location", "language", "tags", "notes", "lastChannel", "callCount", "updatedAt"
+  ]
+};
+export const SEARCH_SCOPES = Object.keys(FIELDS_BY_SCOPE);
+
+export function normalizeWords(value) {
+  return String(value ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .split(" ")
+    .filter(Boolean);
+}
+
+export const normalizeEmail = (value) => String(value ?? "").trim().toLowerCase();
+export const normalizeLicense = (value) => String(value ?? "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+const companyWords = (value) => normalizeWords(value).filter((word) => !COMPANY_SUFFIXES.has(word));
+
+function prefixes(words) {
+  const terms = new Set();
+  for (const word of words) {
+    for (let n = Math.min(MIN_PREFIX, word.length); n <= Math.min(word.length, MAX_PREFIX); n++) {
+      terms.add(word.slice(0, n));
+    }
+  }
+  return [...terms];
+}
+
+// Contacts say business/cslb, pending contacts company/licenseNumber
+const companyOf = (doc) => doc?.company ?? doc?.business ?? "";
+const licenseOf = (doc) => doc?.licenseNumber ?? doc?.cslb ?? "";
+
+// Document fields each search key is built from
+const KEY_SOURCES = {
+  email: ["email"],
+  license: ["licenseNumber", "cslb"],
+  nameTerms: ["name"],
+  companyTerms: ["company", "business"]
+};
+
+// "search.<key>" paths to store as blind indexes when `fields` are encrypted
+export function blindIndexedKeys(fields) {
+  return Object.keys(KEY_SOURCES)
+    .filter((key) => KEY_SOURCES[key].some((field) => fields.includes(field)))
+    .map((key) => `search.${key}`);
+}
+
+/** The `search` map for a contact or pending contact document. */
+export function searchKeys(doc) {
+  return {
+    email: normalizeEmail(doc?.email),
+    license: normalizeLicense(licenseOf(doc)),
+    nameTerms: prefixes(normalizeWords(doc?.name)),
+    companyTerms: prefixes(companyWords(companyOf(doc)))
+  };
+}
+
+export const withSearchKeys = (doc) => ({ ...doc, search: searchKeys(doc) });
+
+/**
+ * Normalize a search request. Returns { criteria } or { error }.
+ * Name and company words shorter than MIN_PREFIX are ignored (initials).
+ */
+export function parseCriteria(input = {}) {
+  const criteria = {};
+  const email = normalizeEmail(input.email);
+  if (email) criteria.email = email;
+  const license = normalizeLicense(input.license_number ?? input.licenseNumber ?? input.license);
+  if (license) criteria.license = license;
+  for (const [field, words] of [["name", normalizeWords(input.name)], ["company", companyWords(input.company)]]) {
+    if (words.length === 0) continue;
+    const usable = words.filter((word) => word.length >= MIN_PREFIX);
+    if (usable.length === 0) return { error: `${field}_too_short` };
+    criteria[field] = usable.map((word) => word.slice(0, MAX_PREFIX));
+  }
+  return Object.keys(criteria).length > 0 ? { criteria } : { error: "missing_criteria" };
+}
+
+// The store query for the most selective criterion
+function queryFor(criteria) {
+  if (criteria.email) return [["search.email", "==", criteria.email]];
+  if (criteria.license) return [["search.license", "==", criteria.license]];
+  if (criteria.name) return [["search.nameTerms", "array-contains", criteria.name[0]]];
+  return [["search.companyTerms", "array-contains", criteria.company[0]]];
+}
+
+// Which criteria a document satisfies; it is a result only if it satisfies all.
+// Keys are rebuilt from the document: stored ones may be blind indexes.
+function matchCriteria(doc, criteria) {
+  const keys = searchKeys(doc);
+  const checks = {
+    email: () => keys.email === criteria.email,
+    license: () => keys.license === criteria.license,
+    name: () => criteria.name.every((word) => keys.nameTerms.includes(word)),
+    company: () => criteria.company.every((word) => keys.companyTerms.includes(word))
+  };
+  const matched = Object.keys(criteria).filter((field) => checks[field]());
+  return matched.length === Object.keys(criteria).length ? matched : null;
+}
+
+// One result row, reduced to the fields the key's scopes may see
+function toResult(kind, id, doc, matched, scopes) {
+  const row = {
+    phone_e164: id,
+    kind,
+    name: doc.name ?? "",
+    company: companyOf(doc),
+    isRegistered: kind === "contact" ? !!doc.isRegistered : false,
+    status: kind === "contact" ? "registered" : doc.status ?? "",
+    matched,
+    email: doc.email ?? "",
+    licenseNumber: licenseOf(doc),
+    location: doc.location ?? "",
+    language: doc.language ?? doc.languageUsed ?? "",
+    tags: Array.isArray(doc.tags) ? doc.tags : [],
+    notes: doc.notes ?? "",
+    lastChannel: doc.lastChannel ?? "",
+    callCount: doc.callCount ?? 0,
+    updatedAt: doc.updatedAt ?? null
+  };
+  const visible = new Set(scopes.flatMap((scope) => FIELDS_BY_SCOPE[scope] ?? []));
+  return Object.fromEntries(Object.entries(row).filter(([field]) => visible.has(field)));
+}
+
+// Contacts are scanned before pending contacts, each in document id order
+const SOURCES = [["contact", "contacts"], ["pending", "pending"]];
+
+// A cursor is where the scan stopped: "<source index>:<last document id read>"
+const encodeCursor = (source, id) => Buffer.from(`${source}:${id}`).toString("base64url");
+function decodeCursor(cursor) {
+  const match = /^([01]):(.*)$/s.exec(cursor ? Buffer.from(String(cursor), "base64url").toString() : "");
+  return match ? { source: Number(match[1]), id: match[2] } : { source: 0, id: "" };
+}
+
+/**
+ * Search a tenant's contacts and pending contacts.
+ * repos: tenant.repos; scopes: the API key's scopes (decide visible fields).
+ * Registered contacts come first, then pending ones, each by phone; a pending
+ * doc whose phone is already a contact is left out. Returns
+ * { results, nextCursor, truncated }.
+ *
+ * Candidates are read in document id order, continuing from the cursor, at
+ * most SCAN_LIMIT per call. When that budget runs out before the page is full,
+ * the page is short and truncated is true; nextCursor carries on from the last
+ * candidate read, so every match is reachable by following it.
+ */
+export async function searchContacts(repos, criteria, { scopes, limit = 10, cursor = null } = {}) {
+  const where = queryFor(criteria);
+  const from = decodeCursor(cursor);
+  const rows = [];
+  let budget = SCAN_LIMIT;
+  let stopped = null; // { source, id } when the budget ran out
+
+  for (let source = from.source; source < SOURCES.length && rows.length <= limit && !stopped; source += 1) {
+    const [kind, repo] = SOURCES[source];
+    const after = source === from.source ? from.id : "";
+    const docs = await repos[repo].query({
+      where,
+      orderBy: { field: DOCUMENT_ID },
+      ...(after ? { startAfter: after } : {}),
+      limit: budget
+    });
+    budget -= docs.length;
+    let last = after;
+    // One row past the page tells whether there is a next one
+    for (const doc of docs) {
+      if (rows.length > limit) break;
+      last = doc.id;
+      const matched = matchCriteria(doc.data, criteria);
+      if (!matched) continue;
+      if (kind === "pending" && (await repos.contacts.get(doc.id))) continue;
+      rows.push({ kind, source, id: doc.id, data: doc.data, matched });
+    }
+    if (budget === 0 && rows.length <= limit) stopped = { source, id: last };
+  }
+
+  const page = rows.slice(0, limit);
+  const next = rows.length > limit ? page[page.length - 1] : stopped;
+  return {
+    results: page.map((row) => toResult(row.kind, row.id, row.data, row.matched, scopes)),
+    nextCursor: next ? encodeCursor(next.source, next.id) : null,
+    truncated: rows.length <= limit && !!stopped
+  };
+}
@@ -1,121 +1,312 @@
 // server.js — Node 20, Express, Firestore
 
+import crypto from "node:crypto";
 import express from "express";
-import { Firestore, FieldValue } from "@google-cloud/firestore";
+import {
+  createCounterRepository,
+  createKeyRepository,
+  createStore,
+  createWebhookRepositories,
+  serverTimestamp,
+  increment,
+  isSentinel,
+  timedStore,
+  watchedStore
+} from "./storage/index.js";
+import { encryptedStore, loadFieldEncryption } from "./storage/encryption.js";
+import { createKeyRegistry } from "./apikeys/index.js";
+import { FORMATS, coerceRow, contentType, mapRow, parseMapping, readRows, requestFormat, writeRows } from "./bulk/index.js";
+import { CONSENT_ACTIONS, CONSENT_CHANNELS, consentState, matchKeyword, recordConsent } from "./consent/index.js";
+import { runEnrichers } from "./enrichment/index.js";
+import { createCircuitBreaker, withDeadline } from "./lib/breaker.js";
+import { createLruCache } from "./lib/cache.js";
+import { ARRAY_STRATEGIES, isBlank, mergeFields } from "./lib/merge.js";
+import { DEFAULT_AUTHORITY, describeLicense, lookupLicense } from "./licensing/index.js";
+import { callerState, normalizeLanguage, renderGreeting, resolveLanguage } from "./greetings/index.js";
+import { renderVariables, selectProfile } from "./mapping/index.js";
+import { SEVERITY, createMetrics, observeRequests, requestLogFields } from "./observability/index.js";
+import { redactLogEntry } from "./observability/redact.js";
+import { parsePhone, toE164 } from "./phone/index.js";
+import { createMemoryLimitStore, createRateLimiter, createSharedLimitStore } from "./ratelimit/index.js";
+import { SEARCH_SCOPES, blindIndexedKeys, parseCriteria, searchContacts, searchKeys, withSearchKeys } from "./search/index.js";
+import { CONTACT_SCHEMA } from "./schema/contact.js";
+import { PENDING_CONTACT_SCHEMA } from "./schema/pending-contact.js";
+import { V1_FIELD_MAP, detectVersion, toCanonicalPendingContact, toClientErrors } from "./schema/field-map.js";
+import { buildOpenApi, buildToolsManifest } from "./schema/publish.js";
+import { validateSchema } from "./schema/validate.js";
+import { createTenantRegistry } from "./tenants/index.js";
+import { MAX_MESSAGE_LENGTH, twiml, verifyTwilioSignature } from "./twilio/index.js";
+import { DELIVERY_STATUSES, EVENTS as WEBHOOK_EVENTS, createWebhookDispatcher } from "./webhooks/index.js";
 
 const app = express();
-app.use(express.json());
-
-const db = new Firestore();
+// Cloud Run's front end appends the client address to X-Forwarded-For;
+// trusting that one hop makes req.ip the caller (per-IP rate limits)
+// (TRUST_PROXY: hop count, true/false, or addresses/subnets as Express takes them)
+const TRUST_PROXY = process.env.TRUST_PROXY || "1";
+app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : { true: true, false: false }[TRUST_PROXY] ?? TRUST_PROXY);
+// Request id, trace correlation, one access log line and /metrics data per
+// request (observability/); mounted first so every request is counted
+const metrics = createMetrics();
+app.use(observeRequests({ metrics, log: logEvent }));
+// Keep the exact request bytes for webhook signature verification
+app.use(express.json({ verify: (req, _res, buf) => { req.rawBody = buf; } }));
 
 // Environment configuration
-const READ_SECRET = process.env.READ_SECRET || "";
-const INTAKE_SECRET = process.env.INTAKE_SECRET || "";
-const INTAKE_WRITE_TOKEN = process.env.INTAKE_WRITE_TOKEN || process.env.INTAKE_SECRET || "";
-const CONTACTS = process.env.CONTACTS_COLLECTION || "contacts";
-const PENDING = process.env.PENDING_CONTACTS_COLLECTION || "pending_contacts";
+// Collections are per tenant (tenants/index.js; legacy env vars become the
+// single "default" tenant when TENANTS_FILE is not set). Routes authenticate
+// with scoped API keys (apikeys/index.js).
 const PORT = process.env.PORT || 8080;
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || "firestore";
+const STORAGE_FILE = process.env.STORAGE_FILE || ".data/store.json";
 
-// Helper function to resolve the expected token from environment
-function expectedTokenFromEnv() {
-  return (
-    process.env.CALLER_REGISTRY_TOKEN ||
-    process.env.CALLER_INIT_TOKEN_V2 ||
-    process.env.READ_SECRET ||
-    process.env.INTAKE_SECRET ||
-    ""
-  );
+// Field-level encryption at rest for contacts and pending contacts, and the
+// webhook payloads copied from them (storage/encryption.js); off unless
+// FIELD_ENCRYPTION_KEYS is set
+const fieldEncryption = loadFieldEncryption();
+const WEBHOOK_DELIVERIES = process.env.WEBHOOK_DELIVERIES_COLLECTION || "webhook_deliveries";
+const storeLatency = metrics.histogram(
+  "store_operation_duration_seconds",
+  "Document store (Firestore) call latency, by operation",
+  ["backend", "operation", "outcome"]
+);
+const store = watchedStore(
+  timedStore(
+    encryptedStore(createStore({ backend: STORAGE_BACKEND, file: STORAGE_FILE }), fieldEncryption, {
+      appliesTo: (collection) => holdsContacts(collection) || collection === WEBHOOK_DELIVERIES,
+      blindIndexed: fieldEncryption ? blindIndexedKeys(fieldEncryption.fields) : []
+    }),
+    (operation, seconds, ok) =>
+      storeLatency.observe({ backend: STORAGE_BACKEND, operation, outcome: ok ? "ok" : "error" }, seconds)
+  ),
+  (collection, id) => invalidateClientData(collection, id)
+);
+const tenants = createTenantRegistry(store);
+
+// Any tenant's contacts or pending contacts, or their subcollections
+// (namespaced tenants included: tenants/acme/contacts/...)
+function holdsContacts(collection) {
+  return ["contacts", "pending"].includes(tenants.locate(collection)?.kind);
 }
+const apiKeys = createKeyRegistry({
+  repo: createKeyRepository(store, process.env.API_KEYS_COLLECTION || "api_keys"),
+  tenants
+});
+const limiter = createRateLimiter(
+  process.env.RATE_LIMIT_STORE === "store"
+    ? createSharedLimitStore(createCounterRepository(store, process.env.RATE_LIMIT_COLLECTION || "rate_limits"))
+    : createMemoryLimitStore()
+);
+const webhooks = createWebhookDispatcher({
+  repos: createWebhookRepositories(store, {
+    subscriptions: process.env.WEBHOOK_SUBSCRIPTIONS_COLLECTION || "webhook_subscriptions",
+    deliveries: WEBHOOK_DELIVERIES
+  }),
+  log: logEvent
+});
+
+// off: tokens only | optional: signature or token | required: signature only
+const ELEVENLABS_SIGNATURE_MODE =
+  process.env.ELEVENLABS_SIGNATURE_MODE || (tenants.list().some((t) => t.webhookSecret) ? "optional" : "off");
+const ELEVENLABS_SIGNATURE_TOLERANCE_SECS = parseInt(process.env.ELEVENLABS_SIGNATURE_TOLERANCE_SECS, 10) || 1800;
 
-// Helper function to check auth for client data route
-function passesClientDataAuth(req) {
-  const want = expectedTokenFromEnv();
-  if (!want) return false;
+// Keys a request presents, on every route alike: "Authorization: Bearer <key>",
+// the raw Authorization value, and X-Auth-Token
+function presentedKeys(req) {
   const rawAuth = req.get("Authorization") || "";
-  if (rawAuth.startsWith("Bearer ")) {
-    const bearer = rawAuth.slice(7);
-    if (bearer === want) return true;
-  }
-  // Accept raw token in Authorization as a fallback
-  if (rawAuth === want) return true;
-  // Accept X-Auth-Token as a secondary fallback
-  const x = req.get("X-Auth-Token") || "";
-  if (x === want) return true;
+  const keys = [rawAuth.startsWith("Bearer ") ? rawAuth.slice(7) : rawAuth, req.get("X-Auth-Token") || ""];
+  return [...new Set(keys.filter(Boolean))];
+}
+
+const authFailures = metrics.counter("auth_failures_total", "Rejected credentials, by route and reason", ["endpoint", "method", "reason"]);
+
+// Every rejected key or signature: one auth_fail line and auth_failures_total
+function authFailed(details) {
+  authFailures.inc({ endpoint: details.endpoint, method: details.method ?? "key", reason: details.reason });
+  logEvent("warn", "auth_fail", details);
+}
+
+// Key-authenticated routes: the tenant of the presented key with `scope` (or
+// any of an array of scopes). An X-Tenant-Id header, when sent, must name
+// that same tenant.
+async function authenticateTenant(req, endpoint, scope) {
+  const result = await apiKeys.authenticate(presentedKeys(req), scope);
+  const claimed = req.get("X-Tenant-Id");
+  if (!result.ok || (claimed && claimed !== result.tenant.id)) {
+    authFailed({
+      endpoint,
+      ip: req.ip,
+      scope,
+      reason: result.ok ? "tenant_mismatch" : result.reason,
+      keyId: result.ok ? result.key.id : result.keyId
+    });
+    return null;
+  }
+  req.apiKeyId = result.key.id;
+  req.apiKeyScopes = result.key.scopes;
+  return result.tenant;
+}
+
+const rateLimitedJson = (res, limit, retryAfter) =>
+  res.set("Retry-After", String(retryAfter)).status(429).json({ ok: false, error: "rate_limited", limit, retryAfter });
+
+const rateLimited = metrics.counter("rate_limited_total", "Requests refused by a rate limit", ["endpoint", "policy", "limit"]);
+
+// Count the request against each `dimension: id` of `policy`; on the first
+// limit exceeded, answer with `answer` (429 with Retry-After and a JSON body
+// by default) and return true. A limiter outage lets requests through rather
+// than taking the routes down with it.
+async function throttled(req, res, endpoint, policy, ids, answer = rateLimitedJson) {
+  for (const [dimension, id] of Object.entries(ids)) {
+    let result;
+    try {
+      result = await limiter.hit(policy, dimension, id);
+    } catch (err) {
+      logEvent("error", "rate_limit_unavailable", { endpoint, policy, error: err.message });
+      return false;
+    }
+    if (!result.ok) {
+      logEvent("warn", "rate_limited", { endpoint, ip: req.ip, policy, limit: dimension, keyId: req.apiKeyId, retryAfter: result.retryAfter });
+      rateLimited.inc({ endpoint, policy, limit: dimension });
+      answer(res, dimension, result.retryAfter);
+      return true;
+    }
+  }
   return false;
 }
 
-// Helper function to check auth for write operations
-function passesWriteAuth(req) {
-  const want = INTAKE_WRITE_TOKEN;
-  if (!want) return false;
-  const rawAuth = req.get("Authorization") || "";
-  if (rawAuth.startsWith("Bearer ")) {
-    const bearer = rawAuth.slice(7);
-    if (bearer === want) return true;
+// ElevenLabs and Twilio webhooks: the tenant that owns the called number / agent
+function callTenant(req, endpoint, { calledNumber, agentId }) {
+  const tenant = tenants.forCall({ calledNumber, agentId });
+  if (!tenant) {
+    logEvent("warn", "tenant_unresolved", { endpoint, calledNumber: toE164(calledNumber) || "", agentId: agentId || "" });
+  }
+  return tenant;
+}
+
+// ---- ElevenLabs webhook signatures ----
+// Header format: `ElevenLabs-Signature: t=<unix secs>,v0=<hex HMAC-SHA256 of "<t>.<raw body>">`
+const seenSignatures = new Map(); // signature → expiry (ms); replay protection per instance
+
+function rememberSignature(signature, nowMs) {
+  for (const [sig, expires] of seenSignatures) {
+    if (expires <= nowMs) seenSignatures.delete(sig);
+  }
+  seenSignatures.set(signature, nowMs + ELEVENLABS_SIGNATURE_TOLERANCE_SECS * 1000);
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Returns { ok: true } or { ok: false, reason } with a loggable reason
+function verifyElevenLabsSignature(req, secret) {
+  if (!secret) return { ok: false, reason: "signature_secret_not_configured" };
+  const header = req.get("ElevenLabs-Signature") || "";
+  if (!header) return { ok: false, reason: "missing_signature" };
+
+  const parts = Object.fromEntries(
+    header.split(",").map((part) => {
+      const i = part.indexOf("=");
+      return [part.slice(0, i).trim(), part.slice(i + 1).trim()];
+    })
+  );
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v0) return { ok: false, reason: "malformed_signature" };
+
+  const nowMs = Date.now();
+  if (Math.abs(nowMs / 1000 - timestamp) > ELEVENLABS_SIGNATURE_TOLERANCE_SECS) {
+    return { ok: false, reason: "timestamp_outside_tolerance" };
+  }
+  if (!req.rawBody) return { ok: false, reason: "missing_raw_body" };
+
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.`)
+    .update(req.rawBody)
+    .digest("hex");
+  if (!safeEqual(expected, parts.v0)) return { ok: false, reason: "signature_mismatch" };
+
+  if (seenSignatures.has(parts.v0)) return { ok: false, reason: "replayed_signature" };
+  rememberSignature(parts.v0, nowMs);
+  return { ok: true };
+}
+
+// Auth for ElevenLabs-originated webhooks: HMAC signature (tenant's secret) and/or
+// one of the tenant's keys with `scope`, depending on ELEVENLABS_SIGNATURE_MODE.
+// Logs the reason on failure.
+async function passesElevenLabsWebhookAuth(req, endpoint, tenant, scope) {
+  const mode = ELEVENLABS_SIGNATURE_MODE;
+  const hasSignature = !!req.get("ElevenLabs-Signature");
+
+  if (mode === "required" || (mode === "optional" && hasSignature)) {
+    const result = verifyElevenLabsSignature(req, tenant.webhookSecret);
+    if (!result.ok) {
+      authFailed({ endpoint, ip: req.ip, method: "signature", reason: result.reason });
+    }
+    return result.ok;
   }
-  return rawAuth === want;
+
+  const result = await apiKeys.authenticate(presentedKeys(req), scope);
+  if (!result.ok || result.tenant.id !== tenant.id) {
+    authFailed({
+      endpoint,
+      ip: req.ip,
+      method: "key",
+      scope,
+      reason: result.ok ? "tenant_mismatch" : result.reason,
+      keyId: result.ok ? result.key.id : result.keyId,
+      tenant: tenant.id
+    });
+    return false;
+  }
+  req.apiKeyId = result.key.id;
+  return true;
+}
+
+// A call no tenant claims. Only a caller holding a valid key for `scope` is
+// told so (404); anyone else gets the 401 of bad credentials, so called
+// numbers and agent IDs cannot be probed without a key.
+async function answerUnresolvedCall(req, res, endpoint, scope, body) {
+  if (!(await authenticateTenant(req, endpoint, scope))) {
+    return res.status(401).json({ error: "unauthorized" });
+  }
+  return res.status(404).json(body);
+}
+
+// Identity of the backoffice user performing an admin action (audit trail)
+function adminActor(req) {
+  return String(req.get("X-Admin-User") || "").trim();
 }
 
-// Structured logging helper
+// Structured logging helper: one JSON line per event. severity is what Cloud
+// Logging reads; lines written while a request is handled carry its request
+// id and trace (observability/). Phone numbers and emails are masked or
+// hashed (LOG_PII) on the way out.
 function logEvent(level, event, details = {}) {
   const timestamp = new Date().toISOString();
   const logEntry = {
     timestamp,
+    severity: SEVERITY[level] ?? "DEFAULT",
     level,
     event,
+    ...requestLogFields(),
     ...details
   };
-  console.log(JSON.stringify(logEntry));
+  console.log(JSON.stringify(redactLogEntry(logEntry)));
 }
 
-// Schema validation for pending contacts - Updated for unified ElevenLabs structure
+// Schema validation for pending contacts - driven by schema/pending-contact.js.
+// Returns per-field errors: [{ path, rule, message }]
 function validatePendingContact(data) {
-  const errors = [];
-  
-  // Required fields validation - Updated to new camelCase structure
-  const requiredFields = [
-    'phone', 'company', 'name', 'email', 'location', 'constructionType',
-    'jobTitle', 'companySize', 'painPoints', 'currentTools', 'featureInterest', 'participateFeedback',
-    'contactMethod', 'isRepeat', 'lastContactDate', 'createdDate', 'callCount',
-    'licenseNumber', 'businessType', 'languageUsed'
-  ];
-  
-  for (const field of requiredFields) {
-    if (!(field in data)) {
-      errors.push(`Missing required field: ${field}`);
-    }
-  }
-  
-  // Type and format validations - Updated for new field names
-  if (data.email && !data.email.includes('@')) {
-    errors.push('email must be a valid email address');
-  }
-  
-  if (data.contactMethod && !['text', 'phone', 'email'].includes(data.contactMethod)) {
-    errors.push('contactMethod must be one of: text, phone, email');
-  }
-  
-  if (data.businessType && !['LLC', 'INC.', 'Sole Proprietorship'].includes(data.businessType)) {
-    errors.push('businessType must be one of: LLC, INC., Sole Proprietorship');
-  }
-  
-  if (data.isRepeat !== undefined && typeof data.isRepeat !== 'boolean') {
-    errors.push('isRepeat must be a boolean');
-  }
-  
-  if (data.callCount !== undefined && (!Number.isInteger(data.callCount) || data.callCount < 0)) {
-    errors.push('callCount must be a non-negative integer');
-  }
-  
-  if (data.participateFeedback !== undefined && typeof data.participateFeedback !== 'boolean') {
-    errors.push('participateFeedback must be a boolean');
-  }
-  
-  if (data.featureInterest && !Array.isArray(data.featureInterest)) {
-    errors.push('featureInterest must be an array');
-  }
-  
-  return errors;
+  return validateSchema(PENDING_CONTACT_SCHEMA, data);
+}
+
+// Schema validation for admin writes to contacts (keyed by E.164, so phone is not a field)
+function validateContact(data, { partial = false } = {}) {
+  const schema = partial ? { ...CONTACT_SCHEMA, required: [] } : CONTACT_SCHEMA;
+  return validateSchema(schema, data);
 }
 
 // Data normalization helper - Updated for unified ElevenLabs structure
@@ -146,16 +337,125 @@ function normalizePendingContact(data) {
 }
 
 // ---- helper ----
-function toE164(raw) {
-  if (!raw) return null;
-  const s = String(raw).trim();
-  if (s.startsWith("+")) return s.replace(/[^\d+]/g, "");
-  const digits = s.replace(/\D/g, "");
-  if (digits.length === 11 && digits.startsWith("1")) return `+${digits}`;
-  if (digits.length === 10) return `+1${digits}`;
-  return digits ? `+${digits}` : null;
+// Render context for mapping profiles (see mapping/index.js for the paths)
+function callContext({ contact = null, caller = null, call = {}, history = contact, consent = null, dataSource = "live", error = false }) {
+  return {
+    contact: contact ?? {},
+    found: !!contact,
+    caller: caller?.e164 ? { ...caller, digits: caller.e164.replace(/^\+/, "") } : {},
+    call: { ...call, calledNumber: toE164(call.calledNumber) || "" },
+    calls: summarizeCallHistory(history),
+    // Consent unknown because the lookup failed: do not offer texts
+    consent: error ? { ...consentState(null), suppressed: true } : consentState(consent),
+    // cache | live | fallback (client-data lookups)
+    dataSource,
+    error
+  };
+}
+
+// Convert Firestore Timestamps inside a document to ISO strings for JSON responses
+function serializeDoc(data) {
+  const out = {};
+  for (const [key, value] of Object.entries(data || {})) {
+    out[key] = value && typeof value.toDate === "function" ? value.toDate().toISOString() : value;
+  }
+  return out;
+}
+
+// ---- contact audit trail ----
+// Every write to contacts/{phone} appends one doc to contacts/{phone}/audit.
+// Entries are never updated or deleted, and survive deletion of the contact.
+
+function diffFields(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (key === "createdAt" || key === "updatedAt" || key === "search") continue;
+    const from = before?.[key] ?? null;
+    const to = after?.[key] ?? null;
+    // Server-assigned timestamps (sentinels) are not user changes
+    if (isSentinel(to)) continue;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { before: from, after: to };
+    }
+  }
+  return changes;
+}
+
+// Queue an audit entry on a transaction; call alongside the contact write
+function addContactAudit(tx, phone, { action, actor, before, after }) {
+  tx.contacts.addAudit(phone, {
+    action,
+    actor,
+    changes: diffFields(serializeDoc(before), serializeDoc(after)),
+    at: serverTimestamp()
+  });
+}
+
+// ---- call history ----
+// Post-call records live in {contacts|pending_contacts}/{phone}/calls/{conversation_id};
+// the parent doc keeps the last few summaries in recentCalls for client-data.
+const RECENT_CALLS_KEPT = 5;
+const TRANSCRIPT_MAX_TURNS = 500;
+
+function summarizeCallHistory(doc) {
+  const recent = Array.isArray(doc?.recentCalls) ? doc.recentCalls : [];
+  const last = recent[0];
+  return {
+    callCount: Number.isInteger(doc?.callCount) ? doc.callCount : 0,
+    lastCallAt: last?.endedAt ?? "",
+    lastCallSummary: last?.summary ?? "",
+    recentCalls: recent.map((call) => ({ at: call.endedAt ?? "", summary: call.summary ?? "" }))
+  };
+}
+
+// Flatten an ElevenLabs post-call transcription payload into the stored call record
+function toCallRecord(data) {
+  const metadata = data?.metadata || {};
+  const phoneCall = metadata.phone_call || {};
+  const analysis = data?.analysis || {};
+  const startSecs = Number(metadata.start_time_unix_secs) || null;
+  const durationSecs = Number(metadata.call_duration_secs) || 0;
+
+  const dataCollection = {};
+  for (const [key, result] of Object.entries(analysis.data_collection_results || {})) {
+    dataCollection[key] = result?.value ?? null;
+  }
+
+  const transcript = (Array.isArray(data?.transcript) ? data.transcript : [])
+    .slice(0, TRANSCRIPT_MAX_TURNS)
+    .map((turn) => ({
+      role: turn?.role ?? "",
+      message: turn?.message ?? "",
+      timeInCallSecs: turn?.time_in_call_secs ?? null
+    }));
+
+  return {
+    conversationId: String(data?.conversation_id || ""),
+    agentId: data?.agent_id ?? "",
+    callSid: phoneCall.call_sid ?? data?.conversation_initiation_client_data?.dynamic_variables?.system__call_sid ?? "",
+    direction: phoneCall.direction ?? "",
+    status: data?.status ?? "",
+    startedAt: startSecs ? new Date(startSecs * 1000).toISOString() : "",
+    endedAt: startSecs ? new Date((startSecs + durationSecs) * 1000).toISOString() : new Date().toISOString(),
+    durationSecs,
+    summary: analysis.transcript_summary ?? "",
+    callSuccessful: analysis.call_successful ?? "",
+    dataCollection,
+    transcript
+  };
+}
+
+// Caller phone for a post-call payload: Twilio leg first, then the client-data we returned
+function postCallCallerId(data) {
+  const vars = data?.conversation_initiation_client_data?.dynamic_variables || {};
+  return toE164(
+    data?.metadata?.phone_call?.external_number ??
+    vars.system__caller_id ??
+    vars.memorycaller_status?.phone_e164 ??
+    null
+  );
 }
-const auth = (req, secret) => req.get("Authorization") === `Bearer ${secret}`;
 
 // ---- health ----
 app.get("/healthz", (_req, res) => {
@@ -167,10 +467,44 @@ app.get("/healthz", (_req, res) => {
   });
 });
 
+// ---- metrics (Prometheus) ----
+/*
+ * Per-instance counters and histograms in the Prometheus text format:
+ *   http_requests_total{method,route,status}
+ *   http_request_duration_seconds{method,route}
+ *   store_operation_duration_seconds{backend,operation,outcome}
+ *   client_data_lookups_total{source}
+ *   auth_failures_total{endpoint,method,reason}
+ *
+ * METRICS_TOKEN, when set, must be presented as a bearer token (the scraper's
+ * credentials); without it the endpoint is open.
+ *
+ * curl -s "$BASE_URL/metrics" -H "Authorization: Bearer $METRICS_TOKEN"
+ */
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+
+app.get("/metrics", (req, res) => {
+  if (METRICS_TOKEN && !safeEqual(req.get("Authorization") || "", `Bearer ${METRICS_TOKEN}`)) {
+    authFailed({ endpoint: "/metrics", ip: req.ip, method: "metrics_token", reason: "invalid_token" });
+    return res.status(401).json({ error: "unauthorized" });
+  }
+  res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  return res.status(200).send(metrics.render());
+});
+
+// ---- published contracts (generated from schema/) ----
+app.get("/openapi.json", (_req, res) => {
+  res.status(200).json(buildOpenApi());
+});
+
+app.get("/tools.json", (_req, res) => {
+  res.status(200).json(buildToolsManifest());
+});
+
 // ---- ElevenLabs Conversation Initiation Client Data Webhook ----
 /*
  * Environment Variables Required:
- * - READ_SECRET: Bearer token for authentication
+ * - API key with contacts:read (legacy: READ_SECRET)
  * - CONTACTS_COLLECTION: Firestore collection name (default: "contacts")
  *
  * cURL Test Examples:
@@ -195,58 +529,65 @@ app.get("/healthz", (_req, res) => {
  */
 app.post("/twilio-init", async (req, res) => {
   try {
-    // Auth: Require Authorization: Bearer <READ_SECRET>
-    const auth = req.headers.authorization || "";
-    if (!auth.startsWith("Bearer ") || auth.slice(7) !== READ_SECRET) {
+    const { caller_id, agent_id, called_number, call_sid } = req.body || {};
+
+    // Auth: the called number's tenant, then one of its contacts:read keys (or a valid ElevenLabs signature)
+    const tenant = callTenant(req, "/twilio-init", { calledNumber: called_number, agentId: agent_id });
+    if (!tenant) {
+      return answerUnresolvedCall(req, res, "/twilio-init", "contacts:read", { error: "unknown_tenant" });
+    }
+    if (!(await passesElevenLabsWebhookAuth(req, "/twilio-init", tenant, "contacts:read"))) {
       return res.status(401).json({ error: "unauthorized" });
     }
-
-    const { caller_id, agent_id, called_number, call_sid } = req.body || {};
     
     // Normalize caller_id to E.164 format
-    const phone = toE164(caller_id);
+    const caller = parsePhone(caller_id);
+    const phone = caller.e164;
     if (!phone) {
       return res.status(400).json({ error: "missing caller_id" });
     }
 
     // Look up contact doc: contacts/{caller_id} where doc id is E.164 phone
-    const col = CONTACTS;
-    const snap = await db.collection(col).doc(phone).get();
-    const data = snap.exists ? snap.data() : {};
-
-    // Map Firestore fields to dynamic variables (exact field mapping per spec)
-    const dynamic_variables = {
-      // Firestore → dynamic variable mapping
-      customer_name: data?.name || "",                    // name → customer_name
-      business_name: data?.business || "",                // business → business_name  
-      license_number: data?.cslb || "",                   // cslb → license_number
-      phone_e164: data?.phone_e164 || "",                 // phone_e164 → phone_e164
-      last_channel: data?.lastChannel || "",              // lastChannel → last_channel
-      notes: data?.notes || "",                           // notes → notes
-      source: data?.source || "",                         // source → source
-      tags: Array.isArray(data?.tags) ? data.tags : [],  // tags → tags (array)
-      is_registered_contact: !!snap.exists,              // isRegistered → is_registered_contact
-      
-      // System passthroughs
-      system__caller_id: phone,
-      system__called_number: toE164(called_number) || "",
-      system__call_sid: call_sid || ""
-    };
+    const [contact, consent] = await Promise.all([tenant.repos.contacts.get(phone), tenant.repos.consent.get(phone)]);
+    // Unregistered callers may have an intake in progress (language, repeat greeting)
+    const pending = contact ? null : await tenant.repos.pending.get(phone);
 
-    // conversation_config_override: personalized first message based on registration status
-    const conversation_config_override = snap.exists 
-      ? { 
-          agent: { 
-            first_message: `Hi ${dynamic_variables.customer_name || "there"} — welcome back. How can I help today?`,
-            language: "en" 
-          } 
-        }
-      : { 
-          agent: { 
-            first_message: "Hi! I can help you get started. Are you calling about a new project or an existing one?",
-            language: "en" 
-          } 
-        };
+    // Firestore fields → dynamic variables via the agent's mapping profile (mapping/)
+    const { name: profile, profile: mapping } = selectProfile({
+      endpoint: "/twilio-init",
+      agentId: agent_id,
+      calledNumber: called_number,
+      fallback: tenant.profiles["/twilio-init"]
+    });
+    const dynamic_variables = renderVariables(mapping, callContext({
+      contact,
+      caller,
+      call: { agentId: agent_id, calledNumber: called_number, callSid: call_sid },
+      consent
+    }));
+    logEvent("info", "lookup_contact", { endpoint: "/twilio-init", tenant: tenant.id, phone_e164: phone, found: !!contact, profile });
+    if (!contact) webhooks.emit(tenant.id, "contact.looked_up_unregistered", { phone_e164: phone, endpoint: "/twilio-init" });
+
+    // conversation_config_override: localized first message for the caller's state (greetings/)
+    const { language, source: languageSource } = resolveLanguage({
+      contact,
+      pending,
+      calledNumber: called_number,
+      defaultLanguage: tenant.greeting.defaultLanguage
+    });
+    const state = callerState({ contact, pending });
+    const conversation_config_override = {
+      agent: {
+        first_message: renderGreeting({
+          language,
+          state,
+          values: { name: contact?.name ?? pending?.name, business: contact?.business ?? pending?.company },
+          messages: tenant.greeting.messages
+        }),
+        language
+      }
+    };
+    logEvent("info", "greeting_selected", { endpoint: "/twilio-init", tenant: tenant.id, phone_e164: phone, state, language, languageSource });
 
     // Return exact JSON shape required by ElevenLabs
     return res.json({
@@ -256,16 +597,84 @@ app.post("/twilio-init", async (req, res) => {
     });
 
   } catch (e) {
-    console.error("[twilio-init] error:", e);
+    logEvent("error", "twilio_init_failed", { endpoint: "/twilio-init", error: e.message, stack: e.stack });
     return res.status(500).json({ error: "server_error" });
   }
 });
 
 // ---- Conversation Initiation Client Data Webhook (read-only) ----
+// ElevenLabs waits for this answer before the agent speaks, so lookups have a
+// latency budget: snapshots (contact, consent, call history) are cached per
+// instance for CLIENT_DATA_CACHE_TTL_SECS and dropped when this instance
+// writes to them; store reads get CLIENT_DATA_DEADLINE_MS; and after
+// CLIENT_DATA_BREAKER_FAILURES failed or late lookups in a row the error
+// fallback is returned without touching the store for
+// CLIENT_DATA_BREAKER_COOLDOWN_SECS, then one lookup is tried again.
+// X-Data-Source (and memorycaller_status.dataSource) say which it was:
+// cache, live or fallback.
+const CLIENT_DATA_DEADLINE_MS = Number(process.env.CLIENT_DATA_DEADLINE_MS ?? 1000);
+const clientDataCache = createLruCache({
+  max: Number(process.env.CLIENT_DATA_CACHE_MAX ?? 1000),
+  ttlMs: Number(process.env.CLIENT_DATA_CACHE_TTL_SECS ?? 30) * 1000
+});
+const clientDataBreaker = createCircuitBreaker({
+  name: "client-data",
+  failures: parseInt(process.env.CLIENT_DATA_BREAKER_FAILURES, 10) || 5,
+  cooldownMs: (parseInt(process.env.CLIENT_DATA_BREAKER_COOLDOWN_SECS, 10) || 30) * 1000,
+  onChange: (state, previous) =>
+    logEvent(state === "open" ? "error" : "info", "circuit_changed", { circuit: "client-data", state, previous })
+});
+const clientDataLookups = metrics.counter("client_data_lookups_total", "Client-data answers, by data source", ["source"]);
+
+// Every write to a tenant's contacts / pending / consent document (or its
+// subcollections) drops that phone's cached snapshot
+function invalidateClientData(collection, id) {
+  const at = tenants.locate(collection);
+  if (at) clientDataCache.delete(`${at.tenant.id}:${at.docId ?? id}`);
+}
+
+// { contact, consent, history, source } for the caller: from the cache, or
+// read live through the breaker. Throws when the read fails, is late, or the
+// circuit is open.
+async function clientDataLookup(tenant, e164) {
+  const { value, cached } = await clientDataCache.load(`${tenant.id}:${e164}`, () =>
+    clientDataBreaker.call(() =>
+      withDeadline(
+        (async () => {
+          const [contact, consent] = await Promise.all([tenant.repos.contacts.get(e164), tenant.repos.consent.get(e164)]);
+          // Unregistered callers may still have call history on their pending contact
+          const history = contact ?? (await tenant.repos.pending.get(e164));
+          return { contact, consent, history };
+        })(),
+        CLIENT_DATA_DEADLINE_MS
+      )
+    )
+  );
+  return { ...value, source: cached ? "cache" : "live" };
+}
+
+// Called number / agent of a client-data request (Twilio and ElevenLabs shapes)
+function clientDataCall(body) {
+  return {
+    agentId: body?.agent_id,
+    calledNumber: body?.called_number ?? body?.telephony?.to ?? body?.twilio?.To ?? body?.to
+  };
+}
+
 app.post("/elevenlabs/client-data", async (req, res) => {
+  const { agentId, calledNumber } = clientDataCall(req.body);
+  const tenant = callTenant(req, "/elevenlabs/client-data", { calledNumber, agentId });
+  // Same profile whether the lookup works or not (the error fallback renders its defaults)
+  const selectMapping = () =>
+    selectProfile({ endpoint: "/elevenlabs/client-data", agentId, calledNumber, fallback: tenant?.profiles["/elevenlabs/client-data"] });
   try {
-    if (!passesClientDataAuth(req)) {
-      logEvent("warn", "auth_fail", { endpoint: "/elevenlabs/client-data", ip: req.ip });
+    if (!tenant) {
+      return res.status(200).json({
+        type: "conversation_initiation_client_data",
+        dynamic_variables: {}
+      });
+    }
+    if (!(await passesElevenLabsWebhookAuth(req, "/elevenlabs/client-data", tenant, "client-data:read"))) {
       return res.status(401).json({ error: "unauthorized" });
     }
 
@@ -275,7 +684,9 @@ app.post("/elevenlabs/client-data", async (req, res) => {
       req.body?.from ??
       null;
 
-    const e164 = toE164(raw);
+    const caller = parsePhone(raw);
+    const e164 = caller.e164;
+    const { name: profile, profile: mapping } = selectMapping();
     if (!e164) {
       return res.status(200).json({
         type: "conversation_initiation_client_data",
@@ -283,125 +694,472 @@ app.post("/elevenlabs/client-data", async (req, res) => {
       });
     }
 
-    const snap = await db.collection(CONTACTS).doc(e164).get();
-    const c = snap.exists ? snap.data() : null;
-    
+    const { contact: c, consent, history, source } = await clientDataLookup(tenant, e164);
+
     logEvent("info", "lookup_contact", { 
       phone_e164: e164, 
-      found: snap.exists,
-      endpoint: "/elevenlabs/client-data"
+      found: !!c,
+      endpoint: "/elevenlabs/client-data",
+      tenant: tenant.id,
+      profile,
+      source
     });
+    if (!c) webhooks.emit(tenant.id, "contact.looked_up_unregistered", { phone_e164: e164, endpoint: "/elevenlabs/client-data" });
 
-    // Convert Firestore Timestamp-> ISO string
-    const ts = (v) =>
-      v && typeof v.toDate === "function" ? v.toDate().toISOString() : "";
-
-    const payload = {
-      isRegistered: !!c?.isRegistered,
-      business: c?.business ?? "",
-      cslb: c?.cslb ?? "",
-      name: c?.name ?? "",
-      phone_e164: e164,
-      digits: e164.replace(/^\+/, ""),
-      lastChannel: c?.lastChannel ?? "",
-      source: c?.source ?? "",
-      notes: c?.notes ?? "",
-      tags: Array.isArray(c?.tags) ? c.tags : [],
-      createdAt: ts(c?.createdAt),
-      updatedAt: ts(c?.updatedAt),
-      error: false
-    };
-
-    if (!c) {
-      payload.isRegistered = false;
-    }
-
+    clientDataLookups.inc({ source });
+    res.set("X-Data-Source", source);
     return res.status(200).json({
       type: "conversation_initiation_client_data",
-      dynamic_variables: { memorycaller_status: payload }
+      dynamic_variables: renderVariables(mapping, callContext({
+        contact: c,
+        caller,
+        call: { agentId, calledNumber },
+        history,
+        consent,
+        dataSource: source
+      }))
     });
   } catch (err) {
-    logEvent("error", "client_data_error", { error: err.message, stack: err.stack });
+    if (err.code === "circuit_open") {
+      // Already logged when the circuit opened
+      logEvent("warn", "client_data_fallback", { endpoint: "/elevenlabs/client-data", tenant: tenant?.id, reason: err.code });
+    } else {
+      logEvent("error", "client_data_error", { error: err.message, code: err.code, stack: err.stack });
+    }
+    // Nothing looked up: every variable at its default, error: true
+    clientDataLookups.inc({ source: "fallback" });
+    res.set("X-Data-Source", "fallback");
     return res.status(200).json({
       type: "conversation_initiation_client_data",
-      dynamic_variables: {
-        memorycaller_status: {
-          isRegistered: false,
-          business: "",
-          cslb: "",
-          name: "",
-          phone_e164: "",
-          digits: "",
-          lastChannel: "",
-          source: "",
-          notes: "",
-          tags: [],
-          createdAt: "",
-          updatedAt: "",
-          error: true
-        }
+      dynamic_variables: renderVariables(selectMapping().profile, callContext({ error: true, dataSource: "fallback" }))
+    });
+  }
+});
+
+// ---- ElevenLabs Post-Call Webhook ----
+/*
+ * Environment Variables Required:
+ * - API key with calls:write (legacy: POST_CALL_TOKEN)
+ *
+ * Stores each finished conversation under the caller's contact (or pending
+ * contact when they are not registered yet) and bumps callCount/lastChannel.
+ * Keyed by conversation_id, so webhook retries are stored and counted once.
+ *
+ * cURL Test Example:
+ * curl -s -X POST "$BASE_URL/elevenlabs/post-call" \
+ *   -H "Content-Type: application/json" \
+ *   -H "Authorization: Bearer $POST_CALL_TOKEN" \
+ *   -d '{"type":"post_call_transcription","data":{"conversation_id":"conv_123","agent_id":"agent_1",
+ *        "metadata":{"start_time_unix_secs":1757712000,"call_duration_secs":95,
+ *          "phone_call":{"external_number":"+14155551212","call_sid":"CA_test"}},
+ *        "analysis":{"transcript_summary":"Asked about a permit."},"transcript":[]}}' | jq
+ */
+app.post("/elevenlabs/post-call", async (req, res) => {
+  try {
+    const { type, data } = req.body || {};
+    const tenant = callTenant(req, "/elevenlabs/post-call", {
+      calledNumber: data?.metadata?.phone_call?.agent_number,
+      agentId: data?.agent_id
+    });
+    if (!tenant) {
+      return answerUnresolvedCall(req, res, "/elevenlabs/post-call", "calls:write", { ok: false, error: "unknown_tenant" });
+    }
+    if (!(await passesElevenLabsWebhookAuth(req, "/elevenlabs/post-call", tenant, "calls:write"))) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    if (type && type !== "post_call_transcription") {
+      // Audio and other event types are acknowledged but not stored
+      return res.status(200).json({ ok: true, ignored: true, type });
+    }
+
+    const call = toCallRecord(data);
+    if (!call.conversationId) {
+      return res.status(400).json({ ok: false, error: "missing_conversation_id" });
+    }
+    const e164 = postCallCallerId(data);
+    if (!e164) {
+      logEvent("warn", "post_call_no_caller", { endpoint: "/elevenlabs/post-call", conversationId: call.conversationId });
+      return res.status(400).json({ ok: false, error: "missing_caller_id" });
+    }
+
+    const result = await tenant.repos.runTransaction(async (tx) => {
+      const [contact, pending] = await Promise.all([tx.contacts.get(e164), tx.pending.get(e164)]);
+      // Registered contacts own the history; otherwise it goes on the pending
+      // contact, which is created as "incomplete" for first-time callers.
+      const owner = contact ? tx.contacts : tx.pending;
+      const parent = contact ?? pending;
+
+      const existingCall = await owner.getCall(e164, call.conversationId);
+      if (existingCall) {
+        return { duplicate: true, collection: owner.collection };
+      }
+
+      const recentCalls = [
+        {
+          conversationId: call.conversationId,
+          endedAt: call.endedAt,
+          durationSecs: call.durationSecs,
+          summary: call.summary
+        },
+        ...(Array.isArray(parent?.recentCalls) ? parent.recentCalls : [])
+      ].slice(0, RECENT_CALLS_KEPT);
+
+      owner.addCall(e164, call.conversationId, { ...call, phone_e164: e164, receivedAt: serverTimestamp() });
+
+      const update = {
+        lastChannel: "voice",
+        callCount: increment(1),
+        recentCalls,
+        updatedAt: serverTimestamp()
+      };
+      if (parent) {
+        owner.update(e164, update);
+      } else {
+        owner.set(e164, {
+          ...update,
+          phone: e164,
+          status: "incomplete",
+          submittedBy: "post-call",
+          submittedAt: serverTimestamp()
+        });
       }
+      return { duplicate: false, created: !parent, collection: owner.collection };
+    });
+
+    logEvent("info", "post_call_recorded", {
+      endpoint: "/elevenlabs/post-call",
+      tenant: tenant.id,
+      docId: e164,
+      conversationId: call.conversationId,
+      collection: result.collection,
+      duplicate: result.duplicate
+    });
+    if (result.created) {
+      webhooks.emit(tenant.id, "pending_contact.created", pendingEventData(e164, { status: "incomplete", callCount: 1 }, "post-call"));
+    }
+    return res.status(200).json({
+      ok: true,
+      id: call.conversationId,
+      phone_e164: e164,
+      collection: result.collection,
+      duplicate: result.duplicate
     });
+  } catch (err) {
+    logEvent("error", "post_call_failed", { endpoint: "/elevenlabs/post-call", error: err.message });
+    return res.status(500).json({ ok: false, error: "post_call_failed" });
   }
 });
 
 // ---- Optional: read-only lookup (for tools) ----
 app.post("/contacts/lookup", async (req, res) => {
   try {
-    if (!auth(req, READ_SECRET)) return res.status(401).json({ error: "unauthorized" });
+    if (await throttled(req, res, "/contacts/lookup", "lookup", { ip: req.ip })) return;
+    const tenant = await authenticateTenant(req, "/contacts/lookup", "contacts:read");
+    if (!tenant) return res.status(401).json({ error: "unauthorized" });
+    if (await throttled(req, res, "/contacts/lookup", "lookup", { key: req.apiKeyId })) return;
     const e164 = toE164(req.body?.phone_e164 || req.body?.phone);
     if (!e164) return res.status(400).json({ error: "invalid_phone" });
 
-    const snap = await db.collection(CONTACTS).doc(e164).get();
-    const c = snap.exists ? snap.data() : null;
+    const c = await tenant.repos.contacts.get(e164);
+    if (!c) webhooks.emit(tenant.id, "contact.looked_up_unregistered", { phone_e164: e164, endpoint: "/contacts/lookup" });
     return res.status(200).json(
       c
         ? { phone_e164: e164, name: c.name ?? "", business: c.business ?? "", cslb: c.cslb ?? "", isRegistered: !!c.isRegistered }
         : null
     );
   } catch (err) {
-    console.error("lookup error:", err);
+    logEvent("error", "lookup_failed", { endpoint: "/contacts/lookup", error: err.message, stack: err.stack });
+    return res.status(500).json({ error: "lookup_failed" });
+  }
+});
+
+// ---- ElevenLabs server tool: contractor license lookup ----
+/*
+ * Environment Variables Required:
+ * - API key with contacts:read (legacy: READ_SECRET)
+ * - LICENSE_DATA_CSV: path to the CSLB public-data CSV (optional; without it
+ *   lookups only validate the number format)
+ *
+ * cURL Test Example:
+ * curl -s -X POST "$BASE_URL/tools/license-lookup" \
+ *   -H "Content-Type: application/json" \
+ *   -H "Authorization: Bearer $READ_SECRET" \
+ *   -d '{"license_number":"1234567"}' | jq
+ */
+app.post("/tools/license-lookup", async (req, res) => {
+  try {
+    if (await throttled(req, res, "/tools/license-lookup", "lookup", { ip: req.ip })) return;
+    const tenant = await authenticateTenant(req, "/tools/license-lookup", "contacts:read");
+    if (!tenant) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    if (await throttled(req, res, "/tools/license-lookup", "lookup", { key: req.apiKeyId })) return;
+    const raw = req.body?.license_number ?? req.body?.licenseNumber ?? req.body?.cslb;
+    if (!raw) return res.status(400).json({ error: "missing_license_number" });
+
+    const result = await lookupLicense(raw, req.body?.authority);
+    logEvent("info", "license_lookup", {
+      endpoint: "/tools/license-lookup",
+      authority: result.authority,
+      valid: result.valid,
+      found: result.found,
+      status: result.status
+    });
+
+    return res.status(200).json({
+      license_number: result.licenseNumber,
+      authority: result.authority,
+      valid: result.valid,
+      found: result.found,
+      status: result.status,
+      expired: result.expired,
+      expiration_date: result.expirationDate,
+      business_name: result.businessName,
+      classifications: result.classifications,
+      message: describeLicense(result)
+    });
+  } catch (err) {
+    logEvent("error", "license_lookup_failed", { endpoint: "/tools/license-lookup", error: err.message });
     return res.status(500).json({ error: "lookup_failed" });
   }
 });
 
+// ---- Contact search (ElevenLabs tool and backoffice) ----
+/*
+ * Finds contacts and pending contacts by email, license number, company and/or
+ * name (search/index.js). Email and license match exactly after normalizing;
+ * every name and company word matches as a word prefix ("jo smi" finds
+ * "John Smith"). All given criteria must match.
+ *
+ * Environment Variables Required:
+ * - API key with contacts:read (agent tools: name, company, status) or admin
+ *   (backoffice: every field)
+ * - SEARCH_SCAN_LIMIT: candidates read per call (optional, default 200); the
+ *   cursor continues where a call stopped
+ *
+ * cURL Test Example:
+ * curl -s -X POST "$BASE_URL/contacts/search" \
+ *   -H "Content-Type: application/json" \
+ *   -H "Authorization: Bearer $READ_SECRET" \
+ *   -d '{"name":"john sm","company":"abc","limit":10}' | jq
+ */
+const SEARCH_LIMIT_DEFAULT = 10;
+const SEARCH_LIMIT_MAX = 50;
+
+app.post("/contacts/search", async (req, res) => {
+  try {
+    if (await throttled(req, res, "/contacts/search", "lookup", { ip: req.ip })) return;
+    const tenant = await authenticateTenant(req, "/contacts/search", SEARCH_SCOPES);
+    if (!tenant) return res.status(401).json({ error: "unauthorized" });
+    if (await throttled(req, res, "/contacts/search", "lookup", { key: req.apiKeyId })) return;
+
+    const parsed = parseCriteria(req.body || {});
+    if (parsed.error) return res.status(400).json({ ok: false, error: parsed.error });
+    const limit = req.body?.limit === undefined ? SEARCH_LIMIT_DEFAULT : Number(req.body.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_LIMIT_MAX) {
+      return res.status(400).json({ ok: false, error: "invalid_limit", max: SEARCH_LIMIT_MAX });
+    }
+    const cursor = req.body?.cursor ?? null;
+    if (cursor !== null && (typeof cursor !== "string" || !/^[A-Za-z0-9_-]{1,200}$/.test(cursor))) {
+      return res.status(400).json({ ok: false, error: "invalid_cursor" });
+    }
+
+    const result = await searchContacts(tenant.repos, parsed.criteria, { scopes: req.apiKeyScopes, limit, cursor });
+    // Criteria names only: the values are personal data
+    logEvent("info", "contact_search", {
+      endpoint: "/contacts/search",
+      tenant: tenant.id,
+      keyId: req.apiKeyId,
+      criteria: Object.keys(parsed.criteria),
+      count: result.results.length,
+      truncated: result.truncated
+    });
+    return res.status(200).json({ ok: true, count: result.results.length, ...result });
+  } catch (err) {
+    logEvent("error", "contact_search_failed", { endpoint: "/contacts/search", error: err.message });
+    return res.status(500).json({ ok: false, error: "search_failed" });
+  }
+});
+
 // ---- Writer: SMS intake upsert into pending_contacts ----
-app.post("/pending-contacts/upsert", async (req, res) => {
+// /v1 takes the legacy snake_case payload, /v2 the camelCase one; the
+// unversioned route picks by field names. All three store the same record.
+//
+// The read-modify-write (callCount, isRepeat, createdDate) runs in one
+// transaction. With an `Idempotency-Key` header the response is stored with
+// the write, and a retry with the same key and body within
+// IDEMPOTENCY_TTL_SECS (default 24h) gets that response back
+// (`Idempotent-Replayed: true`) instead of counting as a repeat contact.
+// Keys are scoped to the API key and the phone number.
+//
+// A repeat submission only changes the form fields it supplies with a
+// non-blank value; a short form can't wipe what a longer one captured.
+// `?arrays=union` merges array fields (featureInterest) with the stored ones
+// instead of replacing them. Every submission is kept in
+// pending_contacts/{phone}/submissions.
+//
+// curl -s -X POST "$BASE_URL/v2/pending-contacts/upsert" \
+//   -H "Content-Type: application/json" \
+//   -H "Authorization: Bearer $INTAKE_WRITE_TOKEN" \
+//   -H "Idempotency-Key: sms-7f3c2a" \
+//   -d @pending-contact.json | jq
+const IDEMPOTENCY_TTL_SECS = parseInt(process.env.IDEMPOTENCY_TTL_SECS, 10) || 86400;
+
+// The request's idempotency identity, null without the header, or { error }
+function idempotencyKey(req) {
+  const raw = req.get("Idempotency-Key");
+  if (raw === undefined) return null;
+  if (!/^[\x21-\x7e]{1,255}$/.test(raw)) return { error: "invalid_idempotency_key" };
+  return {
+    id: crypto.createHash("sha256").update(`${req.apiKeyId}:${raw}`).digest("hex"),
+    requestHash: crypto.createHash("sha256").update(req.rawBody ?? "").digest("hex")
+  };
+}
+
+// A stored response still inside its window, else null
+function liveIdempotentRecord(record) {
+  const expires = record?.expiresAt?.toMillis?.() ?? 0;
+  return expires > Date.now() ? record : null;
+}
+
+// Replay a stored response, or refuse a key reused for a different body
+function replayIdempotent(res, endpoint, tenant, e164, record, idem) {
+  if (record.requestHash !== idem.requestHash) {
+    logEvent("warn", "idempotency_key_reused", { endpoint, tenant: tenant.id, docId: e164 });
+    return res.status(422).json({ ok: false, error: "idempotency_key_reused" });
+  }
+  logEvent("info", "upsert_replayed", { endpoint, tenant: tenant.id, docId: e164 });
+  res.set("Idempotent-Replayed", "true");
+  return res.status(record.status).json(record.body);
+}
+
+// Form fields of a pending contact; phone is the document ID
+const FORM_FIELDS = Object.keys(PENDING_CONTACT_SCHEMA.properties).filter((field) => field !== "phone");
+
+const pickFields = (doc, fields) =>
+  Object.fromEntries(fields.filter((field) => doc?.[field] !== undefined).map((field) => [field, doc[field]]));
+
+// ?arrays=replace|union (default replace), or null when invalid
+function arrayStrategy(req) {
+  const strategy = String(req.query.arrays || "replace");
+  return ARRAY_STRATEGIES.includes(strategy) ? strategy : null;
+}
+
+// smsConsent on a submission → an sms_consent opt-in / opt-out, unless the
+// stored state already says the same (repeat submissions carry the answer again)
+function syncFormConsent(tx, phone, fields, before, { channel, source, keyId }) {
+  if (typeof fields.smsConsent !== "boolean") return null;
+  const current = consentState(before);
+  const wordingVersion = fields.smsConsentVersion ?? "";
+  if (fields.smsConsent && current.status === "opted_in" && current.wordingVersion === wordingVersion) return null;
+  if (!fields.smsConsent && current.status === "opted_out") return null;
+  return recordConsent(tx, phone, before, {
+    action: fields.smsConsent ? "opt_in" : "opt_out",
+    channel,
+    source,
+    wordingVersion,
+    keyId
+  });
+}
+
+// Webhook payload (webhooks/) for pending_contact.* events
+function pendingEventData(phone, doc, source) {
+  return {
+    phone_e164: phone,
+    name: doc.name ?? "",
+    company: doc.company ?? "",
+    email: doc.email ?? "",
+    status: doc.status ?? "",
+    callCount: typeof doc.callCount === "number" ? doc.callCount : 0,
+    source
+  };
+}
+
+// Queue a submission history entry on a transaction; call alongside the pending write
+function addSubmission(tx, phone, { source, endpoint, apiVersion, keyId, fields, before, after }) {
+  tx.pending.addSubmission(phone, {
+    source,
+    endpoint,
+    apiVersion,
+    keyId: keyId ?? null,
+    fields: serializeDoc(fields),
+    changes: diffFields(serializeDoc(pickFields(before, FORM_FIELDS)), serializeDoc(pickFields(after, FORM_FIELDS))),
+    at: serverTimestamp()
+  });
+}
+
+const upsertPendingContact = (apiVersion) => async (req, res) => {
+  const endpoint = req.path;
   try {
-    if (!passesWriteAuth(req)) {
-      logEvent("warn", "auth_fail", { endpoint: "/pending-contacts/upsert", ip: req.ip });
+    if (await throttled(req, res, endpoint, "upsert", { ip: req.ip })) return;
+    const tenant = await authenticateTenant(req, endpoint, "pending:write");
+    if (!tenant) {
       return res.status(401).json({ error: "unauthorized" });
     }
+    if (await throttled(req, res, endpoint, "upsert", { key: req.apiKeyId })) return;
+    const idem = idempotencyKey(req);
+    if (idem?.error) {
+      return res.status(400).json({ ok: false, error: idem.error });
+    }
+    const arrays = arrayStrategy(req);
+    if (!arrays) {
+      return res.status(400).json({ ok: false, error: "invalid_array_strategy", allowed: ARRAY_STRATEGIES });
+    }
+
+    // Map either payload shape onto the canonical record, then validate that
+    const version = apiVersion || detectVersion(req.body);
+    const { record, deprecated, fieldNames } = toCanonicalPendingContact(req.body, version);
+    if (version === "v1" || deprecated.length > 0) {
+      res.set("Deprecation", "true");
+      res.set("Link", '</v2/pending-contacts/upsert>; rel="successor-version"');
+    }
 
-    // Validate input schema
-    const validationErrors = validatePendingContact(req.body);
+    const validationErrors = toClientErrors(validatePendingContact(record), version, fieldNames);
     if (validationErrors.length > 0) {
       logEvent("warn", "validation_error", { 
-        endpoint: "/pending-contacts/upsert", 
+        endpoint, 
+        apiVersion: version,
         errors: validationErrors 
       });
       return res.status(400).json({ 
         ok: false, 
         error: "validation_failed",
-        details: validationErrors 
+        details: validationErrors,
+        ...(deprecated.length > 0 && { deprecated })
       });
     }
 
     // Normalize and prepare data
-    const normalized = normalizePendingContact(req.body);
-    const e164 = toE164(normalized.phone);
+    const phone = parsePhone(record.phone);
+    const normalized = normalizePendingContact(record);
+    const e164 = phone.e164;
     if (!e164) {
       logEvent("warn", "invalid_phone", { 
-        endpoint: "/pending-contacts/upsert", 
-        phone: normalized.phone 
+        endpoint, 
+        phone: normalized.phone,
+        errors: phone.errors
       });
       return res.status(400).json({ ok: false, error: "invalid_phone_number" });
     }
+    // Retries are answered before they count against the phone's limit or re-run enrichment
+    const stored = idem && liveIdempotentRecord(await tenant.repos.pending.getIdempotent(e164, idem.id));
+    if (stored) {
+      return replayIdempotent(res, endpoint, tenant, e164, stored, idem);
+    }
+    if (await throttled(req, res, endpoint, "upsert", { phone: `${tenant.id}:${e164}` })) return;
+
+    // Enrichment Point A: after normalization (failures are recorded, never fatal)
+    const enrichedA = await runEnrichers("normalized", normalized);
 
     // Create payload with all required fields - Updated for unified ElevenLabs structure
     const payload = {
       // ElevenLabs Primary Fields (camelCase)
       phone: e164,
+      ...(normalized.rawPhone && { rawPhone: normalized.rawPhone }),
+      phoneType: phone.type,
+      phoneRegion: phone.region,
+      ...(phone.extension && { phoneExtension: phone.extension }),
       company: normalized.company,
       name: normalized.name,
       email: normalized.email,
@@ -421,76 +1179,1556 @@ app.post("/pending-contacts/upsert", async (req, res) => {
       createdDate: normalized.createdDate,
       callCount: normalized.callCount,
       licenseNumber: normalized.licenseNumber,
+      ...(normalized.licenseAuthority && { licenseAuthority: normalized.licenseAuthority }),
       businessType: normalized.businessType,
       languageUsed: normalized.languageUsed,
+      // Optional: recorded in sms_consent as well
+      ...(normalized.smsConsent !== undefined && { smsConsent: normalized.smsConsent }),
+      ...(normalized.smsConsentVersion !== undefined && { smsConsentVersion: normalized.smsConsentVersion }),
       
       // System fields
       status: "pending",
       submittedBy: "sms-intake",
-      submittedAt: FieldValue.serverTimestamp(),
-      updatedAt: FieldValue.serverTimestamp()
+      submittedAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
     };
 
+    // Enrichment Point B: final payload, just before the write
+    const { enrichment, enrichmentStatus } = await runEnrichers("pre-write", payload, enrichedA);
+    payload.enrichment = enrichment;
+    payload.enrichmentStatus = enrichmentStatus;
+    payload.enrichedAt = serverTimestamp();
+
+    const enrichers = Object.fromEntries(Object.entries(enrichmentStatus).map(([name, st]) => [name, st.status]));
+    const enrichmentFailed = Object.values(enrichers).some((st) => st === "error" || st === "timeout");
+    logEvent(enrichmentFailed ? "warn" : "info", enrichmentFailed ? "enrichment_failed" : "enrichment_success", {
+      endpoint,
+      docId: e164,
+      enrichers
+    });
+
     // Use phone number as document ID for better organization and deduplication
     // CRITICAL: Ensure we're using the phone number as document ID, not auto-generated
     if (!e164) {
       logEvent("error", "missing_e164", { 
-        endpoint: "/pending-contacts/upsert",
+        endpoint,
         phone_number: normalized.phone_number 
       });
       return res.status(400).json({ ok: false, error: "invalid_phone_number_format" });
     }
     
-    const docRef = db.collection(PENDING).doc(e164);
-    
     // Log the document ID being used for debugging
     logEvent("info", "using_doc_id", { 
-      endpoint: "/pending-contacts/upsert",
+      endpoint,
       docId: e164,
       phone_number: e164 
     });
     
-    // Check if document already exists to determine if this is an update
-    const existingDoc = await docRef.get();
-    const isUpdate = existingDoc.exists;
-    
-    if (isUpdate) {
-      // Update existing document, preserving createdDate and incrementing callCount
-      const existingData = existingDoc.data();
-      payload.createdDate = existingData.createdDate; // Preserve original created date
-      payload.callCount = (existingData.callCount || 0) + 1; // Increment call count
-      payload.isRepeat = true; // Mark as repeat contact
-      payload.lastContactDate = new Date().toISOString(); // Update last contact
-    }
-    
-    await docRef.set(payload);
-    
+    // Read-modify-write in one transaction so concurrent submissions can't
+    // both see "new" or lose a callCount increment (it may run more than once)
+    const result = await tenant.repos.runTransaction(async (tx) => {
+      if (idem) {
+        const record = liveIdempotentRecord(await tx.pending.getIdempotent(e164, idem.id));
+        if (record) return { replay: record };
+      }
+
+      const existingData = await tx.pending.get(e164);
+      const consentBefore = await tx.consent.get(e164);
+      const isUpdate = !!existingData;
+      let doc = { ...payload };
+
+      if (isUpdate) {
+        // Merge: only form fields the client sent with a value; system fields
+        // are set as on create, and everything else stored (recentCalls, ...) is kept
+        const formFields = FORM_FIELDS.filter((field) => field in fieldNames && !isBlank(payload[field]));
+        const system = Object.fromEntries(Object.entries(payload).filter(([field]) => !FORM_FIELDS.includes(field)));
+        doc = { ...mergeFields(existingData, pickFields(payload, formFields), { arrays }), ...system };
+
+        // Preserve createdDate and increment callCount
+        doc.createdDate = existingData.createdDate ?? payload.createdDate; // Preserve original created date
+        doc.callCount = (existingData.callCount || 0) + 1; // Increment call count
+        // Mark as repeat contact, unless this completes a doc started by a text or call
+        doc.isRepeat = existingData.status !== "incomplete";
+        // A reviewed lead keeps its review; the repeat is still recorded below
+        if (REVIEWED_STATUSES.includes(existingData.status)) doc.status = existingData.status;
+        doc.lastContactDate = new Date().toISOString(); // Update last contact
+      }
+      tx.pending.set(e164, withSearchKeys(doc));
+      syncFormConsent(tx, e164, payload, consentBefore, { channel: "sms", source: "upsert", keyId: req.apiKeyId });
+      addSubmission(tx, e164, {
+        source: "upsert",
+        endpoint,
+        apiVersion: version,
+        keyId: req.apiKeyId,
+        fields: pickFields(payload, FORM_FIELDS.filter((field) => field in fieldNames)),
+        before: existingData,
+        after: doc
+      });
+
+      // Return response with phone number as document ID
+      const body = {
+        ok: true,
+        id: e164,  // This MUST be the phone number, not a random ID
+        isUpdate,
+        callCount: doc.callCount,
+        apiVersion: version,
+        ...(deprecated.length > 0 && { deprecated })
+      };
+      if (idem) {
+        tx.pending.setIdempotent(e164, idem.id, {
+          requestHash: idem.requestHash,
+          status: 200,
+          body,
+          createdAt: serverTimestamp(),
+          expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_SECS * 1000)
+        });
+      }
+      return { body, doc };
+    });
+
+    if (result.replay) {
+      return replayIdempotent(res, endpoint, tenant, e164, result.replay, idem);
+    }
+
     logEvent("info", "upsert_ok", { 
-      endpoint: "/pending-contacts/upsert",
+      endpoint,
+      tenant: tenant.id,
+      apiVersion: version,
+      deprecatedFields: deprecated.map((d) => d.field),
       docId: e164,
       phone_number: e164,
-      isUpdate: isUpdate,
-      callCount: payload.callCount
-    });
-    
-    // Return response with phone number as document ID
-    return res.status(200).json({ 
-      ok: true, 
-      id: e164,  // This MUST be the phone number, not a random ID
-      isUpdate: isUpdate,
-      callCount: payload.callCount
+      isUpdate: result.body.isUpdate,
+      callCount: result.body.callCount,
+      ...(idem && { idempotent: true })
     });
+    if (!result.body.isUpdate || result.doc.isRepeat) {
+      webhooks.emit(
+        tenant.id,
+        result.body.isUpdate ? "pending_contact.repeat" : "pending_contact.created",
+        pendingEventData(e164, result.doc, "upsert")
+      );
+    }
+
+    return res.status(200).json(result.body);
   } catch (err) {
     logEvent("error", "upsert_failed", { 
-      endpoint: "/pending-contacts/upsert",
+      endpoint,
       error: err.message 
     });
     return res.status(500).json({ ok: false, error: "upsert_failed" });
   }
+};
+
+app.post("/pending-contacts/upsert", upsertPendingContact(null));
+app.post("/v1/pending-contacts/upsert", upsertPendingContact("v1"));
+app.post("/v2/pending-contacts/upsert", upsertPendingContact("v2"));
+
+// ---- Writer: partial update of an existing pending contact ----
+// Changes exactly the fields sent (an empty value clears the field); nothing
+// else, callCount included, is touched. Recorded in submissions like an upsert.
+//
+// curl -s -X PATCH "$BASE_URL/v2/pending-contacts/%2B14155551212?arrays=union" \
+//   -H "Content-Type: application/json" \
+//   -H "Authorization: Bearer $INTAKE_WRITE_TOKEN" \
+//   -d '{"painPoints":"Scheduling crews","featureInterest":["scheduling"]}' | jq
+app.patch("/v2/pending-contacts/:phone", async (req, res) => {
+  const endpoint = "/v2/pending-contacts/patch";
+  try {
+    if (await throttled(req, res, endpoint, "upsert", { ip: req.ip })) return;
+    const tenant = await authenticateTenant(req, endpoint, "pending:write");
+    if (!tenant) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    if (await throttled(req, res, endpoint, "upsert", { key: req.apiKeyId })) return;
+    const arrays = arrayStrategy(req);
+    if (!arrays) {
+      return res.status(400).json({ ok: false, error: "invalid_array_strategy", allowed: ARRAY_STRATEGIES });
+    }
+    const e164 = toE164(req.params.phone);
+    if (!e164) {
+      return res.status(400).json({ ok: false, error: "invalid_phone_number" });
+    }
+
+    const { record, deprecated, fieldNames } = toCanonicalPendingContact(req.body, "v2");
+    if ("phone" in record) {
+      return res.status(400).json({ ok: false, error: "phone_not_editable" });
+    }
+    const validationErrors = toClientErrors(
+      validateSchema({ ...PENDING_CONTACT_SCHEMA, required: [] }, record),
+      "v2",
+      fieldNames
+    );
+    if (validationErrors.length > 0) {
+      logEvent("warn", "validation_error", { endpoint, apiVersion: "v2", errors: validationErrors });
+      return res.status(400).json({ ok: false, error: "validation_failed", details: validationErrors });
+    }
+    const fields = pickFields(normalizePendingContact(record), FORM_FIELDS);
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ ok: false, error: "no_fields" });
+    }
+    if (await throttled(req, res, endpoint, "upsert", { phone: `${tenant.id}:${e164}` })) return;
+
+    const result = await tenant.repos.runTransaction(async (tx) => {
+      const existing = await tx.pending.get(e164);
+      if (!existing) return { found: false };
+      const consentBefore = await tx.consent.get(e164);
+      const doc = { ...mergeFields(existing, fields, { arrays }), updatedAt: serverTimestamp() };
+      const changed = Object.keys(fields).filter((field) => JSON.stringify(existing[field]) !== JSON.stringify(doc[field]));
+      // An incomplete doc (started by a text or call) goes to review once every field is in
+      const completed =
+        existing.status === "incomplete" &&
+        validateSchema(PENDING_CONTACT_SCHEMA, pickFields(doc, [...FORM_FIELDS, "phone"])).length === 0;
+      if (completed) doc.status = "pending";
+      tx.pending.set(e164, withSearchKeys(doc));
+      syncFormConsent(tx, e164, fields, consentBefore, { channel: "web", source: "patch", keyId: req.apiKeyId });
+      addSubmission(tx, e164, { source: "patch", endpoint, apiVersion: "v2", keyId: req.apiKeyId, fields, before: existing, after: doc });
+      return { found: true, changed, completed };
+    });
+    if (!result.found) {
+      return res.status(404).json({ ok: false, error: "not_found" });
+    }
+
+    logEvent("info", "pending_patched", { endpoint, tenant: tenant.id, docId: e164, changed: result.changed, completed: result.completed });
+    return res.status(200).json({
+      ok: true,
+      id: e164,
+      changed: result.changed,
+      ...(result.completed && { status: "pending" }),
+      ...(deprecated.length > 0 && { deprecated })
+    });
+  } catch (err) {
+    logEvent("error", "pending_patch_failed", { endpoint, error: err.message });
+    return res.status(500).json({ ok: false, error: "patch_failed" });
+  }
+});
+
+// ---- Writer: SMS consent (opt-in / opt-out) ----
+// Records consent for a phone: an explicit action, or the text the person sent
+// (STOP / START / ... — see consent/index.js). HELP and other texts change
+// nothing. Opted-out phones are flagged smsSuppressed to the agent.
+//
+// curl -s -X POST "$BASE_URL/consent/sms" \
+//   -H "Content-Type: application/json" \
+//   -H "Authorization: Bearer $INTAKE_WRITE_TOKEN" \
+//   -d '{"phone":"+14155551212","action":"opt_in","channel":"web","source":"signup-form","wording_version":"2024-06"}' | jq
+//
+// curl -s -X POST "$BASE_URL/consent/sms" \
+//   -H "Content-Type: application/json" \
+//   -H "Authorization: Bearer $INTAKE_WRITE_TOKEN" \
+//   -d '{"phone":"+14155551212","message":"STOP"}' | jq
+app.post("/consent/sms", async (req, res) => {
+  const endpoint = "/consent/sms";
+  try {
+    if (await throttled(req, res, endpoint, "upsert", { ip: req.ip })) return;
+    const tenant = await authenticateTenant(req, endpoint, ["pending:write", "admin"]);
+    if (!tenant) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    if (await throttled(req, res, endpoint, "upsert", { key: req.apiKeyId })) return;
+
+    const body = req.body || {};
+    const e164 = toE164(body.phone);
+    if (!e164) {
+      return res.status(400).json({ ok: false, error: "invalid_phone_number" });
+    }
+    let action = body.action;
+    let keyword = null;
+    if (action === undefined && typeof body.message === "string") {
+      const match = matchKeyword(body.message);
+      if (!match) return res.status(400).json({ ok: false, error: "no_keyword" });
+      if (match.action === "help") {
+        return res.status(200).json({ ok: true, phone: e164, action: "help", changed: false });
+      }
+      ({ action, keyword } = match);
+    }
+    if (!CONSENT_ACTIONS.includes(action)) {
+      return res.status(400).json({ ok: false, error: "invalid_action", allowed: CONSENT_ACTIONS });
+    }
+    const channel = body.channel ?? (keyword ? "sms" : undefined);
+    if (!CONSENT_CHANNELS.includes(channel)) {
+      return res.status(400).json({ ok: false, error: "invalid_channel", allowed: CONSENT_CHANNELS });
+    }
+    const wordingVersion = body.wording_version ?? body.wordingVersion ?? (keyword ? tenant.smsWordingVersion : "");
+    const details = [
+      typeof wordingVersion !== "string" && { path: "wording_version", rule: "type", message: "wording_version must be a string" },
+      body.source !== undefined && typeof body.source !== "string" && { path: "source", rule: "type", message: "source must be a string" }
+    ].filter(Boolean);
+    if (details.length > 0) {
+      return res.status(400).json({ ok: false, error: "validation_failed", details });
+    }
+
+    const result = await tenant.repos.runTransaction(async (tx) => {
+      const before = await tx.consent.get(e164);
+      return recordConsent(tx, e164, before, {
+        action,
+        channel,
+        source: body.source || "api",
+        wordingVersion,
+        keyword,
+        message: keyword ? body.message : null,
+        keyId: req.apiKeyId,
+        actor: adminActor(req) || null
+      });
+    });
+
+    logEvent("info", "sms_consent_recorded", { endpoint, tenant: tenant.id, docId: e164, action, channel, keyword });
+    return res.status(200).json({ ok: true, phone: e164, action, changed: true, ...result });
+  } catch (err) {
+    logEvent("error", "sms_consent_failed", { endpoint, error: err.message });
+    return res.status(500).json({ ok: false, error: "consent_failed" });
+  }
+});
+
+// ---- Twilio inbound SMS webhook ----
+/*
+ * Environment Variables Required:
+ * - TWILIO_AUTH_TOKEN: signs the webhooks (per tenant: twilioAuthToken)
+ * - TWILIO_WEBHOOK_BASE_URL: public origin Twilio posts to, when the service
+ *   sits behind a proxy that changes the host (optional)
+ *
+ * Point the Twilio number's "A message comes in" webhook here (HTTP POST).
+ * The tenant is the one that owns the number texted (To). A text from an
+ * unknown number starts a pending contact with status "incomplete" (phone,
+ * contactMethod "text" and the message); a form upsert or PATCH later fills
+ * in the rest. Texts are stored under {collection}/{phone}/messages/{MessageSid},
+ * so Twilio retries are stored once. STOP / START update sms_consent, HELP is
+ * ignored; keywords store nothing else and Twilio sends its own replies.
+ * Other texts count against the `sms` rate limit per phone; over it they are
+ * dropped (logged as rate_limited) and answered 200 with an empty TwiML
+ * Response, so Twilio does not record a webhook failure.
+ *
+ * cURL Test Example (signature from scripts or the Twilio helper library):
+ * curl -s -X POST "$BASE_URL/twilio/sms" \
+ *   -H "X-Twilio-Signature: $SIGNATURE" \
+ *   --data-urlencode "MessageSid=SM_test" \
+ *   --data-urlencode "From=+14155551212" \
+ *   --data-urlencode "To=+18005550100" \
+ *   --data-urlencode "Body=Hi, I need help with a bid"
+ */
+const TWILIO_WEBHOOK_BASE_URL = (process.env.TWILIO_WEBHOOK_BASE_URL || "").replace(/\/+$/, "");
+
+// The URL Twilio signed: as configured in Twilio, query string included
+function twilioWebhookUrl(req) {
+  return `${TWILIO_WEBHOOK_BASE_URL || `${req.protocol}://${req.get("host")}`}${req.originalUrl}`;
+}
+
+const sendTwiml = (res, status, message) => res.status(status).type("text/xml").send(twiml(message));
+
+app.post("/twilio/sms", express.urlencoded({ extended: false }), async (req, res) => {
+  const endpoint = "/twilio/sms";
+  try {
+    const params = req.body || {};
+    const tenant = callTenant(req, endpoint, { calledNumber: params.To });
+    if (!tenant) {
+      return sendTwiml(res, 404);
+    }
+    const signature = verifyTwilioSignature(tenant.twilioAuthToken, twilioWebhookUrl(req), params, req.get("X-Twilio-Signature"));
+    if (!signature.ok) {
+      authFailed({ endpoint, ip: req.ip, method: "twilio_signature", reason: signature.reason, tenant: tenant.id });
+      return sendTwiml(res, 403);
+    }
+
+    const e164 = toE164(params.From);
+    const messageSid = String(params.MessageSid || params.SmsSid || "");
+    if (!e164 || !/^[A-Za-z0-9_]{1,64}$/.test(messageSid)) {
+      logEvent("warn", "sms_rejected", { endpoint, tenant: tenant.id, reason: e164 ? "missing_message_sid" : "invalid_phone_number" });
+      return sendTwiml(res, 200);
+    }
+    const text = String(params.Body ?? "").trim();
+    const keyword = matchKeyword(text);
+
+    if (keyword?.action === "help") {
+      return sendTwiml(res, 200);
+    }
+    if (keyword) {
+      await tenant.repos.runTransaction(async (tx) => {
+        const before = await tx.consent.get(e164);
+        return recordConsent(tx, e164, before, {
+          action: keyword.action,
+          channel: "sms",
+          source: "twilio",
+          wordingVersion: tenant.smsWordingVersion,
+          keyword: keyword.keyword,
+          message: text
+        });
+      });
+      logEvent("info", "sms_consent_recorded", { endpoint, tenant: tenant.id, docId: e164, action: keyword.action, channel: "sms", keyword: keyword.keyword });
+      return sendTwiml(res, 200);
+    }
+    // Keywords are never throttled: an opt-out must always land
+    if (await throttled(req, res, endpoint, "sms", { phone: `${tenant.id}:${e164}` }, (r) => sendTwiml(r, 200))) return;
+
+    const result = await tenant.repos.runTransaction(async (tx) => {
+      const [contact, pending, consent] = await Promise.all([tx.contacts.get(e164), tx.pending.get(e164), tx.consent.get(e164)]);
+      // Registered contacts keep their texts; everyone else gets (or has) a pending contact
+      const owner = contact ? tx.contacts : tx.pending;
+      const parent = contact ?? pending;
+      if (await owner.getMessage(e164, messageSid)) {
+        return { duplicate: true, collection: owner.collection };
+      }
+
+      owner.addMessage(e164, messageSid, {
+        messageSid,
+        from: e164,
+        to: toE164(params.To) || "",
+        body: text,
+        numMedia: parseInt(params.NumMedia, 10) || 0,
+        receivedAt: serverTimestamp()
+      });
+      const update = {
+        lastChannel: "sms",
+        lastMessage: text.slice(0, MAX_MESSAGE_LENGTH),
+        lastMessageAt: serverTimestamp(),
+        messageCount: increment(1),
+        updatedAt: serverTimestamp()
+      };
+      if (parent) {
+        owner.update(e164, update);
+      } else {
+        owner.set(e164, withSearchKeys({
+          ...update,
+          phone: e164,
+          contactMethod: "text",
+          status: "incomplete",
+          submittedBy: "twilio-sms",
+          submittedAt: serverTimestamp()
+        }));
+      }
+      return {
+        duplicate: false,
+        created: !parent,
+        collection: owner.collection,
+        suppressed: consentState(consent).suppressed
+      };
+    });
+
+    logEvent("info", "sms_received", {
+      endpoint,
+      tenant: tenant.id,
+      docId: e164,
+      messageSid,
+      collection: result.collection,
+      created: !!result.created,
+      duplicate: result.duplicate
+    });
+    if (result.created) {
+      webhooks.emit(tenant.id, "pending_contact.created", pendingEventData(e164, { status: "incomplete" }, "twilio-sms"));
+    }
+    // Only a first text gets the acknowledgement, and never after an opt-out
+    const reply = result.created && !result.suppressed ? tenant.smsReply : "";
+    return sendTwiml(res, 200, reply);
+  } catch (err) {
+    logEvent("error", "sms_failed", { endpoint, error: err.message });
+    // Twilio retries on 5xx; the MessageSid keeps the retry from being stored twice
+    return sendTwiml(res, 500);
+  }
+});
+
+// ---- Admin: pending contact review (approve / reject) ----
+/*
+ * Environment Variables Required:
+ * - API key with admin (legacy: ADMIN_TOKEN)
+ *
+ * Every mutating admin call must identify the reviewer with an
+ * `X-Admin-User` header; it is stored on the documents as reviewedBy.
+ *
+ * cURL Test Examples:
+ *
+ * List pending:
+ * curl -s "$BASE_URL/admin/pending-contacts?status=pending&limit=20" \
+ *   -H "Authorization: Bearer $ADMIN_TOKEN" | jq
+ *
+ * Approve (promotes into contacts/{phone}):
+ * curl -s -X POST "$BASE_URL/admin/pending-contacts/%2B14155551212/approve" \
+ *   -H "Content-Type: application/json" \
+ *   -H "Authorization: Bearer $ADMIN_TOKEN" \
+ *   -H "X-Admin-User: ops@example.com" \
+ *   -d '{"notes":"Verified by phone","tags":["founder"]}' | jq
+ *
+ * Reject:
+ * curl -s -X POST "$BASE_URL/admin/pending-contacts/%2B14155551212/reject" \
+ *   -H "Content-Type: application/json" \
+ *   -H "Authorization: Bearer $ADMIN_TOKEN" \
+ *   -H "X-Admin-User: ops@example.com" \
+ *   -d '{"reason":"Duplicate of existing customer"}' | jq
+ *
+ * Submission history (every upsert/patch, newest first):
+ * curl -s "$BASE_URL/admin/pending-contacts/%2B14155551212/submissions?limit=20" \
+ *   -H "Authorization: Bearer $ADMIN_TOKEN" | jq
+ */
+const PENDING_STATUSES = ["pending", "incomplete", "approved", "rejected"];
+// Leads started by a text or call (incomplete) can be reviewed like form leads
+const REVIEWABLE_STATUSES = ["pending", "incomplete"];
+const REVIEWED_STATUSES = ["approved", "rejected"];
+
+// contactMethod on the intake form → lastChannel on the contact
+const CHANNEL_BY_CONTACT_METHOD = { text: "sms", phone: "voice", email: "email" };
+
+app.get("/admin/pending-contacts", async (req, res) => {
+  try {
+    const tenant = await authenticateTenant(req, "/admin/pending-contacts", "admin");
+    if (!tenant) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    const status = String(req.query.status || "pending");
+    if (!PENDING_STATUSES.includes(status)) {
+      return res.status(400).json({ ok: false, error: "invalid_status", allowed: PENDING_STATUSES });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const docs = await tenant.repos.pending.listByStatus(status, limit);
+    const items = docs.map((doc) => ({ id: doc.id, ...serializeDoc(doc.data) }));
+
+    return res.status(200).json({ ok: true, status, count: items.length, items });
+  } catch (err) {
+    logEvent("error", "pending_list_failed", { endpoint: "/admin/pending-contacts", error: err.message });
+    return res.status(500).json({ ok: false, error: "list_failed" });
+  }
+});
+
+app.post("/admin/pending-contacts/:id/approve", async (req, res) => {
+  try {
+    const tenant = await authenticateTenant(req, "/admin/pending-contacts/approve", "admin");
+    if (!tenant) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    const reviewedBy = adminActor(req);
+    if (!reviewedBy) return res.status(400).json({ ok: false, error: "missing_admin_user" });
+
+    const e164 = toE164(req.params.id);
+    if (!e164) return res.status(400).json({ ok: false, error: "invalid_phone_number" });
+
+    const { notes, tags } = req.body || {};
+    if (tags !== undefined && !Array.isArray(tags)) {
+      return res.status(400).json({ ok: false, error: "validation_failed", details: [{ path: "tags", rule: "type", message: "tags must be an array" }] });
+    }
+
+    // Read both docs and write both in one transaction so a pending record is
+    // never promoted twice and never left "pending" after a contact is written.
+    const result = await tenant.repos.runTransaction(async (tx) => {
+      const [pending, current] = await Promise.all([tx.pending.get(e164), tx.contacts.get(e164)]);
+      if (!pending) return { error: "not_found", status: 404 };
+
+      if (!REVIEWABLE_STATUSES.includes(pending.status)) {
+        return { error: "already_reviewed", status: 409, current: pending.status };
+      }
+
+      const existing = current ?? {};
+      // The license number and its authority travel together
+      const license =
+        pending.licenseNumber !== undefined
+          ? { cslb: pending.licenseNumber, licenseAuthority: pending.licenseAuthority }
+          : { cslb: existing.cslb ?? "", licenseAuthority: existing.licenseAuthority };
+      const contact = {
+        phone_e164: e164,
+        name: pending.name ?? existing.name ?? "",
+        business: pending.company ?? existing.business ?? "",
+        cslb: license.cslb,
+        licenseAuthority: license.licenseAuthority || DEFAULT_AUTHORITY,
+        email: pending.email ?? existing.email ?? "",
+        language: normalizeLanguage(pending.languageUsed) ?? existing.language ?? "",
+        isRegistered: true,
+        source: pending.submittedBy || "sms-intake",
+        lastChannel: CHANNEL_BY_CONTACT_METHOD[pending.contactMethod] || existing.lastChannel || "",
+        notes: notes !== undefined ? String(notes) : existing.notes ?? "",
+        tags: tags !== undefined ? tags.map(String) : Array.isArray(existing.tags) ? existing.tags : [],
+        recentCalls: existing.recentCalls ?? pending.recentCalls ?? [],
+        approvedBy: reviewedBy,
+        approvedAt: serverTimestamp(),
+        createdAt: existing.createdAt ?? serverTimestamp(),
+        updatedAt: serverTimestamp()
+      };
+
+      tx.contacts.set(e164, withSearchKeys(contact), { merge: true });
+      addContactAudit(tx, e164, {
+        action: current ? "approve_update" : "approve_create",
+        actor: reviewedBy,
+        before: current,
+        after: { ...existing, ...contact }
+      });
+      tx.pending.update(e164, {
+        status: "approved",
+        reviewedBy,
+        reviewedAt: serverTimestamp(),
+        contactId: e164,
+        updatedAt: serverTimestamp()
+      });
+      return { created: !current };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ ok: false, error: result.error, current: result.current });
+    }
+
+    logEvent("info", "pending_approved", {
+      endpoint: "/admin/pending-contacts/approve",
+      docId: e164,
+      reviewedBy,
+      contactCreated: result.created
+    });
+    return res.status(200).json({ ok: true, id: e164, status: "approved", contactCreated: result.created });
+  } catch (err) {
+    logEvent("error", "pending_approve_failed", { endpoint: "/admin/pending-contacts/approve", error: err.message });
+    return res.status(500).json({ ok: false, error: "approve_failed" });
+  }
+});
+
+app.post("/admin/pending-contacts/:id/reject", async (req, res) => {
+  try {
+    const tenant = await authenticateTenant(req, "/admin/pending-contacts/reject", "admin");
+    if (!tenant) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    const reviewedBy = adminActor(req);
+    if (!reviewedBy) return res.status(400).json({ ok: false, error: "missing_admin_user" });
+
+    const e164 = toE164(req.params.id);
+    if (!e164) return res.status(400).json({ ok: false, error: "invalid_phone_number" });
+
+    const reason = typeof req.body?.reason === "string" ? req.body.reason.trim() : "";
+    if (!reason) {
+      return res.status(400).json({
+        ok: false,
+        error: "validation_failed",
+        details: [{ path: "reason", rule: "required", message: "Missing required field: reason" }]
+      });
+    }
+
+    const result = await tenant.repos.runTransaction(async (tx) => {
+      const pending = await tx.pending.get(e164);
+      if (!pending) return { error: "not_found", status: 404 };
+      const current = pending.status;
+      if (!REVIEWABLE_STATUSES.includes(current)) return { error: "already_reviewed", status: 409, current };
+
+      tx.pending.update(e164, {
+        status: "rejected",
+        rejectionReason: reason,
+        reviewedBy,
+        reviewedAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+      return {};
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ ok: false, error: result.error, current: result.current });
+    }
+
+    logEvent("info", "pending_rejected", { endpoint: "/admin/pending-contacts/reject", docId: e164, reviewedBy });
+    return res.status(200).json({ ok: true, id: e164, status: "rejected" });
+  } catch (err) {
+    logEvent("error", "pending_reject_failed", { endpoint: "/admin/pending-contacts/reject", error: err.message });
+    return res.status(500).json({ ok: false, error: "reject_failed" });
+  }
+});
+
+// Every version the lead submitted (upserts and patches), newest first
+app.get("/admin/pending-contacts/:id/submissions", async (req, res) => {
+  try {
+    const tenant = await authenticateTenant(req, "/admin/pending-contacts/submissions", "admin");
+    if (!tenant) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    const e164 = toE164(req.params.id);
+    if (!e164) return res.status(400).json({ ok: false, error: "invalid_phone_number" });
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const docs = await tenant.repos.pending.listSubmissions(e164, limit);
+    const submissions = docs.map((doc) => ({ id: doc.id, ...serializeDoc(doc.data) }));
+    return res.status(200).json({ ok: true, id: e164, count: submissions.length, submissions });
+  } catch (err) {
+    logEvent("error", "pending_submissions_failed", { endpoint: "/admin/pending-contacts/submissions", error: err.message });
+    return res.status(500).json({ ok: false, error: "list_failed" });
+  }
+});
+
+// ---- Admin: contacts CRUD with audit history ----
+/*
+ * Environment Variables Required:
+ * - API key with admin (legacy: ADMIN_TOKEN)
+ *
+ * Contacts are keyed by E.164 phone. Writes require `X-Admin-User` and append an
+ * entry (before/after per changed field) to contacts/{phone}/audit.
+ *
+ * cURL Test Examples:
+ *
+ * Create:
+ * curl -s -X POST "$BASE_URL/admin/contacts" \
+ *   -H "Content-Type: application/json" \
+ *   -H "Authorization: Bearer $ADMIN_TOKEN" \
+ *   -H "X-Admin-User: ops@example.com" \
+ *   -d '{"phone":"+14155551212","name":"John Doe","business":"ABC Construction","cslb":"1234567"}' | jq
+ *
+ * Update notes/tags:
+ * curl -s -X PATCH "$BASE_URL/admin/contacts/%2B14155551212" \
+ *   -H "Content-Type: application/json" \
+ *   -H "Authorization: Bearer $ADMIN_TOKEN" \
+ *   -H "X-Admin-User: ops@example.com" \
+ *   -d '{"notes":"Prefers mornings","tags":["priority"]}' | jq
+ *
+ * Audit history:
+ * curl -s "$BASE_URL/admin/contacts/%2B14155551212/audit" \
+ *   -H "Authorization: Bearer $ADMIN_TOKEN" | jq
+ */
+
+// Shared preamble for admin contact routes: auth, actor and phone key
+async function adminContactRequest(req, res, endpoint, { requireActor = true } = {}) {
+  const tenant = await authenticateTenant(req, endpoint, "admin");
+  if (!tenant) {
+    res.status(401).json({ error: "unauthorized" });
+    return null;
+  }
+  const actor = adminActor(req);
+  if (requireActor && !actor) {
+    res.status(400).json({ ok: false, error: "missing_admin_user" });
+    return null;
+  }
+  const e164 = toE164(req.params.phone ?? req.body?.phone);
+  if (!e164) {
+    res.status(400).json({ ok: false, error: "invalid_phone_number" });
+    return null;
+  }
+  return { actor, e164, repos: tenant.repos };
+}
+
+app.get("/admin/contacts/:phone", async (req, res) => {
+  try {
+    const ctx = await adminContactRequest(req, res, "/admin/contacts/get", { requireActor: false });
+    if (!ctx) return;
+
+    const contact = await ctx.repos.contacts.get(ctx.e164);
+    if (!contact) return res.status(404).json({ ok: false, error: "not_found" });
+    return res.status(200).json({ ok: true, id: ctx.e164, contact: serializeDoc(contact) });
+  } catch (err) {
+    logEvent("error", "contact_get_failed", { endpoint: "/admin/contacts/get", error: err.message });
+    return res.status(500).json({ ok: false, error: "get_failed" });
+  }
+});
+
+app.post("/admin/contacts", async (req, res) => {
+  try {
+    const ctx = await adminContactRequest(req, res, "/admin/contacts/create");
+    if (!ctx) return;
+
+    const { phone: _phone, ...fields } = req.body || {};
+    const validationErrors = validateContact(fields);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ ok: false, error: "validation_failed", details: validationErrors });
+    }
+
+    const contact = {
+      isRegistered: true,
+      ...fields,
+      phone_e164: ctx.e164,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    };
+
+    const created = await ctx.repos.runTransaction(async (tx) => {
+      if (await tx.contacts.get(ctx.e164)) return false;
+      tx.contacts.create(ctx.e164, withSearchKeys(contact));
+      addContactAudit(tx, ctx.e164, { action: "create", actor: ctx.actor, before: null, after: contact });
+      return true;
+    });
+    if (!created) return res.status(409).json({ ok: false, error: "already_exists", id: ctx.e164 });
+
+    logEvent("info", "contact_created", { endpoint: "/admin/contacts/create", docId: ctx.e164, actor: ctx.actor });
+    return res.status(201).json({ ok: true, id: ctx.e164 });
+  } catch (err) {
+    logEvent("error", "contact_create_failed", { endpoint: "/admin/contacts/create", error: err.message });
+    return res.status(500).json({ ok: false, error: "create_failed" });
+  }
+});
+
+app.patch("/admin/contacts/:phone", async (req, res) => {
+  try {
+    const ctx = await adminContactRequest(req, res, "/admin/contacts/update");
+    if (!ctx) return;
+
+    const fields = req.body || {};
+    const validationErrors = validateContact(fields, { partial: true });
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ ok: false, error: "validation_failed", details: validationErrors });
+    }
+
+    const result = await ctx.repos.runTransaction(async (tx) => {
+      const before = await tx.contacts.get(ctx.e164);
+      if (!before) return { error: "not_found" };
+
+      const changes = diffFields(before, { ...before, ...fields });
+      if (Object.keys(changes).length === 0) return { changed: [] };
+
+      tx.contacts.update(ctx.e164, { ...fields, search: searchKeys({ ...before, ...fields }), updatedAt: serverTimestamp() });
+      addContactAudit(tx, ctx.e164, { action: "update", actor: ctx.actor, before, after: { ...before, ...fields } });
+      return { changed: Object.keys(changes) };
+    });
+    if (result.error) return res.status(404).json({ ok: false, error: result.error });
+
+    logEvent("info", "contact_updated", {
+      endpoint: "/admin/contacts/update",
+      docId: ctx.e164,
+      actor: ctx.actor,
+      changed: result.changed
+    });
+    return res.status(200).json({ ok: true, id: ctx.e164, changed: result.changed });
+  } catch (err) {
+    logEvent("error", "contact_update_failed", { endpoint: "/admin/contacts/update", error: err.message });
+    return res.status(500).json({ ok: false, error: "update_failed" });
+  }
+});
+
+app.delete("/admin/contacts/:phone", async (req, res) => {
+  try {
+    const ctx = await adminContactRequest(req, res, "/admin/contacts/delete");
+    if (!ctx) return;
+
+    const deleted = await ctx.repos.runTransaction(async (tx) => {
+      const before = await tx.contacts.get(ctx.e164);
+      if (!before) return false;
+      tx.contacts.delete(ctx.e164);
+      addContactAudit(tx, ctx.e164, { action: "delete", actor: ctx.actor, before, after: null });
+      return true;
+    });
+    if (!deleted) return res.status(404).json({ ok: false, error: "not_found" });
+
+    logEvent("info", "contact_deleted", { endpoint: "/admin/contacts/delete", docId: ctx.e164, actor: ctx.actor });
+    return res.status(200).json({ ok: true, id: ctx.e164, deleted: true });
+  } catch (err) {
+    logEvent("error", "contact_delete_failed", { endpoint: "/admin/contacts/delete", error: err.message });
+    return res.status(500).json({ ok: false, error: "delete_failed" });
+  }
+});
+
+app.get("/admin/contacts/:phone/audit", async (req, res) => {
+  try {
+    const ctx = await adminContactRequest(req, res, "/admin/contacts/audit", { requireActor: false });
+    if (!ctx) return;
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const docs = await ctx.repos.contacts.listAudit(ctx.e164, limit);
+    const entries = docs.map((doc) => ({ id: doc.id, ...serializeDoc(doc.data) }));
+    return res.status(200).json({ ok: true, id: ctx.e164, count: entries.length, entries });
+  } catch (err) {
+    logEvent("error", "contact_audit_failed", { endpoint: "/admin/contacts/audit", error: err.message });
+    return res.status(500).json({ ok: false, error: "audit_failed" });
+  }
+});
+
+// ---- Admin: SMS consent and suppression list ----
+/*
+ * Environment Variables Required:
+ * - API key with admin (legacy: ADMIN_TOKEN)
+ * - SMS_CONSENT_COLLECTION: consent records (default: "sms_consent")
+ *
+ * cURL Test Examples:
+ *
+ * Suppression list (everyone who opted out):
+ * curl -s "$BASE_URL/admin/consent?status=opted_out&limit=100" \
+ *   -H "Authorization: Bearer $ADMIN_TOKEN" | jq
+ *
+ * One phone's consent and its opt-in / opt-out history, newest first:
+ * curl -s "$BASE_URL/admin/consent/%2B14155551212?limit=20" \
+ *   -H "Authorization: Bearer $ADMIN_TOKEN" | jq
+ */
+const CONSENT_STATUSES = ["opted_in", "opted_out"];
+
+app.get("/admin/consent", async (req, res) => {
+  try {
+    const tenant = await authenticateTenant(req, "/admin/consent", "admin");
+    if (!tenant) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+
+    const status = String(req.query.status || "opted_out");
+    if (!CONSENT_STATUSES.includes(status)) {
+      return res.status(400).json({ ok: false, error: "invalid_status", allowed: CONSENT_STATUSES });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const docs = await tenant.repos.consent.listByStatus(status, limit);
+    const items = docs.map((doc) => ({ id: doc.id, ...serializeDoc(doc.data) }));
+
+    return res.status(200).json({ ok: true, status, count: items.length, items });
+  } catch (err) {
+    logEvent("error", "consent_list_failed", { endpoint: "/admin/consent", error: err.message });
+    return res.status(500).json({ ok: false, error: "list_failed" });
+  }
+});
+
+app.get("/admin/consent/:phone", async (req, res) => {
+  try {
+    const tenant = await authenticateTenant(req, "/admin/consent/get", "admin");
+    if (!tenant) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    const e164 = toE164(req.params.phone);
+    if (!e164) return res.status(400).json({ ok: false, error: "invalid_phone_number" });
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const [record, docs] = await Promise.all([
+      tenant.repos.consent.get(e164),
+      tenant.repos.consent.listEvents(e164, limit)
+    ]);
+    const events = docs.map((doc) => ({ id: doc.id, ...serializeDoc(doc.data) }));
+    return res.status(200).json({ ok: true, id: e164, consent: serializeDoc(consentState(record)), count: events.length, events });
+  } catch (err) {
+    logEvent("error", "consent_get_failed", { endpoint: "/admin/consent/get", error: err.message });
+    return res.status(500).json({ ok: false, error: "get_failed" });
+  }
+});
+
+// ---- Admin: bulk import / export ----
+/*
+ * Environment Variables Required:
+ * - API key with admin (legacy: ADMIN_TOKEN)
+ * - IMPORT_MAX_ROWS: rows per import request (optional, default 10000)
+ * - IMPORT_BATCH_SIZE: rows per write transaction (optional, default 200)
+ *
+ * Imports read the whole file and validate every row (same rules and phone
+ * normalization as a single write) before writing valid rows in batches;
+ * invalid rows are reported, not written. ?onConflict=skip (default) leaves
+ * existing documents alone, merge overwrites them with the row's non-empty
+ * fields (?arrays=union to add to arrays instead). ?dryRun=true reports what
+ * would happen without writing. Writes require `X-Admin-User`.
+ *
+ * cURL Test Examples:
+ *
+ * Import contacts from a CRM export (dry run first):
+ * curl -sg -X POST "$BASE_URL/admin/import/contacts?dryRun=true&map[Mobile]=phone&map[Company]=business" \
+ *   -H "Content-Type: text/csv" \
+ *   -H "Authorization: Bearer $ADMIN_TOKEN" \
+ *   -H "X-Admin-User: ops@example.com" \
+ *   --data-binary @crm.csv | jq
+ *
+ * Export pending contacts submitted in October as CSV:
+ * curl -s "$BASE_URL/admin/export/pending-contacts?format=csv&status=pending&dateField=submittedAt&since=2026-10-01&until=2026-11-01" \
+ *   -H "Authorization: Bearer $ADMIN_TOKEN" -o pending.csv
+ */
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 10000;
+// Each row is two writes (document + audit/submission); Firestore allows 500 per transaction
+const IMPORT_BATCH_SIZE = Math.min(parseInt(process.env.IMPORT_BATCH_SIZE, 10) || 200, 250);
+const IMPORT_MAX_ERRORS = 100;
+const IMPORT_CONFLICTS = ["skip", "merge"];
+
+// One import row → { e164, fields, phone? } or { error, details? }
+function prepareContactRow(values, format) {
+  const { phone, phone_e164, ...rest } = values;
+  const fields = format === "csv" ? coerceRow(rest, CONTACT_SCHEMA) : rest;
+  const e164 = toE164(phone_e164 || phone);
+  if (!e164) return { error: "invalid_phone_number" };
+  const details = validateContact(fields, { partial: true });
+  return details.length > 0 ? { error: "validation_failed", details } : { e164, fields };
+}
+
+function preparePendingRow(values, format) {
+  const version = detectVersion(values);
+  const { record: canonical, fieldNames } = toCanonicalPendingContact(values, version);
+  const record = format === "csv" ? coerceRow(canonical, PENDING_CONTACT_SCHEMA) : canonical;
+  const details = toClientErrors(validatePendingContact(record), version, fieldNames);
+  if (details.length > 0) return { error: "validation_failed", details };
+  const phone = parsePhone(record.phone);
+  if (!phone.e164) return { error: "invalid_phone_number" };
+  return { e164: phone.e164, phone, fields: pickFields(normalizePendingContact(record), FORM_FIELDS) };
+}
+
+// What an import row does to its document: { outcome, write?(tx) }
+function planContactRow({ e164, fields }, before, { onConflict, arrays, actor }) {
+  if (!before) {
+    const details = validateContact(fields);
+    if (details.length > 0) return { outcome: "failed", error: "validation_failed", details };
+    const contact = { isRegistered: true, source: "import", ...fields, phone_e164: e164, createdAt: serverTimestamp(), updatedAt: serverTimestamp() };
+    return {
+      outcome: "created",
+      write(tx) {
+        tx.contacts.create(e164, withSearchKeys(contact));
+        addContactAudit(tx, e164, { action: "import_create", actor, before: null, after: contact });
+      }
+    };
+  }
+  if (onConflict === "skip") return { outcome: "skipped" };
+  const after = mergeFields(before, pickFields(fields, Object.keys(fields).filter((f) => !isBlank(fields[f]))), { arrays });
+  if (Object.keys(diffFields(before, after)).length === 0) return { outcome: "unchanged" };
+  return {
+    outcome: "updated",
+    write(tx) {
+      tx.contacts.set(e164, withSearchKeys({ ...after, updatedAt: serverTimestamp() }));
+      addContactAudit(tx, e164, { action: "import_update", actor, before, after });
+    }
+  };
+}
+
+function planPendingRow({ e164, phone, fields }, before, { onConflict, arrays, keyId, endpoint }) {
+  if (!before) {
+    const doc = {
+      ...fields,
+      phone: e164,
+      phoneType: phone.type,
+      phoneRegion: phone.region,
+      ...(phone.extension && { phoneExtension: phone.extension }),
+      status: "pending",
+      submittedBy: "import",
+      submittedAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    };
+    return {
+      outcome: "created",
+      write(tx) {
+        tx.pending.set(e164, withSearchKeys(doc));
+        addSubmission(tx, e164, { source: "import", endpoint, apiVersion: null, keyId, fields, before: null, after: doc });
+      }
+    };
+  }
+  if (onConflict === "skip") return { outcome: "skipped" };
+  const changes = pickFields(fields, Object.keys(fields).filter((f) => !isBlank(fields[f])));
+  const after = mergeFields(before, changes, { arrays });
+  if (Object.keys(diffFields(before, after)).length === 0) return { outcome: "unchanged" };
+  return {
+    outcome: "updated",
+    write(tx) {
+      const doc = { ...after, updatedAt: serverTimestamp() };
+      tx.pending.set(e164, withSearchKeys(doc));
+      addSubmission(tx, e164, { source: "import", endpoint, apiVersion: null, keyId, fields: changes, before, after: doc });
+    }
+  };
+}
+
+const BULK_COLLECTIONS = {
+  contacts: {
+    repo: "contacts",
+    idField: "phone_e164",
+    importFields: ["phone", "phone_e164", ...Object.keys(CONTACT_SCHEMA.properties)],
+    prepare: prepareContactRow,
+    plan: planContactRow,
+    exportColumns: ["phone_e164", ...Object.keys(CONTACT_SCHEMA.properties), "createdAt", "updatedAt"],
+    dateFields: ["updatedAt", "createdAt"],
+    statuses: null
+  },
+  "pending-contacts": {
+    repo: "pending",
+    idField: "phone",
+    importFields: [...Object.keys(PENDING_CONTACT_SCHEMA.properties), ...Object.keys(V1_FIELD_MAP)],
+    prepare: preparePendingRow,
+    plan: planPendingRow,
+    exportColumns: ["phone", ...FORM_FIELDS, "status", "submittedBy", "submittedAt", "updatedAt"],
+    dateFields: ["updatedAt", "submittedAt"],
+    statuses: PENDING_STATUSES
+  }
+};
+
+// Plan a batch against `repos` (a transaction, or the tenant's repos for a dry run) and queue its writes
+async function importBatch(repos, collection, items, options) {
+  const existing = await Promise.all(items.map((item) => repos[collection.repo].get(item.e164)));
+  const plans = items.map((item, i) => ({ row: item.row, e164: item.e164, ...collection.plan(item, existing[i], options) }));
+  if (!options.dryRun) plans.forEach((plan) => plan.write?.(repos));
+  return plans;
+}
+
+app.post("/admin/import/:collection", async (req, res) => {
+  const endpoint = "/admin/import";
+  try {
+    const tenant = await authenticateTenant(req, endpoint, "admin");
+    if (!tenant) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    const collection = BULK_COLLECTIONS[req.params.collection];
+    if (!collection) {
+      return res.status(404).json({ ok: false, error: "unknown_collection", allowed: Object.keys(BULK_COLLECTIONS) });
+    }
+    const dryRun = ["true", "1"].includes(String(req.query.dryRun));
+    const actor = adminActor(req);
+    if (!dryRun && !actor) {
+      return res.status(400).json({ ok: false, error: "missing_admin_user" });
+    }
+    const format = requestFormat(req);
+    if (!format) {
+      return res.status(415).json({ ok: false, error: "unsupported_format", formats: FORMATS });
+    }
+    const onConflict = String(req.query.onConflict || "skip");
+    if (!IMPORT_CONFLICTS.includes(onConflict)) {
+      return res.status(400).json({ ok: false, error: "invalid_on_conflict", allowed: IMPORT_CONFLICTS });
+    }
+    const arrays = arrayStrategy(req);
+    if (!arrays) {
+      return res.status(400).json({ ok: false, error: "invalid_array_strategy", allowed: ARRAY_STRATEGIES });
+    }
+    const { mapping, error: mappingError } = parseMapping(req.query.map, collection.importFields);
+    if (mappingError) {
+      return res.status(400).json({ ok: false, error: mappingError, fields: collection.importFields });
+    }
+
+    // Read and validate everything before the first write
+    const items = [];
+    const errors = [];
+    const ignored = new Set();
+    const firstRowByPhone = new Map();
+    let total = 0;
+    for await (const { row, values, error } of readRows(req, format)) {
+      total += 1;
+      if (total > IMPORT_MAX_ROWS) {
+        return res.status(413).json({ ok: false, error: "too_many_rows", max: IMPORT_MAX_ROWS });
+      }
+      if (error) {
+        errors.push({ row, error });
+        continue;
+      }
+      const mapped = mapRow(values, mapping, collection.importFields);
+      mapped.ignored.forEach((column) => ignored.add(column));
+      const item = collection.prepare(mapped.values, format);
+      if (item.error) {
+        errors.push({ row, error: item.error, ...(item.details && { details: item.details }) });
+      } else if (firstRowByPhone.has(item.e164)) {
+        errors.push({ row, phone: item.e164, error: "duplicate_phone", firstRow: firstRowByPhone.get(item.e164) });
+      } else {
+        firstRowByPhone.set(item.e164, row);
+        items.push({ row, ...item });
+      }
+    }
+    if (total === 0) {
+      return res.status(400).json({ ok: false, error: "empty_file" });
+    }
+
+    const counts = { created: 0, updated: 0, unchanged: 0, skipped: 0 };
+    const options = { dryRun, onConflict, arrays, actor, keyId: req.apiKeyId, endpoint };
+    for (let i = 0; i < items.length; i += IMPORT_BATCH_SIZE) {
+      const batch = items.slice(i, i + IMPORT_BATCH_SIZE);
+      let plans;
+      try {
+        plans = dryRun
+          ? await importBatch(tenant.repos, collection, batch, options)
+          : await tenant.repos.runTransaction((tx) => importBatch(tx, collection, batch, options));
+      } catch (err) {
+        logEvent("error", "import_batch_failed", { endpoint, tenant: tenant.id, firstRow: batch[0].row, rows: batch.length, error: err.message });
+        batch.forEach((item) => errors.push({ row: item.row, phone: item.e164, error: "write_failed" }));
+        continue;
+      }
+      for (const plan of plans) {
+        if (plan.outcome === "failed") {
+          errors.push({ row: plan.row, phone: plan.e164, error: plan.error, ...(plan.details && { details: plan.details }) });
+        } else {
+          counts[plan.outcome] += 1;
+        }
+      }
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+    const report = {
+      ok: true,
+      dryRun,
+      collection: req.params.collection,
+      format,
+      onConflict,
+      total,
+      ...counts,
+      failed: errors.length,
+      ignoredColumns: [...ignored],
+      errors: errors.slice(0, IMPORT_MAX_ERRORS),
+      errorsTruncated: errors.length > IMPORT_MAX_ERRORS
+    };
+    logEvent(errors.length > 0 ? "warn" : "info", "import_completed", {
+      endpoint,
+      tenant: tenant.id,
+      collection: report.collection,
+      actor,
+      dryRun,
+      total,
+      ...counts,
+      failed: errors.length
+    });
+    return res.status(200).json(report);
+  } catch (err) {
+    logEvent("error", "import_failed", { endpoint, error: err.message });
+    return res.status(500).json({ ok: false, error: "import_failed" });
+  }
+});
+
+// ?since / ?until: ISO dates or timestamps; null when absent, undefined when invalid
+function exportDate(value) {
+  if (value === undefined || value === "") return null;
+  const date = new Date(String(value));
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+app.get("/admin/export/:collection", async (req, res) => {
+  const endpoint = "/admin/export";
+  try {
+    const tenant = await authenticateTenant(req, endpoint, "admin");
+    if (!tenant) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    const collection = BULK_COLLECTIONS[req.params.collection];
+    if (!collection) {
+      return res.status(404).json({ ok: false, error: "unknown_collection", allowed: Object.keys(BULK_COLLECTIONS) });
+    }
+    const format = requestFormat(req, "csv");
+    if (!format) {
+      return res.status(400).json({ ok: false, error: "unsupported_format", formats: FORMATS });
+    }
+    const where = [];
+    if (req.query.status !== undefined) {
+      if (!collection.statuses) return res.status(400).json({ ok: false, error: "status_not_supported" });
+      if (!collection.statuses.includes(req.query.status)) {
+        return res.status(400).json({ ok: false, error: "invalid_status", allowed: collection.statuses });
+      }
+      where.push(["status", "==", req.query.status]);
+    }
+    const dateField = String(req.query.dateField || "updatedAt");
+    if (!collection.dateFields.includes(dateField)) {
+      return res.status(400).json({ ok: false, error: "invalid_date_field", allowed: collection.dateFields });
+    }
+    const since = exportDate(req.query.since);
+    const until = exportDate(req.query.until);
+    if (since === undefined || until === undefined) {
+      return res.status(400).json({ ok: false, error: "invalid_date" });
+    }
+    if (since) where.push([dateField, ">=", since]);
+    if (until) where.push([dateField, "<", until]);
+    const picked = typeof req.query.fields === "string" && req.query.fields !== "";
+    const columns = picked ? req.query.fields.split(",").map((f) => f.trim()) : collection.exportColumns;
+    if (columns.some((column) => !/^[A-Za-z0-9_]{1,64}$/.test(column))) {
+      return res.status(400).json({ ok: false, error: "invalid_fields" });
+    }
+
+    const docs = tenant.repos[collection.repo].stream({
+      where,
+      ...((since || until) && { orderBy: { field: dateField, direction: "asc" } })
+    });
+    const day = new Date().toISOString().slice(0, 10);
+    res.status(200).set({
+      "Content-Type": contentType(format),
+      "Content-Disposition": `attachment; filename="${tenant.id}-${req.params.collection}-${day}.${format}"`
+    });
+    const count = await writeRows(res, docs, { format, columns, picked, idField: collection.idField });
+    res.end();
+
+    logEvent("info", "export_completed", {
+      endpoint,
+      tenant: tenant.id,
+      collection: req.params.collection,
+      format,
+      count,
+      complete: !res.destroyed,
+      filters: { status: req.query.status ?? null, dateField, since: since?.toISOString() ?? null, until: until?.toISOString() ?? null }
+    });
+  } catch (err) {
+    logEvent("error", "export_failed", { endpoint, error: err.message });
+    // Once rows are on the wire the status is sent; cut the response short instead
+    if (res.headersSent) return res.destroy(err);
+    res.removeHeader("Content-Disposition");
+    return res.status(500).json({ ok: false, error: "export_failed" });
+  }
+});
+
+// ---- Admin: outbound webhooks ----
+/*
+ * Environment Variables Required:
+ * - API key with admin (legacy: ADMIN_TOKEN)
+ *
+ * Subscriptions belong to the admin key's tenant. The signing secret is
+ * returned once, at creation. Events, payloads and signatures are described
+ * in webhooks/index.js.
+ *
+ * cURL Test Examples:
+ *
+ * Subscribe:
+ * curl -s -X POST "$BASE_URL/admin/webhooks" \
+ *   -H "Content-Type: application/json" \
+ *   -H "Authorization: Bearer $ADMIN_TOKEN" \
+ *   -H "X-Admin-User: ops@example.com" \
+ *   -d '{"url":"https://crm.example.com/hooks/leads","events":["pending_contact.created","pending_contact.repeat"],"description":"CRM"}' | jq
+ *
+ * Pause (or change url / events / description):
+ * curl -s -X PATCH "$BASE_URL/admin/webhooks/wh_0123456789abcdef" \
+ *   -H "Content-Type: application/json" \
+ *   -H "Authorization: Bearer $ADMIN_TOKEN" \
+ *   -H "X-Admin-User: ops@example.com" \
+ *   -d '{"active":false}' | jq
+ *
+ * Delivery log (failed ones):
+ * curl -s "$BASE_URL/admin/webhooks/deliveries?status=failed&limit=20" \
+ *   -H "Authorization: Bearer $ADMIN_TOKEN" | jq
+ *
+ * Redeliver:
+ * curl -s -X POST "$BASE_URL/admin/webhooks/deliveries/<id>/redeliver" \
+ *   -H "Authorization: Bearer $ADMIN_TOKEN" \
+ *   -H "X-Admin-User: ops@example.com" | jq
+ */
+const WEBHOOK_ERROR_STATUS = { not_found: 404, already_queued: 409 };
+
+app.get("/admin/webhooks", async (req, res) => {
+  try {
+    const tenant = await authenticateTenant(req, "/admin/webhooks", "admin");
+    if (!tenant) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    const items = (await webhooks.list(tenant.id)).map(serializeDoc);
+    return res.status(200).json({ ok: true, events: WEBHOOK_EVENTS, count: items.length, items });
+  } catch (err) {
+    logEvent("error", "webhook_list_failed", { endpoint: "/admin/webhooks", error: err.message });
+    return res.status(500).json({ ok: false, error: "list_failed" });
+  }
+});
+
+app.post("/admin/webhooks", async (req, res) => {
+  try {
+    const tenant = await authenticateTenant(req, "/admin/webhooks/create", "admin");
+    if (!tenant) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    const actor = adminActor(req);
+    if (!actor) {
+      return res.status(400).json({ ok: false, error: "missing_admin_user" });
+    }
+
+    const { url, events, description } = req.body || {};
+    const result = await webhooks.subscribe(tenant.id, { url, events, description }, actor);
+    if (!result.ok) {
+      return res.status(400).json({ ...result, ...(result.error === "invalid_events" && { allowed: WEBHOOK_EVENTS }) });
+    }
+
+    logEvent("info", "webhook_subscribed", {
+      endpoint: "/admin/webhooks/create",
+      tenant: tenant.id,
+      subscriptionId: result.record.id,
+      events: result.record.events,
+      actor
+    });
+    return res.status(201).json({ ok: true, secret: result.secret, ...serializeDoc(result.record) });
+  } catch (err) {
+    logEvent("error", "webhook_subscribe_failed", { endpoint: "/admin/webhooks/create", error: err.message });
+    return res.status(500).json({ ok: false, error: "create_failed" });
+  }
+});
+
+app.get("/admin/webhooks/deliveries", async (req, res) => {
+  try {
+    const tenant = await authenticateTenant(req, "/admin/webhooks/deliveries", "admin");
+    if (!tenant) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    const { status, subscriptionId, event } = req.query;
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ ok: false, error: "invalid_status", allowed: DELIVERY_STATUSES });
+    }
+    if (event !== undefined && !WEBHOOK_EVENTS.includes(event)) {
+      return res.status(400).json({ ok: false, error: "invalid_event", allowed: WEBHOOK_EVENTS });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const filters = Object.fromEntries(
+      Object.entries({ status, subscriptionId, event }).filter(([, value]) => typeof value === "string")
+    );
+
+    const items = (await webhooks.listDeliveries(tenant.id, filters, limit)).map(serializeDoc);
+    return res.status(200).json({ ok: true, count: items.length, items });
+  } catch (err) {
+    logEvent("error", "webhook_deliveries_failed", { endpoint: "/admin/webhooks/deliveries", error: err.message });
+    return res.status(500).json({ ok: false, error: "list_failed" });
+  }
+});
+
+app.get("/admin/webhooks/deliveries/:id", async (req, res) => {
+  try {
+    const tenant = await authenticateTenant(req, "/admin/webhooks/deliveries/get", "admin");
+    if (!tenant) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    const delivery = await webhooks.getDelivery(tenant.id, req.params.id);
+    if (!delivery) return res.status(404).json({ ok: false, error: "not_found" });
+    return res.status(200).json({ ok: true, ...serializeDoc(delivery) });
+  } catch (err) {
+    logEvent("error", "webhook_delivery_get_failed", { endpoint: "/admin/webhooks/deliveries/get", error: err.message });
+    return res.status(500).json({ ok: false, error: "get_failed" });
+  }
+});
+
+app.post("/admin/webhooks/deliveries/:id/redeliver", async (req, res) => {
+  try {
+    const tenant = await authenticateTenant(req, "/admin/webhooks/deliveries/redeliver", "admin");
+    if (!tenant) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    const actor = adminActor(req);
+    if (!actor) {
+      return res.status(400).json({ ok: false, error: "missing_admin_user" });
+    }
+
+    const result = await webhooks.redeliver(tenant.id, req.params.id, actor);
+    if (!result.ok) {
+      return res.status(WEBHOOK_ERROR_STATUS[result.error]).json(result);
+    }
+
+    logEvent("info", "webhook_redelivery_queued", { endpoint: "/admin/webhooks/deliveries/redeliver", tenant: tenant.id, deliveryId: req.params.id, actor });
+    return res.status(202).json({ ok: true, id: req.params.id, status: "pending" });
+  } catch (err) {
+    logEvent("error", "webhook_redeliver_failed", { endpoint: "/admin/webhooks/deliveries/redeliver", error: err.message });
+    return res.status(500).json({ ok: false, error: "redeliver_failed" });
+  }
+});
+
+app.patch("/admin/webhooks/:id", async (req, res) => {
+  try {
+    const tenant = await authenticateTenant(req, "/admin/webhooks/update", "admin");
+    if (!tenant) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    const actor = adminActor(req);
+    if (!actor) {
+      return res.status(400).json({ ok: false, error: "missing_admin_user" });
+    }
+
+    const result = await webhooks.update(tenant.id, req.params.id, req.body, actor);
+    if (!result.ok) {
+      return res.status(WEBHOOK_ERROR_STATUS[result.error] ?? 400).json(result);
+    }
+
+    logEvent("info", "webhook_updated", { endpoint: "/admin/webhooks/update", tenant: tenant.id, subscriptionId: req.params.id, actor });
+    return res.status(200).json({ ok: true, ...serializeDoc(result.record) });
+  } catch (err) {
+    logEvent("error", "webhook_update_failed", { endpoint: "/admin/webhooks/update", error: err.message });
+    return res.status(500).json({ ok: false, error: "update_failed" });
+  }
+});
+
+app.delete("/admin/webhooks/:id", async (req, res) => {
+  try {
+    const tenant = await authenticateTenant(req, "/admin/webhooks/delete", "admin");
+    if (!tenant) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    const actor = adminActor(req);
+    if (!actor) {
+      return res.status(400).json({ ok: false, error: "missing_admin_user" });
+    }
+
+    const result = await webhooks.remove(tenant.id, req.params.id);
+    if (!result.ok) {
+      return res.status(404).json(result);
+    }
+
+    logEvent("info", "webhook_deleted", { endpoint: "/admin/webhooks/delete", tenant: tenant.id, subscriptionId: req.params.id, actor });
+    return res.status(200).json({ ok: true, id: req.params.id, deleted: true });
+  } catch (err) {
+    logEvent("error", "webhook_delete_failed", { endpoint: "/admin/webhooks/delete", error: err.message });
+    return res.status(500).json({ ok: false, error: "delete_failed" });
+  }
+});
+
+// ---- Admin: API keys ----
+/*
+ * Environment Variables Required:
+ * - API key with admin (legacy: ADMIN_TOKEN)
+ *
+ * Keys are issued for the admin key's own tenant. The secret is returned once,
+ * at creation; only its hash is stored. Rotate by issuing a new key, moving the
+ * client over, then revoking the old one (both work in between).
+ *
+ * cURL Test Examples:
+ *
+ * Issue:
+ * curl -s -X POST "$BASE_URL/admin/api-keys" \
+ *   -H "Content-Type: application/json" \
+ *   -H "Authorization: Bearer $ADMIN_TOKEN" \
+ *   -H "X-Admin-User: ops@example.com" \
+ *   -d '{"scopes":["pending:write"],"label":"SMS intake agent","expiresAt":"2027-01-01T00:00:00Z"}' | jq
+ *
+ * List (no secrets or hashes):
+ * curl -s "$BASE_URL/admin/api-keys" -H "Authorization: Bearer $ADMIN_TOKEN" | jq
+ *
+ * Revoke:
+ * curl -s -X POST "$BASE_URL/admin/api-keys/key_0123456789abcdef/revoke" \
+ *   -H "Authorization: Bearer $ADMIN_TOKEN" \
+ *   -H "X-Admin-User: ops@example.com" | jq
+ */
+app.get("/admin/api-keys", async (req, res) => {
+  try {
+    const tenant = await authenticateTenant(req, "/admin/api-keys", "admin");
+    if (!tenant) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    const items = (await apiKeys.list(tenant.id)).map(serializeDoc);
+    return res.status(200).json({ ok: true, count: items.length, items });
+  } catch (err) {
+    logEvent("error", "api_key_list_failed", { endpoint: "/admin/api-keys", error: err.message });
+    return res.status(500).json({ ok: false, error: "list_failed" });
+  }
+});
+
+app.post("/admin/api-keys", async (req, res) => {
+  try {
+    const tenant = await authenticateTenant(req, "/admin/api-keys/create", "admin");
+    if (!tenant) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    const actor = adminActor(req);
+    if (!actor) {
+      return res.status(400).json({ ok: false, error: "missing_admin_user" });
+    }
+
+    const { scopes, label, expiresAt } = req.body || {};
+    const result = await apiKeys.create(tenant.id, { scopes, label, expiresAt }, actor);
+    if (!result.ok) {
+      return res.status(400).json(result);
+    }
+
+    logEvent("info", "api_key_created", {
+      endpoint: "/admin/api-keys/create",
+      tenant: tenant.id,
+      keyId: result.record.id,
+      scopes: result.record.scopes,
+      actor
+    });
+    return res.status(201).json({ ok: true, key: result.key, ...serializeDoc(result.record) });
+  } catch (err) {
+    logEvent("error", "api_key_create_failed", { endpoint: "/admin/api-keys/create", error: err.message });
+    return res.status(500).json({ ok: false, error: "create_failed" });
+  }
+});
+
+app.post("/admin/api-keys/:id/revoke", async (req, res) => {
+  try {
+    const tenant = await authenticateTenant(req, "/admin/api-keys/revoke", "admin");
+    if (!tenant) {
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    const actor = adminActor(req);
+    if (!actor) {
+      return res.status(400).json({ ok: false, error: "missing_admin_user" });
+    }
+
+    const result = await apiKeys.revoke(tenant.id, req.params.id, actor);
+    if (!result.ok) {
+      const status = { not_found: 404, already_revoked: 409, static_key: 409 }[result.error];
+      return res.status(status).json(result);
+    }
+
+    logEvent("info", "api_key_revoked", { endpoint: "/admin/api-keys/revoke", tenant: tenant.id, keyId: req.params.id, actor });
+    return res.status(200).json({ ok: true, id: req.params.id, revoked: true });
+  } catch (err) {
+    logEvent("error", "api_key_revoke_failed", { endpoint: "/admin/api-keys/revoke", error: err.message });
+    return res.status(500).json({ ok: false, error: "revoke_failed" });
+  }
+});
+
+// Errors thrown before a route answers (malformed JSON, oversized bodies):
+// a JSON error and a log line instead of Express' HTML page and stack trace
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  const status = err.status >= 400 && err.status < 600 ? err.status : 500;
+  logEvent(status >= 500 ? "error" : "warn", "request_error", {
+    endpoint: req.path,
+    error: err.type ?? err.message,
+    ...(status >= 500 ? { stack: err.stack } : {})
+  });
+  const error = status >= 500 ? "server_error" : err.type === "entity.parse.failed" ? "invalid_json" : "bad_request";
+  return res.status(status).json({ ok: false, error });
 });
 
 app.listen(PORT, () => {
   console.log(`svc listening on :${PORT}`);
-  console.log(`contacts collection: ${CONTACTS}`);
-  console.log(`pending collection : ${PENDING}`);
+  if (process.env.WEBHOOK_WORKER !== "off") webhooks.start();
+  for (const t of tenants.list()) {
+    console.log(`tenant ${t.id}${t.default ? " (default)" : ""}: ${t.collections.contacts}, ${t.collections.pending} [${t.repos.backend}]`);
+  }
+  const keys = apiKeys.counts();
+  console.log(`api keys: ${keys.file} from API_KEYS_FILE, ${keys.env} legacy env tokens, issued keys in ${store.backend}`);
 });
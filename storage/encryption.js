@@ -0,0 +1,202 @@
+// storage/encryption.js — field-level encryption at rest for contacts and pending contacts
+//
+// Off unless FIELD_ENCRYPTION_KEYS is set. Then the FIELD_ENCRYPTION_FIELDS
+// (default: email, notes, licenseNumber, cslb) are stored encrypted with
+// AES-256-GCM wherever they appear in a contact or pending contact document
+// or its subcollections (audit entries, submission snapshots, ...), and in
+// the webhook deliveries that copy them:
+//
+//   email: "enc:v1:<key id>:<base64url(iv | tag | ciphertext of the JSON value)>"
+//
+// The field name is bound to the ciphertext (GCM additional data), so a value
+// cannot be moved to another field. Reads decrypt every such value, in any
+// collection, so routes and responses see the real values.
+//
+//   FIELD_ENCRYPTION_KEYS       "<id>:<base64 32-byte key>[,<id>:<key>...]"; the
+//                               first encrypts, all decrypt (rotation: put the
+//                               new key first, run encrypt:backfill, then drop
+//                               the old one)
+//   FIELD_ENCRYPTION_INDEX_KEY  base64 32-byte key for blind indexes (required;
+//                               never rotated, or exact-match search breaks)
+//
+// Encrypted fields cannot be queried. The search keys built from them
+// (search/index.js) are stored as blind indexes instead — "bi:<hex
+// HMAC-SHA256>" of each normalized value or prefix term — and query values on
+// those paths are hashed the same way before they reach the store.
+//
+// Documents saved before encryption was turned on (or under a retired key)
+// are read as they are and rewritten by `npm run encrypt:backfill`.
+
+import crypto from "node:crypto";
+import { isSentinel } from "./values.js";
+
+export const DEFAULT_ENCRYPTED_FIELDS = ["email", "notes", "licenseNumber", "cslb"];
+
+const PREFIX = "enc:v1:";
+const INDEX_PREFIX = "bi:";
+const KEY_ID = /^[\w-]{1,32}$/;
+const HASHED_OPS = ["==", "!=", "array-contains"];
+const HASHED_LIST_OPS = ["in", "not-in", "array-contains-any"];
+
+function decodeKey(value, where) {
+  const key = Buffer.from(String(value ?? "").trim(), "base64");
+  if (key.length !== 32) throw new Error(`${where}: expected a base64-encoded 32-byte key`);
+  return key;
+}
+
+/**
+ * Encryption settings from the environment, or null when FIELD_ENCRYPTION_KEYS
+ * is not set. Throws on malformed keys (the service should not start).
+ */
+export function loadFieldEncryption(env = process.env) {
+  if (!env.FIELD_ENCRYPTION_KEYS) return null;
+  const keys = new Map();
+  for (const entry of env.FIELD_ENCRYPTION_KEYS.split(",").map((s) => s.trim()).filter(Boolean)) {
+    const i = entry.indexOf(":");
+    const id = entry.slice(0, i);
+    if (i < 1 || !KEY_ID.test(id)) throw new Error("FIELD_ENCRYPTION_KEYS: expected <id>:<base64 key>, id of letters, digits, _ or -");
+    if (keys.has(id)) throw new Error(`FIELD_ENCRYPTION_KEYS: duplicate key id ${id}`);
+    keys.set(id, decodeKey(entry.slice(i + 1), `FIELD_ENCRYPTION_KEYS ${id}`));
+  }
+  if (!env.FIELD_ENCRYPTION_INDEX_KEY) throw new Error("FIELD_ENCRYPTION_INDEX_KEY is required with FIELD_ENCRYPTION_KEYS");
+  const fields = env.FIELD_ENCRYPTION_FIELDS
+    ? env.FIELD_ENCRYPTION_FIELDS.split(",").map((s) => s.trim()).filter(Boolean)
+    : DEFAULT_ENCRYPTED_FIELDS;
+  return {
+    fields,
+    keys,
+    activeKeyId: keys.keys().next().value,
+    indexKey: decodeKey(env.FIELD_ENCRYPTION_INDEX_KEY, "FIELD_ENCRYPTION_INDEX_KEY")
+  };
+}
+
+export const isEncrypted = (value) => typeof value === "string" && value.startsWith(PREFIX);
+
+export function encryptValue({ keys, activeKeyId }, field, value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", keys.get(activeKeyId), iv);
+  cipher.setAAD(Buffer.from(field));
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), "utf8"), cipher.final()]);
+  return `${PREFIX}${activeKeyId}:${Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString("base64url")}`;
+}
+
+export function decryptValue({ keys }, field, stored) {
+  const [keyId, payload] = stored.slice(PREFIX.length).split(":");
+  const key = keys.get(keyId);
+  if (!key) throw Object.assign(new Error(`No FIELD_ENCRYPTION_KEYS entry for key id ${keyId}`), { code: "decrypt_failed" });
+  const raw = Buffer.from(payload ?? "", "base64url");
+  try {
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, raw.subarray(0, 12));
+    decipher.setAAD(Buffer.from(field));
+    decipher.setAuthTag(raw.subarray(12, 28));
+    return JSON.parse(Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString("utf8"));
+  } catch {
+    throw Object.assign(new Error(`Cannot decrypt field ${field} (wrong key or altered value)`), { code: "decrypt_failed" });
+  }
+}
+
+// Blind index of one query or stored value; empty strings stay empty ("not set")
+function blindIndex({ indexKey }, value) {
+  if (typeof value !== "string" || value === "" || value.startsWith(INDEX_PREFIX)) return value;
+  return `${INDEX_PREFIX}${crypto.createHmac("sha256", indexKey).update(value, "utf8").digest("hex")}`;
+}
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+
+// Encrypt configured fields and blind-index `blindIndexed` ("parent.key")
+// values at any depth. Sentinels and already-encrypted values pass through.
+function encryptDoc(config, blindIndexed, value, parent = "") {
+  if (Array.isArray(value)) return value.map((item) => encryptDoc(config, blindIndexed, item, parent));
+  if (!isPlainObject(value)) return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([key, v]) => {
+      // update() takes dotted paths: "search.email" is key email under search
+      const name = key.split(".").pop();
+      const owner = key.includes(".") ? key.split(".").slice(-2)[0] : parent;
+      if (blindIndexed.has(`${owner}.${name}`)) {
+        return [key, Array.isArray(v) ? v.map((item) => blindIndex(config, item)) : blindIndex(config, v)];
+      }
+      if (config.fields.includes(name) && v !== undefined && !isSentinel(v) && !isEncrypted(v)) {
+        return [key, encryptValue(config, name, v)];
+      }
+      return [key, encryptDoc(config, blindIndexed, v, name)];
+    })
+  );
+}
+
+function decryptDoc(config, value, field = "") {
+  if (isEncrypted(value)) return decryptValue(config, field, value);
+  if (Array.isArray(value)) return value.map((item) => decryptDoc(config, item, field));
+  if (!isPlainObject(value)) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, decryptDoc(config, v, key)]));
+}
+
+/** `data` as encryptedStore writes it (blindIndexed: "parent.key" paths). */
+export const encryptFields = (config, blindIndexed, data) => encryptDoc(config, new Set(blindIndexed), data);
+
+/** `data` as encryptedStore reads it. */
+export const decryptFields = (config, data) => decryptDoc(config, data);
+
+/**
+ * Whether a stored document still holds a configured field in plain text or
+ * under an older key, or a blind-indexed value in clear (encrypt:backfill).
+ */
+export function needsEncryption(config, blindIndexed, data) {
+  const indexed = new Set(blindIndexed);
+  const stale = (value, parent = "") => {
+    if (Array.isArray(value)) return value.some((item) => stale(item, parent));
+    if (!isPlainObject(value)) return false;
+    return Object.entries(value).some(([key, v]) => {
+      if (indexed.has(`${parent}.${key}`)) {
+        return [v].flat().some((item) => typeof item === "string" && item !== "" && !item.startsWith(INDEX_PREFIX));
+      }
+      if (config.fields.includes(key)) return v !== undefined && !String(v).startsWith(`${PREFIX}${config.activeKeyId}:`);
+      return stale(v, key);
+    });
+  };
+  return stale(data);
+}
+
+/**
+ * `store` with field-level encryption (config from loadFieldEncryption; the
+ * store is returned as is when it is null). Writes to collections for which
+ * appliesTo(collection) is true are encrypted; every read is decrypted.
+ * blindIndexed: "parent.key" paths stored and queried as blind indexes.
+ */
+export function encryptedStore(store, config, { appliesTo, blindIndexed = [] }) {
+  if (!config) return store;
+  const indexed = new Set(blindIndexed);
+
+  const protect = (collection, data) => (appliesTo(collection) ? encryptDoc(config, indexed, data) : data);
+  const rows = (docs) => docs.map(({ id, data }) => ({ id, data: decryptDoc(config, data) }));
+  // Query values on blind-indexed paths are compared with hashes
+  const translate = (collection, options = {}) => {
+    if (!appliesTo(collection) || !options.where) return options;
+    const where = options.where.map(([field, op, value]) => {
+      if (!indexed.has(field.split(".").slice(-2).join("."))) return [field, op, value];
+      if (HASHED_OPS.includes(op)) return [field, op, blindIndex(config, value)];
+      if (HASHED_LIST_OPS.includes(op)) return [field, op, value.map((v) => blindIndex(config, v))];
+      return [field, op, value];
+    });
+    return { ...options, where };
+  };
+
+  const wrap = (target) => ({
+    ...target,
+    get: async (collection, id) => decryptDoc(config, await target.get(collection, id)),
+    query: async (collection, options) => rows(await target.query(collection, translate(collection, options))),
+    set: (collection, id, data, options) => target.set(collection, id, protect(collection, data), options),
+    create: (collection, id, data) => target.create(collection, id, protect(collection, data)),
+    update: (collection, id, data) => target.update(collection, id, protect(collection, data))
+  });
+
+  return {
+    ...wrap(store),
+    async *stream(collection, options) {
+      for await (const { id, data } of store.stream(collection, translate(collection, options))) {
+        yield { id, data: decryptDoc(config, data) };
+      }
+    },
+    runTransaction: (fn) => store.runTransaction((tx) => fn(wrap(tx)))
+  };
+}
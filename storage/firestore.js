@@ -0,0 +1,101 @@
+// storage/firestore.js — production document store backed by Cloud Firestore
+
+import { FieldPath, Firestore, FieldValue } from "@google-cloud/firestore";
+import { DOCUMENT_ID, isSentinel } from "./values.js";
+
+// Replace backend-neutral sentinels with their FieldValue equivalents
+function toFirestore(value) {
+  if (isSentinel(value)) {
+    return value.kind === "increment"
+      ? FieldValue.increment(value.operand)
+      : FieldValue.serverTimestamp();
+  }
+  if (Array.isArray(value)) return value.map(toFirestore);
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toFirestore(v)]));
+  }
+  return value;
+}
+
+function buildQuery(db, collection, { where = [], orderBy, startAfter, limit } = {}) {
+  let query = db.collection(collection);
+  for (const [field, op, value] of where) query = query.where(field, op, value);
+  if (orderBy) {
+    const field = orderBy.field === DOCUMENT_ID ? FieldPath.documentId() : orderBy.field;
+    query = query.orderBy(field, orderBy.direction || "asc");
+  }
+  if (startAfter !== undefined) query = query.startAfter(startAfter);
+  if (limit) query = query.limit(limit);
+  return query;
+}
+
+export function createFirestoreStore(db = new Firestore()) {
+  const ref = (collection, id) => db.collection(collection).doc(id);
+  const newId = () => db.collection("_").doc().id;
+
+  // Write methods shared by the top-level store and transactions
+  const writer = (target) => ({
+    set: async (collection, id, data, options = {}) => {
+      await target.set(ref(collection, id), toFirestore(data), options);
+    },
+    create: async (collection, id, data) => {
+      await target.create(ref(collection, id), toFirestore(data));
+    },
+    update: async (collection, id, data) => {
+      await target.update(ref(collection, id), toFirestore(data));
+    },
+    delete: async (collection, id) => {
+      await target.delete(ref(collection, id));
+    }
+  });
+
+  // DocumentReference and Transaction share set/create/update/delete, but the
+  // reference is the receiver for the former and an argument for the latter.
+  const direct = {
+    set: (docRef, data, options) => docRef.set(data, options),
+    create: (docRef, data) => docRef.create(data),
+    update: (docRef, data) => docRef.update(data),
+    delete: (docRef) => docRef.delete()
+  };
+
+  return {
+    backend: "firestore",
+    newId,
+
+    async get(collection, id) {
+      const snap = await ref(collection, id).get();
+      return snap.exists ? snap.data() : null;
+    },
+
+    async query(collection, options) {
+      const snap = await buildQuery(db, collection, options).get();
+      return snap.docs.map((doc) => ({ id: doc.id, data: doc.data() }));
+    },
+
+    // Query results one document at a time, without loading them all
+    async *stream(collection, options) {
+      for await (const doc of buildQuery(db, collection, options).stream()) {
+        yield { id: doc.id, data: doc.data() };
+      }
+    },
+
+    ...writer(direct),
+
+    runTransaction(fn) {
+      return db.runTransaction((tx) =>
+        fn({
+          newId,
+          async get(collection, id) {
+            const snap = await tx.get(ref(collection, id));
+            return snap.exists ? snap.data() : null;
+          },
+          async query(collection, options) {
+            const snap = await tx.get(buildQuery(db, collection, options));
+            return snap.docs.map((doc) => ({ id: doc.id, data: doc.data() }));
+          },
+          ...writer(tx)
+        })
+      );
+    }
+  };
+}
@@ -0,0 +1,244 @@
+// storage/index.js — contacts / pending-contacts repositories over a pluggable store
+//
+// STORAGE_BACKEND selects the store:
+//   firestore (default) — Cloud Firestore, production
+//   memory              — in-process, empty on every start
+//   file                — in-process, persisted to STORAGE_FILE (default .data/store.json)
+//
+// Routes only talk to the repositories below. The same repository API is
+// available inside runTransaction, bound to the transaction.
+
+import { createFirestoreStore } from "./firestore.js";
+import { createMemoryStore } from "./memory.js";
+
+export { DOCUMENT_ID, serverTimestamp, increment, isSentinel } from "./values.js";
+
+// Subcollections under contacts/{phone} and pending_contacts/{phone}
+export const CALLS = "calls";
+export const MESSAGES = "messages";
+export const CONTACT_AUDIT = "audit";
+export const IDEMPOTENCY = "idempotency";
+export const SUBMISSIONS = "submissions";
+// Under sms_consent/{phone}
+export const CONSENT_EVENTS = "events";
+
+function collectionRepository(store, name) {
+  return {
+    collection: name,
+    get: (id) => store.get(name, id),
+    set: (id, data, options) => store.set(name, id, data, options),
+    create: (id, data) => store.create(name, id, data),
+    update: (id, data) => store.update(name, id, data),
+    delete: (id) => store.delete(name, id),
+    query: (options) => store.query(name, options),
+    // Outside transactions only (exports)
+    stream: (options) => store.stream(name, options),
+
+    // Post-call records: {collection}/{id}/calls/{conversationId}
+    getCall: (id, conversationId) => store.get(`${name}/${id}/${CALLS}`, conversationId),
+    addCall: (id, conversationId, record) => store.create(`${name}/${id}/${CALLS}`, conversationId, record),
+
+    // Inbound texts: {collection}/{id}/messages/{messageSid}
+    getMessage: (id, messageSid) => store.get(`${name}/${id}/${MESSAGES}`, messageSid),
+    addMessage: (id, messageSid, record) => store.create(`${name}/${id}/${MESSAGES}`, messageSid, record)
+  };
+}
+
+function contactsRepository(store, name) {
+  return {
+    ...collectionRepository(store, name),
+
+    // Append-only audit trail: contacts/{phone}/audit/{autoId}
+    addAudit: (id, entry) => store.create(`${name}/${id}/${CONTACT_AUDIT}`, store.newId(), entry),
+    listAudit: (id, limit) =>
+      store.query(`${name}/${id}/${CONTACT_AUDIT}`, { orderBy: { field: "at", direction: "desc" }, limit })
+  };
+}
+
+function pendingRepository(store, name) {
+  return {
+    ...collectionRepository(store, name),
+
+    listByStatus: (status, limit) => store.query(name, { where: [["status", "==", status]], limit }),
+
+    // Every version a lead submitted: pending_contacts/{phone}/submissions/{autoId}
+    addSubmission: (id, entry) => store.create(`${name}/${id}/${SUBMISSIONS}`, store.newId(), entry),
+    listSubmissions: (id, limit) =>
+      store.query(`${name}/${id}/${SUBMISSIONS}`, { orderBy: { field: "at", direction: "desc" }, limit }),
+
+    // Stored upsert responses for Idempotency-Key replay: {collection}/{id}/idempotency/{keyHash}
+    getIdempotent: (id, key) => store.get(`${name}/${id}/${IDEMPOTENCY}`, key),
+    setIdempotent: (id, key, record) => store.set(`${name}/${id}/${IDEMPOTENCY}`, key, record)
+  };
+}
+
+function consentRepository(store, name) {
+  return {
+    ...collectionRepository(store, name),
+
+    listByStatus: (status, limit) => store.query(name, { where: [["status", "==", status]], limit }),
+
+    // Append-only opt-in / opt-out history: sms_consent/{phone}/events/{autoId}
+    addEvent: (id, entry) => store.create(`${name}/${id}/${CONSENT_EVENTS}`, store.newId(), entry),
+    listEvents: (id, limit) =>
+      store.query(`${name}/${id}/${CONSENT_EVENTS}`, { orderBy: { field: "at", direction: "desc" }, limit })
+  };
+}
+
+// API keys issued through /admin/api-keys (apikeys/): one collection for all tenants
+export function createKeyRepository(store, name = "api_keys") {
+  return {
+    ...collectionRepository(store, name),
+    listByTenant: (tenant) => store.query(name, { where: [["tenant", "==", tenant]] })
+  };
+}
+
+// Fixed-window counters for the shared rate-limit store (ratelimit/):
+// rate_limits/{key@windowStart}. expiresAt is for a Firestore TTL policy.
+export function createCounterRepository(store, name = "rate_limits") {
+  return {
+    hit: (key, windowStart, expiresAt) =>
+      store.runTransaction(async (tx) => {
+        const id = encodeURIComponent(`${key}@${windowStart}`);
+        const count = ((await tx.get(name, id))?.count ?? 0) + 1;
+        await tx.set(name, id, { count, expiresAt });
+        return count;
+      })
+  };
+}
+
+// Outbound webhooks (webhooks/): subscriptions and the delivery queue, one
+// collection each for all tenants
+export function createWebhookRepositories(
+  store,
+  { subscriptions = "webhook_subscriptions", deliveries = "webhook_deliveries" } = {}
+) {
+  return {
+    subscriptions: {
+      ...collectionRepository(store, subscriptions),
+      listByTenant: (tenant) => store.query(subscriptions, { where: [["tenant", "==", tenant]] })
+    },
+    deliveries: {
+      ...collectionRepository(store, deliveries),
+      newId: () => store.newId(),
+      // Queued and due by `now`, oldest first
+      listDue: (now, limit) =>
+        store.query(deliveries, {
+          where: [["status", "==", "pending"], ["nextAttemptAt", "<=", now]],
+          orderBy: { field: "nextAttemptAt", direction: "asc" },
+          limit
+        }),
+      // filters: equality on status / subscriptionId / event; newest first
+      listByTenant: (tenant, filters, limit) =>
+        store.query(deliveries, {
+          where: [["tenant", "==", tenant], ...Object.entries(filters).map(([field, value]) => [field, "==", value])],
+          orderBy: { field: "createdAt", direction: "desc" },
+          limit
+        }),
+      // Past their expiresAt (retention), any status
+      listExpired: (now, limit) => store.query(deliveries, { where: [["expiresAt", "<=", now]], limit }),
+      // Read-modify-write in a transaction: fn(current) returns the fields to
+      // update, or null to leave the delivery alone. Returns the update or null.
+      modify: (id, fn) =>
+        store.runTransaction(async (tx) => {
+          const update = fn(await tx.get(deliveries, id));
+          if (update) await tx.update(deliveries, id, update);
+          return update;
+        })
+    }
+  };
+}
+
+export function createStore({ backend = "firestore", file = ".data/store.json" } = {}) {
+  if (backend === "firestore") return createFirestoreStore();
+  if (backend === "memory") return createMemoryStore();
+  if (backend === "file") return createMemoryStore({ file });
+  throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+}
+
+const TIMED = ["get", "query", "set", "create", "update", "delete"];
+
+/**
+ * `store` with every call timed: record(operation, seconds, ok) after each
+ * get / query / write and each whole transaction ("transaction"; reads inside
+ * it are timed too, its writes are only sent on commit). Streams are not timed.
+ */
+export function timedStore(store, record) {
+  const time = async (operation, fn) => {
+    const started = process.hrtime.bigint();
+    let ok = false;
+    try {
+      const result = await fn();
+      ok = true;
+      return result;
+    } finally {
+      record(operation, Number(process.hrtime.bigint() - started) / 1e9, ok);
+    }
+  };
+  const wrap = (target, ops) => ({
+    ...target,
+    ...Object.fromEntries(ops.map((op) => [op, (...args) => time(op, () => target[op](...args))]))
+  });
+  return {
+    ...wrap(store, TIMED),
+    runTransaction: (fn) => time("transaction", () => store.runTransaction((tx) => fn(wrap(tx, ["get", "query"]))))
+  };
+}
+
+const WRITES = ["set", "create", "update", "delete"];
+
+/**
+ * `store` calling onWrite(collection, id) after each write has landed: direct
+ * writes once they resolve, transaction writes once the transaction commits
+ * (caches drop what this instance changed).
+ */
+export function watchedStore(store, onWrite) {
+  return {
+    ...store,
+    ...Object.fromEntries(
+      WRITES.map((op) => [
+        op,
+        async (collection, id, ...args) => {
+          const result = await store[op](collection, id, ...args);
+          onWrite(collection, id);
+          return result;
+        }
+      ])
+    ),
+    async runTransaction(fn) {
+      const written = [];
+      const result = await store.runTransaction((tx) =>
+        fn({
+          ...tx,
+          ...Object.fromEntries(
+            WRITES.map((op) => [
+              op,
+              (collection, id, ...args) => {
+                written.push([collection, id]);
+                return tx[op](collection, id, ...args);
+              }
+            ])
+          )
+        })
+      );
+      for (const [collection, id] of written) onWrite(collection, id);
+      return result;
+    }
+  };
+}
+
+export function createRepositories(
+  store,
+  { contacts = "contacts", pending = "pending_contacts", consent = "sms_consent" } = {}
+) {
+  const bind = (s) => ({
+    contacts: contactsRepository(s, contacts),
+    pending: pendingRepository(s, pending),
+    consent: consentRepository(s, consent)
+  });
+  return {
+    backend: store.backend,
+    ...bind(store),
+    runTransaction: (fn) => store.runTransaction((tx) => fn(bind(tx)))
+  };
+}
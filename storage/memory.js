@@ -0,0 +1,206 @@
+// storage/memory.js — in-process document store for local runs and offline development
+//
+// Same interface as storage/firestore.js. Transactions run one at a time and
+// buffer their writes until the callback resolves, so a failed transaction
+// leaves no partial writes. With `file` set, the whole store is loaded from and
+// saved to a JSON file after every commit.
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { DOCUMENT_ID, isSentinel, StoredTimestamp } from "./values.js";
+
+const TIMESTAMP_KEY = "__timestamp";
+
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+  }
+  return value;
+}
+
+// Resolve sentinels against the previous document (increment needs the old value)
+function resolve(value, previous) {
+  if (isSentinel(value)) {
+    if (value.kind === "increment") {
+      return (typeof previous === "number" ? previous : 0) + value.operand;
+    }
+    return StoredTimestamp.now();
+  }
+  if (Array.isArray(value)) return value.map((v) => resolve(v));
+  if (value instanceof Date) return new StoredTimestamp(value.getTime());
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, v]) => v !== undefined)
+        .map(([k, v]) => [k, resolve(v, previous?.[k])])
+    );
+  }
+  if (value === undefined) throw new Error("Cannot store undefined as a field value");
+  return value;
+}
+
+// JSON file encoding: timestamps become { "__timestamp": millis }
+function encode(value) {
+  if (value instanceof StoredTimestamp) return { [TIMESTAMP_KEY]: value.toMillis() };
+  if (Array.isArray(value)) return value.map(encode);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, encode(v)]));
+  }
+  return value;
+}
+
+function decode(value) {
+  if (Array.isArray(value)) return value.map(decode);
+  if (value && typeof value === "object") {
+    if (TIMESTAMP_KEY in value) return new StoredTimestamp(value[TIMESTAMP_KEY]);
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, decode(v)]));
+  }
+  return value;
+}
+
+function comparable(v) {
+  if (v && typeof v.toMillis === "function") return v.toMillis();
+  return v;
+}
+
+const OPERATORS = {
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  in: (a, b) => Array.isArray(b) && b.includes(a),
+  "array-contains": (a, b) => Array.isArray(a) && a.includes(b)
+};
+
+// Dotted paths reach into maps, as in Firestore ("search.email")
+const fieldValue = (data, field) => field.split(".").reduce((obj, key) => obj?.[key], data);
+const sortValue = (row, field) => (field === DOCUMENT_ID ? row.id : fieldValue(row.data, field));
+
+function runQuery(docs, { where = [], orderBy, startAfter, limit } = {}) {
+  let rows = [...docs.entries()].map(([id, data]) => ({ id, data }));
+  for (const [field, op, value] of where) {
+    const test = OPERATORS[op];
+    if (!test) throw new Error(`Unsupported query operator: ${op}`);
+    // Like Firestore, documents without the field never match
+    rows = rows.filter((row) => {
+      const actual = fieldValue(row.data, field);
+      return actual !== undefined && test(comparable(actual), comparable(value));
+    });
+  }
+  if (orderBy) {
+    const dir = orderBy.direction === "desc" ? -1 : 1;
+    rows = rows
+      .filter((row) => sortValue(row, orderBy.field) !== undefined)
+      .sort((a, b) => {
+        const x = comparable(sortValue(a, orderBy.field));
+        const y = comparable(sortValue(b, orderBy.field));
+        return x < y ? -dir : x > y ? dir : 0;
+      });
+    // Like Firestore, startAfter is a value of the orderBy field
+    if (startAfter !== undefined) {
+      const after = comparable(startAfter);
+      rows = rows.filter((row) => {
+        const value = comparable(sortValue(row, orderBy.field));
+        return dir === 1 ? value > after : value < after;
+      });
+    }
+  }
+  if (limit) rows = rows.slice(0, limit);
+  return rows.map((row) => ({ id: row.id, data: clone(row.data) }));
+}
+
+export function createMemoryStore({ file = "" } = {}) {
+  const collections = new Map(); // collection path → Map(id → data)
+  const docs = (collection) => {
+    if (!collections.has(collection)) collections.set(collection, new Map());
+    return collections.get(collection);
+  };
+
+  if (file && fs.existsSync(file)) {
+    const saved = decode(JSON.parse(fs.readFileSync(file, "utf8")));
+    for (const [collection, entries] of Object.entries(saved)) {
+      collections.set(collection, new Map(Object.entries(entries)));
+    }
+  }
+
+  function persist() {
+    if (!file) return;
+    const out = {};
+    for (const [collection, entries] of collections) {
+      if (entries.size) out[collection] = Object.fromEntries(entries);
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(encode(out), null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function apply({ op, collection, id, data, options }) {
+    const target = docs(collection);
+    const previous = target.get(id);
+    if (op === "create" && previous) throw new Error(`Document already exists: ${collection}/${id}`);
+    if (op === "update" && !previous) throw new Error(`No document to update: ${collection}/${id}`);
+    if (op === "delete") {
+      target.delete(id);
+      return;
+    }
+    const merge = op === "update" || options?.merge;
+    const resolved = resolve(clone(data), previous);
+    target.set(id, merge ? { ...previous, ...resolved } : resolved);
+  }
+
+  const newId = () => crypto.randomBytes(10).toString("hex");
+  let queue = Promise.resolve();
+
+  function runTransaction(fn) {
+    const run = queue.then(async () => {
+      const writes = [];
+      const buffer = (op) => (collection, id, data, options) => {
+        writes.push({ op, collection, id, data, options });
+      };
+      const result = await fn({
+        newId,
+        get: async (collection, id) => clone(docs(collection).get(id) ?? null),
+        query: async (collection, options) => runQuery(docs(collection), options),
+        set: buffer("set"),
+        create: buffer("create"),
+        update: buffer("update"),
+        delete: buffer("delete")
+      });
+      // Apply all-or-nothing: restore the touched collections if any write fails
+      const snapshots = new Map(writes.map((w) => [w.collection, new Map(docs(w.collection))]));
+      try {
+        writes.forEach(apply);
+      } catch (err) {
+        for (const [collection, snapshot] of snapshots) collections.set(collection, snapshot);
+        throw err;
+      }
+      persist();
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  const single = (op) => (collection, id, data, options) =>
+    runTransaction((tx) => tx[op](collection, id, data, options));
+
+  return {
+    backend: file ? "file" : "memory",
+    newId,
+    get: async (collection, id) => clone(docs(collection).get(id) ?? null),
+    query: async (collection, options) => runQuery(docs(collection), options),
+    async *stream(collection, options) {
+      yield* runQuery(docs(collection), options);
+    },
+    set: single("set"),
+    create: single("create"),
+    update: single("update"),
+    delete: single("delete"),
+    runTransaction
+  };
+}
@@ -0,0 +1,44 @@
+// storage/values.js — backend-neutral field values
+//
+// Routes build documents with these instead of Firestore's FieldValue so the
+// same payload can be written by any backend. Each store translates them on
+// write: Firestore maps them to FieldValue, the memory store resolves them.
+
+class Sentinel {
+  constructor(kind, operand) {
+    this.kind = kind;
+    this.operand = operand;
+  }
+}
+
+export const serverTimestamp = () => new Sentinel("serverTimestamp");
+export const increment = (n) => new Sentinel("increment", n);
+export const isSentinel = (v) => v instanceof Sentinel;
+
+// orderBy field that sorts by document id (Firestore's FieldPath.documentId());
+// with startAfter: <id>, pages through a query in id order
+export const DOCUMENT_ID = "__name__";
+
+// Timestamp as stored by the memory/file backend. Mirrors the parts of
+// Firestore's Timestamp the service relies on (toDate, toMillis).
+export class StoredTimestamp {
+  constructor(millis) {
+    this.millis = millis;
+  }
+
+  static now() {
+    return new StoredTimestamp(Date.now());
+  }
+
+  toDate() {
+    return new Date(this.millis);
+  }
+
+  toMillis() {
+    return this.millis;
+  }
+
+  toJSON() {
+    return this.toDate().toISOString();
+  }
+}
@@ -0,0 +1,227 @@
+// tenants/index.js — tenant registry: one deployment, several brands/agents
+//
+// A tenant owns its collections, webhook secret, greeting overrides and
+// mapping profiles. ElevenLabs webhooks are routed to a tenant by the called
+// number (then agent_id), the Twilio SMS webhook by the number texted; every
+// other route by the API key presented, which
+// belongs to exactly one tenant (apikeys/). The legacy `tokens` below become
+// single-scope keys of their tenant.
+//
+// Without TENANTS_FILE there is a single "default" tenant built from the
+// legacy env vars (CONTACTS_COLLECTION, READ_SECRET, INTAKE_WRITE_TOKEN, ...).
+// TENANTS_FILE (YAML or JSON):
+//
+//   tenants:
+//     acme:
+//       name: Acme Builders
+//       calledNumbers: ["+18005550100"]
+//       agentIds: [agent_abc123]
+//       namespace: acme                  # → tenants/acme/contacts, .../pending_contacts, .../sms_consent
+//       # collections: { contacts: acme_contacts, pending: acme_pending, consent: acme_sms_consent }
+//       tokens:                          # legacy; env(NAME) only — secrets stay out of the file
+//         clientData: env(ACME_CLIENT_DATA_TOKEN)
+//         read: env(ACME_READ_SECRET)
+//         write: env(ACME_INTAKE_WRITE_TOKEN)
+//         admin: [env(ACME_ADMIN_TOKEN), env(ACME_ADMIN_TOKEN_NEXT)]
+//         postCall: env(ACME_POST_CALL_TOKEN)
+//       webhookSecret: env(ACME_ELEVENLABS_WEBHOOK_SECRET)
+//       twilioAuthToken: env(ACME_TWILIO_AUTH_TOKEN)   # inbound SMS signatures
+//       smsReply: "Thanks for texting Acme! We'll be in touch."  # "" = no reply
+//       smsWordingVersion: "2024-06"     # program terms a START text opts in to
+//       greeting:
+//         defaultLanguage: es
+//         messages: { es: { new: "¡Hola! Gracias por llamar a Acme." } }
+//       profiles: { /twilio-init: acme-flat }
+//       default: false                   # true: also serve calls no tenant claims
+
+import fs from "node:fs";
+import YAML from "yaml";
+import { GREETINGS } from "../greetings/index.js";
+import { hasProfile } from "../mapping/index.js";
+import { toE164 } from "../phone/index.js";
+import { createRepositories } from "../storage/index.js";
+
+export const TOKEN_ROLES = ["clientData", "read", "write", "admin", "postCall"];
+
+// Answer to a first text from an unknown number (Twilio sends its own STOP/HELP replies)
+const DEFAULT_SMS_REPLY = "Thanks for your message! We'll follow up shortly. Reply STOP to opt out.";
+
+const list = (value) => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]);
+
+// env(NAME) → { env: NAME, secret }
+function resolveSecret(ref, where) {
+  const match = /^env\((\w+)\)$/.exec(String(ref).trim());
+  if (!match) throw new Error(`${where}: secrets must be env(NAME) references`);
+  return { env: match[1], secret: process.env[match[1]] || "" };
+}
+
+// The pre-tenant configuration, as one tenant that serves every call. Each
+// legacy env token keeps only its own role: no falling back across roles.
+function envTenantConfig() {
+  const env = process.env;
+  return {
+    default: {
+      name: "default",
+      default: true,
+      collections: {
+        contacts: env.CONTACTS_COLLECTION || "contacts",
+        pending: env.PENDING_CONTACTS_COLLECTION || "pending_contacts",
+        consent: env.SMS_CONSENT_COLLECTION || "sms_consent"
+      },
+      tokens: {
+        clientData: ["env(CALLER_INIT_TOKEN_V2)", "env(CALLER_REGISTRY_TOKEN)"],
+        read: "env(READ_SECRET)",
+        write: ["env(INTAKE_WRITE_TOKEN)", "env(INTAKE_SECRET)"],
+        admin: "env(ADMIN_TOKEN)",
+        postCall: "env(POST_CALL_TOKEN)"
+      }
+    }
+  };
+}
+
+function buildTenant(id, config, store) {
+  const where = `tenant "${id}"`;
+  const configured = config.collections ?? (config.namespace
+    ? {
+        contacts: `tenants/${config.namespace}/contacts`,
+        pending: `tenants/${config.namespace}/pending_contacts`,
+        consent: `tenants/${config.namespace}/sms_consent`
+      }
+    : null);
+  if (!configured?.contacts || !configured?.pending) {
+    throw new Error(`${where}: set namespace, or collections.contacts and collections.pending`);
+  }
+  // Files written before consent tracking name only contacts and pending
+  const collections = { ...configured, consent: configured.consent ?? `${configured.contacts}_sms_consent` };
+
+  const tokens = Object.fromEntries(TOKEN_ROLES.map((role) => [
+    role,
+    list(config.tokens?.[role]).map((ref) => resolveSecret(ref, `${where} tokens.${role}`)).filter((t) => t.secret)
+  ]));
+  const webhookSecret = config.webhookSecret ? resolveSecret(config.webhookSecret, `${where} webhookSecret`).secret : "";
+  const twilioAuthToken = config.twilioAuthToken
+    ? resolveSecret(config.twilioAuthToken, `${where} twilioAuthToken`).secret
+    : "";
+  for (const field of ["smsReply", "smsWordingVersion"]) {
+    if (config[field] !== undefined && typeof config[field] !== "string") {
+      throw new Error(`${where}: ${field} must be a string`);
+    }
+  }
+
+  const calledNumbers = list(config.calledNumbers).map((raw) => {
+    const e164 = toE164(raw);
+    if (!e164) throw new Error(`${where}: invalid called number ${raw}`);
+    return e164;
+  });
+
+  const greeting = config.greeting ?? {};
+  if (greeting.defaultLanguage && !GREETINGS[greeting.defaultLanguage]) {
+    throw new Error(`${where}: no greeting catalog for ${greeting.defaultLanguage}`);
+  }
+  for (const [language, messages] of Object.entries(greeting.messages ?? {})) {
+    if (!GREETINGS[language]) throw new Error(`${where}: no greeting catalog for ${language}`);
+    for (const state of Object.keys(messages)) {
+      if (!(state in GREETINGS[language])) throw new Error(`${where}: unknown caller state ${state}`);
+    }
+  }
+
+  for (const name of Object.values(config.profiles ?? {})) {
+    if (!hasProfile(name)) throw new Error(`${where}: unknown mapping profile ${name}`);
+  }
+
+  return {
+    id,
+    name: config.name || id,
+    default: config.default === true,
+    calledNumbers,
+    agentIds: list(config.agentIds).map(String),
+    namespace: config.collections ? null : config.namespace ?? null,
+    collections,
+    tokens,
+    // Falls back to the deployment-wide ELEVENLABS_WEBHOOK_SECRET (one ElevenLabs workspace)
+    webhookSecret: webhookSecret || process.env.ELEVENLABS_WEBHOOK_SECRET || "",
+    // Same for TWILIO_AUTH_TOKEN (one Twilio account)
+    twilioAuthToken: twilioAuthToken || process.env.TWILIO_AUTH_TOKEN || "",
+    smsReply: config.smsReply ?? process.env.TWILIO_SMS_REPLY ?? DEFAULT_SMS_REPLY,
+    // Recorded with keyword opt-ins / opt-outs, which carry no wording of their own
+    smsWordingVersion: config.smsWordingVersion ?? process.env.SMS_WORDING_VERSION ?? "",
+    greeting,
+    profiles: config.profiles ?? {},
+    repos: createRepositories(store, collections)
+  };
+}
+
+// "a" contains "a/b/c": a collection or namespace nested under another one
+// would be located (and encrypted, cached) as the outer tenant's data
+function checkNesting(kind, entries) {
+  for (const [outer, outerId] of entries) {
+    for (const [inner, innerId] of entries) {
+      if (inner.startsWith(`${outer}/`)) {
+        throw new Error(`${kind} ${inner} of tenant "${innerId}" lies under ${kind} ${outer} of tenant "${outerId}"`);
+      }
+    }
+  }
+}
+
+// Anything two tenants share would let one reach the other's data
+function checkIsolation(tenants) {
+  const claimed = new Map();
+  const claim = (kind, value, id) => {
+    const key = `${kind}:${value}`;
+    if (claimed.has(key) && claimed.get(key) !== id) {
+      throw new Error(`tenants "${claimed.get(key)}" and "${id}" share ${kind} ${kind === "token" ? "(redacted)" : value}`);
+    }
+    claimed.set(key, id);
+  };
+  for (const t of tenants) {
+    claim("collection", t.collections.contacts, t.id);
+    claim("collection", t.collections.pending, t.id);
+    claim("collection", t.collections.consent, t.id);
+    t.calledNumbers.forEach((n) => claim("called number", n, t.id));
+    t.agentIds.forEach((a) => claim("agent", a, t.id));
+    Object.values(t.tokens).flat().forEach(({ secret }) => claim("token", secret, t.id));
+  }
+  if (tenants.filter((t) => t.default).length > 1) throw new Error("only one tenant can be the default");
+  checkNesting("collection", tenants.flatMap((t) => Object.values(t.collections).map((c) => [c, t.id])));
+  checkNesting("namespace", tenants.filter((t) => t.namespace).map((t) => [t.namespace, t.id]));
+}
+
+export function createTenantRegistry(store) {
+  const file = process.env.TENANTS_FILE;
+  const config = file ? YAML.parse(fs.readFileSync(file, "utf8"))?.tenants ?? {} : envTenantConfig();
+  const tenants = Object.entries(config).map(([id, t]) => buildTenant(id, t, store));
+  if (tenants.length === 0) throw new Error(`${file}: no tenants configured`);
+  checkIsolation(tenants);
+
+  const byId = new Map(tenants.map((t) => [t.id, t]));
+  const fallback = tenants.find((t) => t.default) ?? null;
+
+  return {
+    list: () => tenants,
+    get: (id) => byId.get(id) ?? null,
+
+    // The tenant collection a store path is, or lies under:
+    //   "tenants/acme/contacts"                    → { tenant, kind: "contacts", docId: null }
+    //   "tenants/acme/contacts/+14155551212/audit" → { tenant, kind: "contacts", docId: "+14155551212" }
+    // kind: contacts / pending / consent. null for any other collection.
+    locate(collection) {
+      for (const tenant of tenants) {
+        for (const [kind, name] of Object.entries(tenant.collections)) {
+          if (collection === name) return { tenant, kind, docId: null };
+          if (collection.startsWith(`${name}/`)) return { tenant, kind, docId: collection.slice(name.length + 1).split("/")[0] };
+        }
+      }
+      return null;
+    },
+
+    // ElevenLabs webhooks: called number first, then agent, then the default tenant
+    forCall({ calledNumber, agentId } = {}) {
+      const called = calledNumber ? toE164(calledNumber) : null;
+      return (
+        (called && tenants.find((t) => t.calledNumbers.includes(called))) ||
+        (agentId && tenants.find((t) => t.agentIds.includes(String(agentId)))) ||
+        fallback
+      );
+    }
+  };
+}
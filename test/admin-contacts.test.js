@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { startServer } from "./helpers/server.js";
+
+const PHONE = "+14155550210";
+const path = `/admin/contacts/${encodeURIComponent(PHONE)}`;
+
+let server;
+
+before(async () => {
+  server = await startServer({ env: { ADMIN_TOKEN: "admin" } });
+});
+
+after(() => server?.stop());
+
+const admin = (method, route, json, user = "ops@example.test") =>
+  server.request(method, route, { token: "admin", headers: user ? { "X-Admin-User": user } : {}, json });
+
+test("create, update and delete each leave an audit entry with the changed fields", async () => {
+  const created = await admin("POST", "/admin/contacts", { phone: "(415) 555-0210", name: "John Doe", business: "ABC" });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  assert.equal(created.body.id, PHONE);
+  assert.equal((await admin("POST", "/admin/contacts", { phone: PHONE, name: "Again" })).status, 409);
+
+  const patched = await admin("PATCH", path, { notes: "Prefers mornings", tags: ["priority"] }, "lead@example.test");
+  assert.deepEqual(patched.body.changed.sort(), ["notes", "tags"]);
+  assert.deepEqual((await admin("PATCH", path, { notes: "Prefers mornings" })).body.changed, []);
+
+  const read = await server.request("GET", path, { token: "admin" });
+  assert.equal(read.body.contact.name, "John Doe");
+  assert.deepEqual(read.body.contact.tags, ["priority"]);
+
+  assert.equal((await admin("DELETE", path)).status, 200);
+  assert.equal((await server.request("GET", path, { token: "admin" })).status, 404);
+
+  // The history outlives the contact, newest first
+  const audit = await server.request("GET", `${path}/audit`, { token: "admin" });
+  assert.deepEqual(audit.body.entries.map((entry) => [entry.action, entry.actor]), [
+    ["delete", "ops@example.test"],
+    ["update", "lead@example.test"],
+    ["create", "ops@example.test"]
+  ]);
+  const [deleted, updated, first] = audit.body.entries;
+  assert.deepEqual(updated.changes.notes, { before: null, after: "Prefers mornings" });
+  assert.deepEqual(first.changes.name, { before: null, after: "John Doe" });
+  assert.deepEqual(deleted.changes.business, { before: "ABC", after: null });
+});
+
+test("writes need an admin key, an X-Admin-User and valid fields", async () => {
+  assert.equal((await server.request("POST", "/admin/contacts", { token: "wrong", json: { phone: PHONE } })).status, 401);
+
+  const anonymous = await admin("POST", "/admin/contacts", { phone: PHONE, name: "No Actor" }, null);
+  assert.equal(anonymous.status, 400);
+  assert.equal(anonymous.body.error, "missing_admin_user");
+
+  const invalid = await admin("POST", "/admin/contacts", { phone: PHONE, tags: "priority" });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.error, "validation_failed");
+
+  assert.equal((await admin("POST", "/admin/contacts", { phone: "12" })).body.error, "invalid_phone_number");
+  assert.equal((await admin("PATCH", "/admin/contacts/%2B14155550299", { notes: "x" })).status, 404);
+});
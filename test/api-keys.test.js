@@ -0,0 +1,142 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import YAML from "yaml";
+import { createKeyRegistry, generateKey } from "../apikeys/index.js";
+import { createKeyRepository, createStore } from "../storage/index.js";
+import { createTenantRegistry } from "../tenants/index.js";
+import { pendingContact } from "./helpers/fixtures.js";
+import { startServer } from "./helpers/server.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "api-keys-test-"));
+const keysFile = path.join(dir, "keys.yaml");
+const readKey = generateKey("acme-reader");
+const expiredKey = generateKey("acme-expired");
+
+let server;
+
+before(async () => {
+  fs.writeFileSync(
+    keysFile,
+    YAML.stringify({
+      keys: [
+        { id: readKey.id, tenant: "acme", hash: readKey.hash, scopes: ["contacts:read"] },
+        { id: expiredKey.id, tenant: "acme", hash: expiredKey.hash, scopes: ["admin"], expiresAt: "2020-01-01T00:00:00Z" }
+      ]
+    })
+  );
+  server = await startServer({
+    env: { API_KEYS_FILE: keysFile, ACME_ADMIN: "acme-admin", ACME_WRITE: "acme-write", BETA_ADMIN: "beta-admin" },
+    tenants: {
+      acme: { namespace: "acme", tokens: { admin: "env(ACME_ADMIN)", write: "env(ACME_WRITE)" } },
+      beta: { namespace: "beta", tokens: { admin: "env(BETA_ADMIN)" } }
+    }
+  });
+});
+
+after(async () => {
+  await server?.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const asAdmin = (token, method, route, json) =>
+  server.request(method, route, { token, headers: { "X-Admin-User": "ops" }, json });
+
+test("an issued key works only for its scopes until it is revoked", async () => {
+  const created = await asAdmin("acme-admin", "POST", "/admin/api-keys", { scopes: ["pending:write"], label: "intake" });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  const { key, id } = created.body;
+  assert.match(key, /^key_[0-9a-f]{16}\./);
+
+  const upsert = await server.request("POST", "/v2/pending-contacts/upsert", {
+    token: key,
+    json: pendingContact({ phone: "+14155550180" })
+  });
+  assert.equal(upsert.status, 200, JSON.stringify(upsert.body));
+  assert.ok(server.stored("tenants/acme/pending_contacts", "+14155550180"));
+  assert.equal((await server.request("GET", "/admin/pending-contacts", { token: key })).status, 401);
+
+  const listed = await server.request("GET", "/admin/api-keys", { token: "acme-admin" });
+  const record = listed.body.items.find((k) => k.id === id);
+  assert.equal(record.status, "active");
+  assert.equal(record.hash, undefined);
+
+  assert.equal((await asAdmin("acme-admin", "POST", `/admin/api-keys/${id}/revoke`)).status, 200);
+  const revoked = await server.request("POST", "/v2/pending-contacts/upsert", {
+    token: key,
+    json: pendingContact({ phone: "+14155550181" })
+  });
+  assert.equal(revoked.status, 401);
+});
+
+test("legacy tokens and file keys carry only their own scope", async () => {
+  assert.equal((await server.request("GET", "/admin/pending-contacts", { token: "acme-write" })).status, 401);
+  const lookup = await server.request("POST", "/contacts/lookup", { token: readKey.key, json: { phone: "+14155550180" } });
+  assert.equal(lookup.status, 200);
+  assert.equal((await server.request("GET", "/admin/pending-contacts", { token: readKey.key })).status, 401);
+  assert.equal((await server.request("GET", "/admin/pending-contacts", { token: expiredKey.key })).status, 401);
+
+  const metrics = await server.request("GET", "/metrics");
+  for (const reason of ["missing_scope", "key_expired"]) {
+    assert.match(metrics.body, new RegExp(`auth_failures_total\\{endpoint="/admin/pending-contacts",method="key",reason="${reason}"\\}`));
+  }
+});
+
+test("a tenant's admin key reaches only that tenant's data", async () => {
+  await server.request("POST", "/v2/pending-contacts/upsert", { token: "acme-write", json: pendingContact({ phone: "+14155550182" }) });
+
+  const beta = await server.request("GET", "/admin/pending-contacts", { token: "beta-admin" });
+  assert.equal(beta.status, 200);
+  assert.equal(beta.body.count, 0);
+  const acme = await server.request("GET", "/admin/pending-contacts", { token: "acme-admin" });
+  assert.ok(acme.body.items.some((item) => item.id === "+14155550182"));
+
+  // Claiming another tenant, or acting on its keys, does not cross over
+  const claimed = await server.request("GET", "/admin/pending-contacts", { token: "beta-admin", headers: { "X-Tenant-Id": "acme" } });
+  assert.equal(claimed.status, 401);
+  const created = await asAdmin("acme-admin", "POST", "/admin/api-keys", { scopes: ["contacts:read"] });
+  assert.equal((await asAdmin("beta-admin", "POST", `/admin/api-keys/${created.body.id}/revoke`)).status, 404);
+});
+
+test("authenticate prefers the presented key that has the scope", async () => {
+  const tenants = {
+    list: () => [{ id: "acme", tokens: { read: [{ env: "READ", secret: "shared" }], write: [{ env: "WRITE", secret: "shared" }] } }],
+    get: (id) => (id === "acme" ? { id } : null)
+  };
+  const keys = createKeyRegistry({ repo: createKeyRepository(createStore({ backend: "memory" })), tenants });
+
+  // One value behind two roles grants both scopes, each as its own key
+  assert.equal((await keys.authenticate(["shared"], "pending:write")).key.id, "env:WRITE");
+  assert.equal((await keys.authenticate(["shared"], "contacts:read")).key.id, "env:READ");
+  assert.deepEqual(await keys.authenticate(["shared"], "admin"), { ok: false, reason: "missing_scope", keyId: "env:READ" });
+  assert.equal((await keys.authenticate(["nope", "shared"], ["admin", "contacts:read"])).key.id, "env:READ");
+  assert.equal((await keys.authenticate(["nope"], "admin")).reason, "unknown_key");
+});
+
+test("two tenants cannot share a token or a called number", () => {
+  const file = path.join(dir, "tenants.yaml");
+  const boot = (tenants) => {
+    fs.writeFileSync(file, YAML.stringify({ tenants }));
+    process.env.TENANTS_FILE = file;
+    try {
+      return createTenantRegistry(createStore({ backend: "memory" }));
+    } finally {
+      delete process.env.TENANTS_FILE;
+    }
+  };
+  process.env.SHARED_TOKEN = "same-secret";
+  try {
+    assert.throws(
+      () => boot({ acme: { namespace: "acme", tokens: { read: "env(SHARED_TOKEN)" } }, beta: { namespace: "beta", tokens: { admin: "env(SHARED_TOKEN)" } } }),
+      /share token \(redacted\)/
+    );
+  } finally {
+    delete process.env.SHARED_TOKEN;
+  }
+  assert.throws(
+    () => boot({ acme: { namespace: "acme", calledNumbers: ["+18005550100"] }, beta: { namespace: "beta", calledNumbers: ["(800) 555-0100"] } }),
+    /share called number \+18005550100/
+  );
+});
@@ -0,0 +1,172 @@
+import assert from "node:assert/strict";
+import { Readable } from "node:stream";
+import { after, before, test } from "node:test";
+import { coerceRow, mapRow, readRows } from "../bulk/index.js";
+import { CONTACT_SCHEMA } from "../schema/contact.js";
+import { pendingContact } from "./helpers/fixtures.js";
+import { startServer } from "./helpers/server.js";
+
+const rows = async (text, format) => {
+  const out = [];
+  for await (const row of readRows(Readable.from([text]), format)) out.push(row);
+  return out;
+};
+
+test("csv rows are numbered as a spreadsheet shows them, ndjson rows by line", async () => {
+  assert.deepEqual(await rows('\uFEFFphone, name\n+14155550151,"Roe, Jane"\n', "csv"), [
+    { row: 2, values: { phone: "+14155550151", name: "Roe, Jane" } }
+  ]);
+  assert.deepEqual(await rows('{"phone":"+14155550151"}\n\n[1]\nnot json\n', "ndjson"), [
+    { row: 1, values: { phone: "+14155550151" } },
+    { row: 3, error: "invalid_json" },
+    { row: 4, error: "invalid_json" }
+  ]);
+});
+
+test("mapped csv columns are renamed and coerced to the schema's types", () => {
+  const { values, ignored } = mapRow(
+    { "Mobile Phone": "+14155550151", name: "Jane", tags: "vip; expo", isRegistered: "no", Extra: "x" },
+    { "Mobile Phone": "phone" },
+    ["phone", ...Object.keys(CONTACT_SCHEMA.properties)]
+  );
+  assert.deepEqual(ignored, ["Extra"]);
+  assert.deepEqual(coerceRow(values, CONTACT_SCHEMA), {
+    phone: "+14155550151",
+    name: "Jane",
+    tags: ["vip", "expo"],
+    isRegistered: false
+  });
+  assert.deepEqual(coerceRow({ isRegistered: "", notes: "" }, CONTACT_SCHEMA), { notes: "" });
+});
+
+let server;
+
+before(async () => {
+  server = await startServer({ env: { ADMIN_TOKEN: "admin", INTAKE_WRITE_TOKEN: "write" } });
+});
+
+after(() => server?.stop());
+
+const importRows = async (collection, body, { query = "", type = "text/csv", actor = "ops" } = {}) => {
+  const res = await fetch(`${server.base}/admin/import/${collection}${query}`, {
+    method: "POST",
+    headers: { Authorization: "Bearer admin", "Content-Type": type, ...(actor && { "X-Admin-User": actor }) },
+    body
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+test("a csv import creates contacts and reports the rows it could not take", async () => {
+  const csv = [
+    "Mobile Phone,name,tags,Extra,email",
+    "+14155550151,Jane Roe,vip; expo,x,jane@roe.test",
+    "not a phone,Nobody,,,",
+    "+14155550152,Bad Email,,,not-an-email",
+    "(415) 555-0151,Jane Again,,,"
+  ].join("\n");
+  const res = await importRows("contacts", csv, { query: "?map[Mobile%20Phone]=phone" });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.total, 4);
+  assert.equal(res.body.created, 1);
+  assert.equal(res.body.failed, 3);
+  assert.deepEqual(res.body.ignoredColumns, ["Extra"]);
+  assert.deepEqual(res.body.errors.map((error) => [error.row, error.error]), [
+    [3, "invalid_phone_number"],
+    [4, "validation_failed"],
+    [5, "duplicate_phone"]
+  ]);
+
+  const doc = server.stored("contacts", "+14155550151");
+  assert.equal(doc.name, "Jane Roe");
+  assert.deepEqual(doc.tags, ["vip", "expo"]);
+  assert.equal(doc.source, "import");
+});
+
+test("existing contacts are skipped unless the import merges, and a dry run writes nothing", async () => {
+  const csv = "phone,name,notes\n+14155550153,Sam Stone,First\n";
+  assert.equal((await importRows("contacts", csv)).body.created, 1);
+
+  const update = "phone,name,notes\n+14155550153,,Second\n";
+  assert.equal((await importRows("contacts", update)).body.skipped, 1);
+
+  const dry = await importRows("contacts", update, { query: "?onConflict=merge&dryRun=true", actor: null });
+  assert.equal(dry.status, 200, JSON.stringify(dry.body));
+  assert.equal(dry.body.dryRun, true);
+  assert.equal(dry.body.updated, 1);
+  assert.equal(server.stored("contacts", "+14155550153").notes, "First");
+
+  const merged = await importRows("contacts", update, { query: "?onConflict=merge" });
+  assert.equal(merged.body.updated, 1);
+  const doc = server.stored("contacts", "+14155550153");
+  assert.equal(doc.notes, "Second");
+  assert.equal(doc.name, "Sam Stone");
+  assert.equal((await importRows("contacts", update, { query: "?onConflict=merge" })).body.unchanged, 1);
+});
+
+test("an import is refused before reading rows when the request is wrong", async () => {
+  assert.equal((await importRows("contacts", "phone\n", { type: "text/plain" })).status, 415);
+  assert.equal((await importRows("contacts", "phone\n", { actor: null })).body.error, "missing_admin_user");
+  assert.equal((await importRows("contacts", "phone\n", { query: "?onConflict=replace" })).body.error, "invalid_on_conflict");
+  assert.equal((await importRows("contacts", "phone\n", { query: "?map[a]=nope" })).body.error, "invalid_mapping");
+  assert.equal((await importRows("contacts", "")).body.error, "empty_file");
+  assert.equal((await importRows("leads", "phone\n")).status, 404);
+});
+
+test("an ndjson import of pending contacts is recorded in their submissions", async () => {
+  const phone = "+14155550154";
+  const ndjson = `${JSON.stringify(pendingContact({ phone, featureInterest: ["scheduling"] }))}\n`;
+  const res = await importRows("pending-contacts", ndjson, { type: "application/x-ndjson" });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.format, "ndjson");
+  assert.equal(res.body.created, 1);
+
+  const doc = server.stored("pending_contacts", phone);
+  assert.equal(doc.status, "pending");
+  assert.equal(doc.submittedBy, "import");
+
+  const history = await server.request("GET", `/admin/pending-contacts/${encodeURIComponent(phone)}/submissions`, { token: "admin" });
+  assert.deepEqual(history.body.submissions.map((submission) => submission.source), ["import"]);
+});
+
+test("an exported csv imports back unchanged", async () => {
+  const phone = "+14155550155";
+  const created = await server.request("POST", "/admin/contacts", {
+    token: "admin",
+    headers: { "X-Admin-User": "ops" },
+    json: { phone, name: "Roe, Jane", notes: 'Said "call later"', tags: ["vip", "expo"] }
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+
+  const exported = await server.request("GET", "/admin/export/contacts");
+  assert.equal(exported.status, 401);
+  const csv = await server.request("GET", "/admin/export/contacts?fields=phone_e164,name,notes,tags", { token: "admin" });
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get("content-type"), /text\/csv/);
+  assert.match(csv.headers.get("content-disposition"), /attachment; filename="default-contacts-\d{4}-\d{2}-\d{2}\.csv"/);
+  const [header, ...lines] = csv.body.trim().split(/\r?\n/);
+  assert.equal(header, "phone_e164,name,notes,tags");
+  assert.ok(lines.includes(`${phone},"Roe, Jane","Said ""call later""",vip; expo`), csv.body);
+
+  const reimport = await importRows("contacts", csv.body, { query: "?onConflict=merge" });
+  assert.equal(reimport.status, 200, JSON.stringify(reimport.body));
+  assert.equal(reimport.body.failed, 0);
+  assert.equal(reimport.body.updated, 0);
+  assert.equal(reimport.body.unchanged, lines.length);
+});
+
+test("an ndjson export filters pending contacts by status", async () => {
+  const res = await fetch(`${server.base}/admin/export/pending-contacts?format=ndjson&status=pending`, {
+    headers: { Authorization: "Bearer admin" }
+  });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /application\/x-ndjson/);
+  const docs = (await res.text()).trim().split("\n").map((line) => JSON.parse(line));
+  assert.deepEqual(docs.map((doc) => doc.phone), ["+14155550154"]);
+  assert.equal(docs[0].search, undefined);
+  assert.match(docs[0].submittedAt, /^\d{4}-\d{2}-\d{2}T/);
+
+  const invalid = await server.request("GET", "/admin/export/contacts?status=pending", { token: "admin" });
+  assert.equal(invalid.body.error, "status_not_supported");
+  const badDate = await server.request("GET", "/admin/export/contacts?since=yesterday", { token: "admin" });
+  assert.equal(badDate.body.error, "invalid_date");
+});
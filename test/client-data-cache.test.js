@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { startServer } from "./helpers/server.js";
+
+const CALLED = "+18005550100";
+const CALLER = "+14155550125";
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    env: { ACME_CLIENT_DATA: "acme-cd", ACME_ADMIN: "acme-admin" },
+    tenants: {
+      acme: {
+        namespace: "acme",
+        default: true,
+        calledNumbers: [CALLED],
+        tokens: { clientData: "env(ACME_CLIENT_DATA)", admin: "env(ACME_ADMIN)" }
+      }
+    }
+  });
+});
+
+after(() => server?.stop());
+
+const clientData = () =>
+  server.request("POST", "/elevenlabs/client-data", {
+    token: "acme-cd",
+    json: { called_number: CALLED, telephony: { from: CALLER } }
+  });
+
+test("a write to a namespaced tenant's contact clears its cached client data", async () => {
+  const created = await server.request("POST", "/admin/contacts", {
+    token: "acme-admin",
+    headers: { "X-Admin-User": "ops" },
+    json: { phone: CALLER, name: "Jane Roe", notes: "Prefers mornings" }
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+
+  const first = await clientData();
+  assert.equal(first.headers.get("x-data-source"), "live");
+  assert.equal(first.body.dynamic_variables.memorycaller_status.notes, "Prefers mornings");
+  assert.equal((await clientData()).headers.get("x-data-source"), "cache");
+
+  const patched = await server.request("PATCH", `/admin/contacts/${encodeURIComponent(CALLER)}`, {
+    token: "acme-admin",
+    headers: { "X-Admin-User": "ops" },
+    json: { notes: "Prefers evenings" }
+  });
+  assert.equal(patched.status, 200, JSON.stringify(patched.body));
+
+  const refreshed = await clientData();
+  assert.equal(refreshed.headers.get("x-data-source"), "live");
+  assert.equal(refreshed.body.dynamic_variables.memorycaller_status.notes, "Prefers evenings");
+});
@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { startServer } from "./helpers/server.js";
+
+const phone = (n) => `+1415555${String(n).padStart(4, "0")}`;
+
+const lead = (n) => ({
+  phone: phone(n),
+  name: `Lead ${n}`,
+  company: "Acme Framing",
+  email: `lead${n}@acme.test`,
+  location: "LA",
+  constructionType: "res",
+  jobTitle: "owner",
+  companySize: "1-5",
+  painPoints: "",
+  currentTools: "",
+  featureInterest: [],
+  participateFeedback: false,
+  isRepeat: false,
+  lastContactDate: "2026-10-01",
+  createdDate: "2026-10-01",
+  callCount: 0,
+  licenseNumber: "",
+  businessType: "LLC",
+  languageUsed: "en",
+  contactMethod: "text"
+});
+
+let server;
+
+before(async () => {
+  // A scan budget smaller than the data, so every search has to page
+  server = await startServer({ env: { ADMIN_TOKEN: "admin", INTAKE_WRITE_TOKEN: "write", SEARCH_SCAN_LIMIT: "4" } });
+
+  for (let n = 1; n <= 9; n += 1) {
+    const res = await server.request("POST", "/admin/contacts", {
+      token: "admin",
+      headers: { "X-Admin-User": "ops" },
+      json: { phone: phone(n), name: `Contact ${n}`, business: n % 3 === 0 ? "Other Co" : "Acme Builders" }
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+  }
+  // Pending 20-22 match; 1 is already a contact and is left out
+  for (const n of [1, 20, 21, 22]) {
+    const res = await server.request("POST", "/v2/pending-contacts/upsert", { token: "write", json: lead(n) });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+  }
+});
+
+after(() => server?.stop());
+
+async function searchAll(criteria, limit) {
+  const pages = [];
+  let cursor = null;
+  do {
+    const res = await server.request("POST", "/contacts/search", { token: "admin", json: { ...criteria, limit, cursor } });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    pages.push(res.body);
+    cursor = res.body.nextCursor;
+    assert.ok(pages.length < 20, "cursor does not advance");
+  } while (cursor);
+  return pages;
+}
+
+test("following nextCursor reaches every match past the scan limit", async () => {
+  const pages = await searchAll({ company: "acme" }, 2);
+  const found = pages.flatMap((page) => page.results.map((row) => `${row.kind}:${row.phone_e164}`));
+
+  assert.deepEqual(found, [
+    ...[1, 2, 4, 5, 7, 8].map((n) => `contact:${phone(n)}`),
+    ...[20, 21, 22].map((n) => `pending:${phone(n)}`)
+  ]);
+  assert.ok(pages.every((page) => page.results.length <= 2));
+});
+
+test("a page cut short by the scan limit is truncated and continues from the cursor", async () => {
+  // The name drives the query; the company filters out contacts 3, 6 and 9
+  const pages = await searchAll({ name: "contact", company: "acme" }, 5);
+  const found = pages.flatMap((page) => page.results.map((row) => row.phone_e164));
+
+  assert.deepEqual(found, [1, 2, 4, 5, 7, 8].map(phone));
+  assert.equal(pages[0].truncated, true);
+  assert.equal(pages[0].results.length, 3);
+  assert.ok(pages[0].nextCursor);
+});
+
+test("a search with fewer matches than the page is not truncated", async () => {
+  const [page, ...rest] = await searchAll({ email: "lead21@acme.test" }, 10);
+  assert.equal(rest.length, 0);
+  assert.deepEqual(page.results.map((row) => row.phone_e164), [phone(21)]);
+  assert.equal(page.nextCursor, null);
+  assert.equal(page.truncated, false);
+});
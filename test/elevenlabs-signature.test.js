@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { after, before, test } from "node:test";
+import { startServer } from "./helpers/server.js";
+
+const SECRET = "elevenlabs-test-secret";
+
+let server;
+
+before(async () => {
+  // A webhook secret turns signatures on in "optional" mode: a signature, when sent, must be valid
+  server = await startServer({ env: { ELEVENLABS_WEBHOOK_SECRET: SECRET, CALLER_INIT_TOKEN_V2: "client-data" } });
+});
+
+after(() => server?.stop());
+
+const sign = (body, timestamp = Math.floor(Date.now() / 1000), secret = SECRET) =>
+  `t=${timestamp},v0=${crypto.createHmac("sha256", secret).update(`${timestamp}.${JSON.stringify(body)}`).digest("hex")}`;
+
+const clientData = (json, headers = {}) => server.request("POST", "/elevenlabs/client-data", { json, headers });
+
+let caller = 0;
+const body = () => ({ caller_id: `+1415555017${caller++}`, called_number: "+18005550100" });
+
+test("a request signed with the webhook secret is accepted once", async () => {
+  const json = body();
+  const signature = sign(json);
+  const first = await clientData(json, { "ElevenLabs-Signature": signature });
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  assert.equal(first.body.type, "conversation_initiation_client_data");
+
+  const replayed = await clientData(json, { "ElevenLabs-Signature": signature });
+  assert.equal(replayed.status, 401);
+
+  const metrics = await server.request("GET", "/metrics");
+  assert.match(metrics.body, /auth_failures_total\{endpoint="\/elevenlabs\/client-data",method="signature",reason="replayed_signature"\} 1/);
+});
+
+test("a signature over another body, with another secret or too old is rejected", async () => {
+  const json = body();
+  assert.equal((await clientData({ ...json, caller_id: "+14155550199" }, { "ElevenLabs-Signature": sign(json) })).status, 401);
+  assert.equal((await clientData(json, { "ElevenLabs-Signature": sign(json, undefined, "other-secret") })).status, 401);
+  const stale = Math.floor(Date.now() / 1000) - 3600;
+  assert.equal((await clientData(json, { "ElevenLabs-Signature": sign(json, stale) })).status, 401);
+  assert.equal((await clientData(json, { "ElevenLabs-Signature": "t=abc" })).status, 401);
+
+  const metrics = await server.request("GET", "/metrics");
+  for (const reason of ["signature_mismatch", "timestamp_outside_tolerance", "malformed_signature"]) {
+    assert.match(metrics.body, new RegExp(`method="signature",reason="${reason}"`));
+  }
+});
+
+test("an unsigned request still needs a client-data key", async () => {
+  assert.equal((await clientData(body())).status, 401);
+  assert.equal((await clientData(body(), { Authorization: "Bearer client-data" })).status, 200);
+});
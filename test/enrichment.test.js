@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { normalizeCompanyName } from "../enrichment/company.js";
+import { listEnrichers, registerEnricher, runEnrichers } from "../enrichment/index.js";
+import { parseLocation } from "../enrichment/location.js";
+import { pendingContact } from "./helpers/fixtures.js";
+import { startServer } from "./helpers/server.js";
+
+test("the built-in enrichers normalize company and location", () => {
+  assert.deepEqual(normalizeCompanyName("ABC CONSTRUCTION, llc"), {
+    name: "ABC Construction",
+    legalSuffix: "LLC",
+    entityType: "LLC",
+    displayName: "ABC Construction LLC",
+    matchKey: "abc construction"
+  });
+  const place = parseLocation("123 main st, san francisco, ca 94105");
+  assert.equal(place.street, "123 Main St");
+  assert.equal(place.city, "San Francisco");
+  assert.equal(place.state, "CA");
+  assert.equal(place.precision, "city");
+  assert.equal(normalizeCompanyName("  "), null);
+  assert.deepEqual(listEnrichers().map((e) => e.name), ["location", "company", "license"]);
+});
+
+test("enrichers of a stage run in order, and a failure or timeout is only recorded", async () => {
+  registerEnricher({ name: "first", stage: "test", run: () => ({ size: 3 }) });
+  registerEnricher({ name: "second", stage: "test", version: "2", run: (c) => ({ double: c.enrichment.first.size * 2 }) });
+  registerEnricher({ name: "skips", stage: "test", run: () => null });
+  registerEnricher({ name: "breaks", stage: "test", run: () => { throw new Error("lookup down"); } });
+  registerEnricher({ name: "hangs", stage: "test", timeoutMs: 20, run: () => new Promise(() => {}) });
+  assert.throws(() => registerEnricher({ name: "first", run: () => null }), /already registered: first/);
+  assert.throws(() => registerEnricher({ name: "no-run" }), /needs a name and a run/);
+
+  const { enrichment, enrichmentStatus } = await runEnrichers("test", { company: "ABC" }, { enrichment: { kept: true } });
+  assert.deepEqual(enrichment, { kept: true, first: { size: 3 }, second: { double: 6 } });
+  assert.equal(enrichmentStatus.second.version, "2");
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(enrichmentStatus).map(([name, s]) => [name, s.status])),
+    { first: "ok", second: "ok", skips: "skipped", breaks: "error", hangs: "timeout" }
+  );
+  assert.equal(enrichmentStatus.breaks.error, "lookup down");
+});
+
+let server;
+
+before(async () => {
+  server = await startServer({ env: { INTAKE_WRITE_TOKEN: "write" } });
+});
+
+after(() => server?.stop());
+
+test("an upsert stores the enrichment next to the submitted fields", async () => {
+  const res = await server.request("POST", "/v2/pending-contacts/upsert", {
+    token: "write",
+    json: pendingContact({ phone: "+14155550240", company: "abc const inc", location: "Oakland, CA" })
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+
+  const doc = server.stored("pending_contacts", "+14155550240");
+  assert.equal(doc.company, "abc const inc");
+  assert.equal(doc.enrichment.company.displayName, "ABC Const Inc.");
+  assert.equal(doc.enrichment.location.city, "Oakland");
+  assert.equal(doc.enrichmentStatus.location.status, "ok");
+});
@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { startServer } from "./helpers/server.js";
+
+const KEY = Buffer.alloc(32, 7).toString("base64");
+const INDEX_KEY = Buffer.alloc(32, 9).toString("base64");
+const PHONE = "+14155550123";
+
+const lead = {
+  phone: PHONE,
+  name: "Lee Lead",
+  company: "Lead Co",
+  email: "lead@acme.test",
+  location: "LA",
+  constructionType: "res",
+  jobTitle: "owner",
+  companySize: "1-5",
+  painPoints: "",
+  currentTools: "",
+  featureInterest: [],
+  participateFeedback: false,
+  isRepeat: false,
+  lastContactDate: "2026-10-01",
+  createdDate: "2026-10-01",
+  callCount: 0,
+  licenseNumber: "1234567",
+  businessType: "LLC",
+  languageUsed: "en",
+  contactMethod: "text"
+};
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    env: {
+      FIELD_ENCRYPTION_KEYS: `k1:${KEY}`,
+      FIELD_ENCRYPTION_INDEX_KEY: INDEX_KEY,
+      ACME_WRITE: "acme-write",
+      ACME_ADMIN: "acme-admin",
+      MAIN_WRITE: "main-write"
+    },
+    tenants: {
+      main: { collections: { contacts: "contacts", pending: "pending_contacts" }, tokens: { write: "env(MAIN_WRITE)" } },
+      acme: { namespace: "acme", tokens: { write: "env(ACME_WRITE)", admin: "env(ACME_ADMIN)" } }
+    }
+  });
+});
+
+after(() => server?.stop());
+
+for (const [tenant, collection, token] of [
+  ["a namespaced tenant", "tenants/acme/pending_contacts", "acme-write"],
+  ["a tenant with plain collection names", "pending_contacts", "main-write"]
+]) {
+  test(`pending contacts of ${tenant} are stored encrypted`, async () => {
+    const res = await server.request("POST", "/v2/pending-contacts/upsert", { token, json: lead });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+
+    const doc = server.stored(collection, PHONE);
+    assert.ok(doc, `no ${collection}/${PHONE} document`);
+    for (const field of ["email", "licenseNumber"]) {
+      assert.match(doc[field], /^enc:v1:k1:/, `${field} stored in plain text`);
+    }
+    assert.doesNotMatch(JSON.stringify(doc), /lead@acme\.test|1234567/);
+  });
+}
+
+test("a namespaced tenant reads its encrypted contacts back in plain text", async () => {
+  const created = await server.request("POST", "/admin/contacts", {
+    token: "acme-admin",
+    headers: { "X-Admin-User": "ops" },
+    json: { phone: "+14155550124", name: "Jane Roe", email: "jane@roe.test", notes: "VIP" }
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  assert.match(server.stored("tenants/acme/contacts", "+14155550124").email, /^enc:v1:k1:/);
+
+  const read = await server.request("GET", "/admin/contacts/+14155550124", { token: "acme-admin" });
+  assert.equal(read.status, 200);
+  assert.equal(read.body.contact.email, "jane@roe.test");
+});
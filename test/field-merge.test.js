@@ -0,0 +1,129 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { isBlank, mergeFields } from "../lib/merge.js";
+import { twilioSignature } from "../twilio/index.js";
+import { pendingContact } from "./helpers/fixtures.js";
+import { startServer } from "./helpers/server.js";
+
+const AUTH_TOKEN = "twilio-test-token";
+const BASE_URL = "https://sms.example.test";
+
+test("blank answers are empty strings, empty arrays and missing values", () => {
+  for (const value of [undefined, null, "", "   ", []]) assert.equal(isBlank(value), true);
+  for (const value of [0, false, "x", ["x"]]) assert.equal(isBlank(value), false);
+});
+
+test("a union keeps stored items first and appends new ones once", () => {
+  const existing = { name: "Lee", featureInterest: ["scheduling", "invoicing"] };
+  const incoming = { featureInterest: ["invoicing", "payroll", "payroll"] };
+
+  assert.deepEqual(mergeFields(existing, incoming, { arrays: "union" }), {
+    name: "Lee",
+    featureInterest: ["scheduling", "invoicing", "payroll"]
+  });
+  assert.deepEqual(mergeFields(existing, incoming).featureInterest, ["invoicing", "payroll", "payroll"]);
+  assert.deepEqual(existing.featureInterest, ["scheduling", "invoicing"]);
+});
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    env: {
+      ADMIN_TOKEN: "admin",
+      INTAKE_WRITE_TOKEN: "write",
+      TWILIO_AUTH_TOKEN: AUTH_TOKEN,
+      TWILIO_WEBHOOK_BASE_URL: BASE_URL
+    }
+  });
+});
+
+after(() => server?.stop());
+
+const upsert = (phone, fields = {}, query = "") =>
+  server.request("POST", `/v2/pending-contacts/upsert${query}`, { token: "write", json: pendingContact({ phone, ...fields }) });
+
+const patch = (phone, json, query = "") =>
+  server.request("PATCH", `/v2/pending-contacts/${encodeURIComponent(phone)}${query}`, { token: "write", json });
+
+test("a repeat upsert with blank fields keeps the stored answers", async () => {
+  const phone = "+14155550141";
+  assert.equal((await upsert(phone, { painPoints: "Scheduling crews", featureInterest: ["scheduling"] })).status, 200);
+  assert.equal((await upsert(phone, { name: "Lee Lead Jr", painPoints: "", featureInterest: [] })).status, 200);
+
+  const doc = server.stored("pending_contacts", phone);
+  assert.equal(doc.name, "Lee Lead Jr");
+  assert.equal(doc.painPoints, "Scheduling crews");
+  assert.deepEqual(doc.featureInterest, ["scheduling"]);
+  assert.equal(doc.callCount, 1);
+});
+
+test("a repeat upsert replaces arrays unless asked to union them", async () => {
+  const phone = "+14155550142";
+  assert.equal((await upsert(phone, { featureInterest: ["scheduling"] })).status, 200);
+
+  assert.equal((await upsert(phone, { featureInterest: ["invoicing"] })).status, 200);
+  assert.deepEqual(server.stored("pending_contacts", phone).featureInterest, ["invoicing"]);
+
+  assert.equal((await upsert(phone, { featureInterest: ["scheduling", "invoicing"] }, "?arrays=union")).status, 200);
+  assert.deepEqual(server.stored("pending_contacts", phone).featureInterest, ["invoicing", "scheduling"]);
+
+  const invalid = await upsert(phone, {}, "?arrays=append");
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.error, "invalid_array_strategy");
+  assert.deepEqual(invalid.body.allowed, ["replace", "union"]);
+});
+
+test("a patch changes only the fields sent and is recorded as a submission", async () => {
+  const phone = "+14155550143";
+  assert.equal((await upsert(phone, { painPoints: "Scheduling crews", featureInterest: ["scheduling"] })).status, 200);
+
+  const res = await patch(phone, { painPoints: "", featureInterest: ["invoicing"], company: "Lead Co" }, "?arrays=union");
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.id, phone);
+  assert.deepEqual(res.body.changed.sort(), ["featureInterest", "painPoints"]);
+  assert.equal(res.body.status, undefined);
+
+  const doc = server.stored("pending_contacts", phone);
+  assert.equal(doc.painPoints, "");
+  assert.deepEqual(doc.featureInterest, ["scheduling", "invoicing"]);
+  assert.equal(doc.callCount, 0);
+  assert.equal(doc.isRepeat, false);
+
+  const history = await server.request("GET", `/admin/pending-contacts/${encodeURIComponent(phone)}/submissions`, { token: "admin" });
+  assert.equal(history.status, 200);
+  assert.deepEqual(history.body.submissions.map((submission) => submission.source).sort(), ["patch", "upsert"]);
+});
+
+test("a patch is refused for an unknown phone, the phone field or an empty body", async () => {
+  const unknown = await patch("+14155550149", { painPoints: "Anything" });
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.error, "not_found");
+
+  const phone = "+14155550144";
+  assert.equal((await upsert(phone)).status, 200);
+  assert.equal((await patch(phone, { phone: "+14155550145" })).body.error, "phone_not_editable");
+  assert.equal((await patch(phone, {})).body.error, "no_fields");
+  assert.equal((await patch(phone, { painPoints: "x" }, "?arrays=append")).body.error, "invalid_array_strategy");
+});
+
+test("a patch that fills in a lead started by a text sends it to review", async () => {
+  const phone = "+14155550146";
+  const form = { MessageSid: "SM0146", From: phone, To: "+18005550100", Body: "Call me back" };
+  const texted = await server.request("POST", "/twilio/sms", {
+    form,
+    headers: { "X-Twilio-Signature": twilioSignature(AUTH_TOKEN, `${BASE_URL}/twilio/sms`, form) }
+  });
+  assert.equal(texted.status, 200);
+  assert.equal(server.stored("pending_contacts", phone).status, "incomplete");
+
+  const partial = await patch(phone, { name: "Tex Texter" });
+  assert.equal(partial.status, 200, JSON.stringify(partial.body));
+  assert.equal(partial.body.status, undefined);
+  assert.equal(server.stored("pending_contacts", phone).status, "incomplete");
+
+  const complete = await patch(phone, pendingContact({ name: "Tex Texter" }));
+  assert.equal(complete.status, 200, JSON.stringify(complete.body));
+  assert.equal(complete.body.status, "pending");
+  assert.equal(server.stored("pending_contacts", phone).status, "pending");
+});
@@ -0,0 +1,25 @@
+// test/helpers/fixtures.js — request bodies that pass validation
+
+/** A complete v2 /pending-contacts/upsert body; `fields` override the defaults. */
+export const pendingContact = (fields = {}) => ({
+  name: "Lee Lead",
+  company: "Lead Co",
+  email: "lead@example.test",
+  location: "LA",
+  constructionType: "res",
+  jobTitle: "owner",
+  companySize: "1-5",
+  painPoints: "",
+  currentTools: "",
+  featureInterest: [],
+  participateFeedback: false,
+  isRepeat: false,
+  lastContactDate: "2026-10-01",
+  createdDate: "2026-10-01",
+  callCount: 0,
+  licenseNumber: "",
+  businessType: "LLC",
+  languageUsed: "en",
+  contactMethod: "text",
+  ...fields
+});
@@ -0,0 +1,112 @@
+// test/helpers/server.js — run server.js in a child process for end-to-end tests
+//
+// Each server gets a free port and its own temporary file store (STORAGE_BACKEND
+// file), so a test can call the routes and then read what was stored.
+
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import YAML from "yaml";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start the service. tenants: TENANTS_FILE contents ({ acme: {...} }), or
+ * null for the env-only default tenant. Resolves once it listens.
+ */
+export async function startServer({ env = {}, tenants = null } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "caller-registry-test-"));
+  const storeFile = path.join(dir, "store.json");
+  const tenantsFile = path.join(dir, "tenants.yaml");
+  if (tenants) fs.writeFileSync(tenantsFile, YAML.stringify({ tenants }));
+  const port = await freePort();
+
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      STORAGE_BACKEND: "file",
+      STORAGE_FILE: storeFile,
+      TRUST_PROXY: "false",
+      WEBHOOK_WORKER: "off",
+      ...(tenants ? { TENANTS_FILE: tenantsFile } : {}),
+      ...env
+    },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  let output = "";
+  child.stdout.on("data", (chunk) => (output += chunk));
+  child.stderr.on("data", (chunk) => (output += chunk));
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), 10_000);
+    child.stdout.on("data", () => {
+      if (output.includes("svc listening")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`server exited with ${code}:\n${output}`));
+    });
+  });
+
+  const base = `http://127.0.0.1:${port}`;
+  return {
+    base,
+    logs: () => output,
+
+    // JSON request; resolves to { status, headers, body } (body parsed when JSON)
+    async request(method, route, { token, headers = {}, json, form } = {}) {
+      const res = await fetch(`${base}${route}`, {
+        method,
+        headers: {
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          ...(json !== undefined ? { "Content-Type": "application/json" } : {}),
+          ...(form !== undefined ? { "Content-Type": "application/x-www-form-urlencoded" } : {}),
+          ...headers
+        },
+        body: json !== undefined ? JSON.stringify(json) : form !== undefined ? new URLSearchParams(form).toString() : undefined
+      });
+      const text = await res.text();
+      let body = text;
+      try {
+        body = JSON.parse(text);
+      } catch {
+        // TwiML, CSV, ...
+      }
+      return { status: res.status, headers: res.headers, body };
+    },
+
+    // A document as the store saved it, or null
+    stored(collection, id) {
+      if (!fs.existsSync(storeFile)) return null;
+      return JSON.parse(fs.readFileSync(storeFile, "utf8"))[collection]?.[id] ?? null;
+    },
+
+    async stop() {
+      if (child.exitCode === null) {
+        const exited = new Promise((resolve) => child.once("exit", resolve));
+        child.kill();
+        await exited;
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
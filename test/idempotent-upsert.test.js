@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { pendingContact } from "./helpers/fixtures.js";
+import { startServer } from "./helpers/server.js";
+
+let server;
+
+before(async () => {
+  // Two write tokens: idempotency keys are scoped to the API key
+  server = await startServer({ env: { INTAKE_WRITE_TOKEN: "write", INTAKE_SECRET: "write-2", RATE_LIMIT_UPSERT_PHONE: "2/1h" } });
+});
+
+after(() => server?.stop());
+
+const upsert = (json, key, token = "write") =>
+  server.request("POST", "/v2/pending-contacts/upsert", { token, json, headers: key ? { "Idempotency-Key": key } : {} });
+
+test("a retry with the same key and body replays the first response", async () => {
+  const json = pendingContact({ phone: "+14155550200" });
+  const first = await upsert(json, "sub-1");
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  assert.equal(first.headers.get("idempotent-replayed"), null);
+
+  // More retries than the phone limit allows: replays are not counted
+  for (let i = 0; i < 2; i += 1) {
+    const retry = await upsert(json, "sub-1");
+    assert.equal(retry.status, 200, JSON.stringify(retry.body));
+    assert.equal(retry.headers.get("idempotent-replayed"), "true");
+    assert.deepEqual(retry.body, first.body);
+  }
+  const doc = server.stored("pending_contacts", "+14155550200");
+  assert.equal(doc.callCount, 0);
+  assert.equal(doc.isRepeat, false);
+});
+
+test("a key reused for another body is refused, and malformed keys are rejected", async () => {
+  const json = pendingContact({ phone: "+14155550201" });
+  assert.equal((await upsert(json, "sub-2")).status, 200);
+
+  const reused = await upsert({ ...json, painPoints: "Something else" }, "sub-2");
+  assert.equal(reused.status, 422);
+  assert.equal(reused.body.error, "idempotency_key_reused");
+
+  const malformed = await upsert(json, "has space");
+  assert.equal(malformed.status, 400);
+  assert.equal(malformed.body.error, "invalid_idempotency_key");
+  assert.equal(server.stored("pending_contacts", "+14155550201").callCount, 0);
+});
+
+test("the same key from another API key is a new submission", async () => {
+  const json = pendingContact({ phone: "+14155550202" });
+  assert.equal((await upsert(json, "sub-3")).status, 200);
+  const other = await upsert(json, "sub-3", "write-2");
+  assert.equal(other.status, 200);
+  assert.equal(other.headers.get("idempotent-replayed"), null);
+  assert.equal(server.stored("pending_contacts", "+14155550202").callCount, 1);
+});
+
+test("concurrent requests with one key write once", async () => {
+  const json = pendingContact({ phone: "+14155550203" });
+  const responses = await Promise.all([upsert(json, "sub-4"), upsert(json, "sub-4")]);
+  assert.deepEqual(responses.map((r) => r.status), [200, 200]);
+  assert.deepEqual(responses.map((r) => r.headers.get("idempotent-replayed")).sort(), ["true", null].sort());
+  assert.equal(server.stored("pending_contacts", "+14155550203").callCount, 0);
+});
@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { pendingContact } from "./helpers/fixtures.js";
+import { startServer } from "./helpers/server.js";
+
+let server;
+
+before(async () => {
+  server = await startServer({ env: { INTAKE_WRITE_TOKEN: "write", ADMIN_TOKEN: "admin", READ_SECRET: "read" } });
+});
+
+after(() => server?.stop());
+
+const approve = (phone) =>
+  server.request("POST", `/admin/pending-contacts/${encodeURIComponent(phone)}/approve`, {
+    token: "admin",
+    headers: { "X-Admin-User": "ops" },
+    json: {}
+  });
+
+test("license numbers are validated against their authority's format", async () => {
+  const bad = await server.request("POST", "/v2/pending-contacts/upsert", {
+    token: "write",
+    json: pendingContact({ phone: "+14155550150", licenseNumber: "0123" })
+  });
+  assert.equal(bad.status, 400);
+  assert.ok(bad.body.details.some((d) => d.path === "licenseNumber"));
+
+  const good = await server.request("POST", "/v2/pending-contacts/upsert", {
+    token: "write",
+    json: pendingContact({ phone: "+14155550150", licenseNumber: "CSLB Lic # 1,234,567" })
+  });
+  assert.equal(good.status, 200, JSON.stringify(good.body));
+  const doc = server.stored("pending_contacts", "+14155550150");
+  assert.equal(doc.enrichment.license.licenseNumber, "1234567");
+});
+
+test("the license lookup tool reports format errors and the authority", async () => {
+  const res = await server.request("POST", "/tools/license-lookup", {
+    token: "read",
+    json: { license_number: "ROC 123456", authority: "AZROC" }
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.valid, true);
+  assert.equal(res.body.license_number, "123456");
+  assert.equal(res.body.authority, "AZROC");
+
+  const bad = await server.request("POST", "/tools/license-lookup", {
+    token: "read",
+    json: { license_number: "12345", authority: "AZROC" }
+  });
+  assert.equal(bad.status, 200);
+  assert.equal(bad.body.valid, false);
+  assert.equal(bad.body.found, false);
+});
+
+test("approval carries the license authority over to the contact", async () => {
+  const phone = "+14155550151";
+  const upsert = await server.request("POST", "/v2/pending-contacts/upsert", {
+    token: "write",
+    json: pendingContact({ phone, licenseNumber: "0012345A", licenseAuthority: "NSCB" })
+  });
+  assert.equal(upsert.status, 200, JSON.stringify(upsert.body));
+  assert.equal((await approve(phone)).status, 200);
+
+  const contact = server.stored("contacts", phone);
+  assert.equal(contact.cslb, "0012345A");
+  assert.equal(contact.licenseAuthority, "NSCB");
+});
+
+test("an approved license without an authority is the default authority's", async () => {
+  const phone = "+14155550152";
+  await server.request("POST", "/v2/pending-contacts/upsert", {
+    token: "write",
+    json: pendingContact({ phone, licenseNumber: "7654321" })
+  });
+  assert.equal((await approve(phone)).status, 200);
+  assert.equal(server.stored("contacts", phone).licenseAuthority, "CSLB");
+});
@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import YAML from "yaml";
+import { renderVariables, selectProfile } from "../mapping/index.js";
+import { startServer } from "./helpers/server.js";
+
+test("variables read the first non-empty path and coerce it to their type", () => {
+  const profile = {
+    output: "flat",
+    variables: {
+      name: { from: ["contact.nickname", "contact.name"], default: "there" },
+      visits: { from: "contact.visits", type: "integer" },
+      vip: { from: "contact.vip", type: "boolean" },
+      seen: { from: "contact.seenAt", type: "timestamp" },
+      tags: { from: "contact.tags", type: "array" },
+      channel: { value: "voice" }
+    }
+  };
+  assert.deepEqual(
+    renderVariables(profile, { contact: { nickname: "", name: "Jane", visits: "3", vip: "no", seenAt: 1_790_000_000_000, tags: "x" } }),
+    { name: "Jane", visits: 3, vip: false, seen: "2026-09-21T14:13:20.000Z", tags: [], channel: "voice" }
+  );
+  assert.deepEqual(renderVariables(profile, { contact: {} }), { name: "there", visits: 0, vip: false, seen: "", tags: [], channel: "voice" });
+  assert.equal(renderVariables({ ...profile, output: "nested", root: "status" }, { contact: {} }).status.name, "there");
+});
+
+test("without routes each webhook gets the tenant's profile, else its default", () => {
+  assert.equal(selectProfile({ endpoint: "/twilio-init" }).name, "twilio-init");
+  assert.equal(selectProfile({ endpoint: "/elevenlabs/client-data" }).profile.root, "memorycaller_status");
+  assert.equal(selectProfile({ endpoint: "/elevenlabs/client-data", fallback: "twilio-init" }).name, "twilio-init");
+});
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mapping-test-"));
+let server;
+
+before(async () => {
+  const file = path.join(dir, "profiles.yaml");
+  fs.writeFileSync(
+    file,
+    YAML.stringify({
+      profiles: {
+        "acme-flat": {
+          extends: "client-data",
+          output: "flat",
+          variables: { greeting_name: { from: "contact.name", default: "friend" } }
+        }
+      },
+      routes: [{ agentId: "agent_acme", endpoint: "/elevenlabs/client-data", profile: "acme-flat" }]
+    })
+  );
+  server = await startServer({ env: { MAPPING_PROFILES_FILE: file, CALLER_INIT_TOKEN_V2: "client-data" } });
+});
+
+after(async () => {
+  await server?.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("a route sends one agent's client data through its own profile", async () => {
+  const clientData = (agentId) =>
+    server.request("POST", "/elevenlabs/client-data", {
+      token: "client-data",
+      json: { agent_id: agentId, telephony: { from: "+14155550260" } }
+    });
+
+  const routed = (await clientData("agent_acme")).body.dynamic_variables;
+  assert.equal(routed.greeting_name, "friend");
+  assert.equal(routed.phone_e164, "+14155550260");
+  assert.equal(routed.memorycaller_status, undefined);
+
+  const other = (await clientData("agent_other")).body.dynamic_variables;
+  assert.equal(other.memorycaller_status.phone_e164, "+14155550260");
+  assert.equal(other.memorycaller_status.greeting_name, undefined);
+});
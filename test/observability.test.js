@@ -0,0 +1,121 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { createMetrics, parseTraceContext } from "../observability/index.js";
+import { pendingContact } from "./helpers/fixtures.js";
+import { startServer } from "./helpers/server.js";
+
+const TRACE_ID = "105445aa7843bc8bf206b12000100000";
+
+test("a trace context header is parsed, and a malformed one ignored", () => {
+  assert.deepEqual(parseTraceContext(`${TRACE_ID.toUpperCase()}/1;o=1`), { traceId: TRACE_ID, spanId: "1", sampled: true });
+  assert.deepEqual(parseTraceContext(TRACE_ID), { traceId: TRACE_ID, spanId: null, sampled: false });
+  for (const header of [undefined, "", "abc/1;o=1", `${"0".repeat(32)}/1`]) assert.equal(parseTraceContext(header), null);
+});
+
+test("metrics render in the Prometheus text format", () => {
+  const metrics = createMetrics();
+  metrics.counter("jobs_total", "Jobs run", ["queue"]).inc({ queue: 'a "b"' }, 2);
+  metrics.histogram("job_seconds", "Job latency", [], [0.1, 1]).observe({}, 0.5);
+
+  assert.equal(
+    metrics.render(),
+    [
+      "# HELP jobs_total Jobs run",
+      "# TYPE jobs_total counter",
+      'jobs_total{queue="a \\"b\\""} 2',
+      "# HELP job_seconds Job latency",
+      "# TYPE job_seconds histogram",
+      'job_seconds_bucket{le="0.1"} 0',
+      'job_seconds_bucket{le="1"} 1',
+      'job_seconds_bucket{le="+Inf"} 1',
+      "job_seconds_sum 0.5",
+      "job_seconds_count 1",
+      ""
+    ].join("\n")
+  );
+});
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    env: { INTAKE_WRITE_TOKEN: "write", METRICS_TOKEN: "scrape", GOOGLE_CLOUD_PROJECT: "demo-project" }
+  });
+});
+
+after(() => server?.stop());
+
+// Log lines of a request, once its access line (written after the response) is in
+async function requestLines(requestId) {
+  for (let attempt = 0; attempt < 50; attempt += 1) {
+    const lines = server
+      .logs()
+      .split("\n")
+      .filter((line) => line.startsWith("{"))
+      .map((line) => JSON.parse(line))
+      .filter((line) => line.requestId === requestId);
+    if (lines.some((line) => line.event === "request")) return lines;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  assert.fail(`no access line for ${requestId}`);
+}
+
+test("a usable request id is echoed, anything else is replaced by a new one", async () => {
+  const echoed = await server.request("GET", "/openapi.json", { headers: { "X-Request-Id": "req-123" } });
+  assert.equal(echoed.headers.get("x-request-id"), "req-123");
+
+  const replaced = await server.request("GET", "/openapi.json", { headers: { "X-Request-Id": "no spaces allowed" } });
+  assert.match(replaced.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+});
+
+test("every line of a request carries its request id, trace and severity", async () => {
+  const res = await server.request("POST", "/v2/pending-contacts/upsert", {
+    token: "write",
+    headers: { "X-Request-Id": "req-upsert", "X-Cloud-Trace-Context": `${TRACE_ID}/42;o=1` },
+    json: pendingContact({ phone: "+14155550161" })
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+
+  const lines = await requestLines("req-upsert");
+  assert.ok(lines.some((line) => line.event === "upsert_ok"));
+  for (const line of lines) {
+    assert.equal(line["logging.googleapis.com/trace"], `projects/demo-project/traces/${TRACE_ID}`);
+    assert.equal(line["logging.googleapis.com/spanId"], "42");
+    assert.equal(line["logging.googleapis.com/trace_sampled"], true);
+  }
+
+  const access = lines.find((line) => line.event === "request");
+  assert.equal(access.severity, "INFO");
+  assert.equal(access.route, "/v2/pending-contacts/upsert");
+  assert.equal(access.httpRequest.status, 200);
+  assert.match(access.httpRequest.latency, /^\d+\.\d{3}s$/);
+});
+
+test("a rejected request is logged as a warning and counted as an auth failure", async () => {
+  const res = await server.request("POST", "/v2/pending-contacts/upsert", {
+    token: "wrong",
+    headers: { "X-Request-Id": "req-denied" },
+    json: pendingContact({ phone: "+14155550162" })
+  });
+  assert.equal(res.status, 401);
+
+  const lines = await requestLines("req-denied");
+  assert.equal(lines.find((line) => line.event === "auth_fail").severity, "WARNING");
+  assert.equal(lines.find((line) => line.event === "request").severity, "WARNING");
+});
+
+test("/metrics needs the scrape token and reports requests, store latency and auth failures", async () => {
+  const denied = await server.request("GET", "/metrics", { token: "wrong" });
+  assert.equal(denied.status, 401);
+  assert.deepEqual(denied.body, { error: "unauthorized" });
+
+  const res = await server.request("GET", "/metrics", { token: "scrape" });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+  assert.match(res.body, /http_requests_total\{method="POST",route="\/v2\/pending-contacts\/upsert",status="200"\} 1/);
+  assert.match(res.body, /http_requests_total\{method="POST",route="\/v2\/pending-contacts\/upsert",status="401"\} 1/);
+  assert.match(res.body, /http_request_duration_seconds_count\{method="POST",route="\/v2\/pending-contacts\/upsert"\} 2/);
+  assert.match(res.body, /store_operation_duration_seconds_count\{backend="file",operation="[a-zA-Z]+",outcome="ok"\} [1-9]/);
+  assert.match(res.body, /auth_failures_total\{endpoint="\/metrics",method="metrics_token",reason="invalid_token"\} 1/);
+  assert.match(res.body, /auth_failures_total\{endpoint="[^"]*upsert",method="[^"]+",reason="[^"]+"\} 1/);
+});
@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { twilioSignature } from "../twilio/index.js";
+import { pendingContact } from "./helpers/fixtures.js";
+import { startServer } from "./helpers/server.js";
+
+const AUTH_TOKEN = "twilio-test-token";
+const BASE_URL = "https://sms.example.test";
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    env: {
+      ADMIN_TOKEN: "admin",
+      INTAKE_WRITE_TOKEN: "write",
+      TWILIO_AUTH_TOKEN: AUTH_TOKEN,
+      TWILIO_WEBHOOK_BASE_URL: BASE_URL
+    }
+  });
+});
+
+after(() => server?.stop());
+
+const upsert = (phone, fields = {}) =>
+  server.request("POST", "/v2/pending-contacts/upsert", { token: "write", json: pendingContact({ phone, ...fields }) });
+
+const review = (phone, action, json = {}) =>
+  server.request("POST", `/admin/pending-contacts/${encodeURIComponent(phone)}/${action}`, {
+    token: "admin",
+    headers: { "X-Admin-User": "ops" },
+    json
+  });
+
+const text = (from, body) => {
+  const form = { MessageSid: `SM${from.slice(-4)}`, From: from, To: "+18005550100", Body: body };
+  return server.request("POST", "/twilio/sms", {
+    form,
+    headers: { "X-Twilio-Signature": twilioSignature(AUTH_TOKEN, `${BASE_URL}/twilio/sms`, form) }
+  });
+};
+
+test("approving a pending lead creates the contact and its audit entry", async () => {
+  const phone = "+14155550131";
+  assert.equal((await upsert(phone, { name: "Ann Approve" })).status, 200);
+
+  const approved = await review(phone, "approve", { notes: "Met at expo", tags: ["expo"] });
+  assert.equal(approved.status, 200, JSON.stringify(approved.body));
+  assert.equal(approved.body.contactCreated, true);
+  assert.equal(server.stored("pending_contacts", phone).status, "approved");
+  assert.equal(server.stored("contacts", phone).name, "Ann Approve");
+
+  const audit = await server.request("GET", `/admin/contacts/${encodeURIComponent(phone)}/audit`, { token: "admin" });
+  assert.equal(audit.status, 200);
+  assert.deepEqual(audit.body.entries.map((entry) => [entry.action, entry.actor]), [["approve_create", "ops"]]);
+
+  const again = await review(phone, "approve");
+  assert.equal(again.status, 409);
+  assert.equal(again.body.error, "already_reviewed");
+  assert.equal(again.body.current, "approved");
+});
+
+test("a reviewed lead keeps its status when it submits again", async () => {
+  const phone = "+14155550132";
+  assert.equal((await upsert(phone)).status, 200);
+  assert.equal((await review(phone, "reject", { reason: "Spam" })).status, 200);
+
+  assert.equal((await upsert(phone, { painPoints: "Scheduling" })).status, 200);
+  const doc = server.stored("pending_contacts", phone);
+  assert.equal(doc.status, "rejected");
+  assert.equal(doc.rejectionReason, "Spam");
+  assert.equal(doc.isRepeat, true);
+  assert.equal(doc.painPoints, "Scheduling");
+});
+
+test("a lead started by a text can be rejected, and rejecting needs a reason", async () => {
+  const phone = "+14155550133";
+  assert.equal((await text(phone, "Hi, call me back")).status, 200);
+  assert.equal(server.stored("pending_contacts", phone).status, "incomplete");
+
+  const missing = await review(phone, "reject", { reason: "  " });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.details[0].path, "reason");
+
+  const rejected = await review(phone, "reject", { reason: "Wrong number" });
+  assert.equal(rejected.status, 200, JSON.stringify(rejected.body));
+  assert.equal(server.stored("pending_contacts", phone).status, "rejected");
+});
+
+test("a lead started by a text can be approved", async () => {
+  const phone = "+14155550134";
+  assert.equal((await text(phone, "Interested")).status, 200);
+
+  const approved = await review(phone, "approve");
+  assert.equal(approved.status, 200, JSON.stringify(approved.body));
+  assert.equal(server.stored("contacts", phone).phone_e164, phone);
+});
@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { parsePhone } from "../phone/index.js";
+import { pendingContact } from "./helpers/fixtures.js";
+import { startServer } from "./helpers/server.js";
+
+test("numbers in supported regions follow the region's rules", () => {
+  assert.equal(parsePhone("+44 (0)20 7946 0018").e164, "+442079460018");
+  assert.equal(parsePhone("(415) 555-1212").e164, "+14155551212");
+  assert.equal(parsePhone("+1 415 555").valid, false);
+});
+
+test("other country codes fall back to the generic E.164 rule", () => {
+  const brazil = parsePhone("+55 11 91234-5678");
+  assert.equal(brazil.valid, true);
+  assert.equal(brazil.e164, "+5511912345678");
+  assert.equal(brazil.type, "unknown");
+  assert.equal(brazil.region, null);
+
+  assert.equal(parsePhone("+999 12").valid, false);
+  assert.equal(parsePhone("+99 1234 5678 9012 345").valid, false);
+});
+
+let server;
+
+before(async () => {
+  server = await startServer({ env: { INTAKE_WRITE_TOKEN: "write" } });
+});
+
+after(() => server?.stop());
+
+test("an upsert with an unlisted country code is stored under its E.164 number", async () => {
+  const res = await server.request("POST", "/v2/pending-contacts/upsert", {
+    token: "write",
+    json: pendingContact({ phone: "+55 11 91234-5678" })
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+
+  const doc = server.stored("pending_contacts", "+5511912345678");
+  assert.ok(doc);
+  assert.equal(doc.phoneType, "unknown");
+});
@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { startServer } from "./helpers/server.js";
+
+const REGISTERED = "+14155550220";
+const NEW_CALLER = "+14155550221";
+
+let server;
+
+before(async () => {
+  server = await startServer({ env: { ADMIN_TOKEN: "admin", POST_CALL_TOKEN: "post-call" } });
+  const created = await server.request("POST", "/admin/contacts", {
+    token: "admin",
+    headers: { "X-Admin-User": "ops" },
+    json: { phone: REGISTERED, name: "Jane Roe" }
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+});
+
+after(() => server?.stop());
+
+const postCall = (conversationId, caller, { type = "post_call_transcription", summary = "Asked about a permit." } = {}) =>
+  server.request("POST", "/elevenlabs/post-call", {
+    token: "post-call",
+    json: {
+      type,
+      data: {
+        conversation_id: conversationId,
+        agent_id: "agent_1",
+        metadata: { start_time_unix_secs: 1_790_000_000, call_duration_secs: 95, phone_call: { external_number: caller, call_sid: "CA1" } },
+        analysis: { transcript_summary: summary, call_successful: "success" },
+        transcript: [{ role: "agent", message: "Hello!", time_in_call_secs: 0 }]
+      }
+    }
+  });
+
+test("a call is stored under the registered contact once, however often it is delivered", async () => {
+  const first = await postCall("conv_1", REGISTERED);
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  assert.deepEqual(first.body, { ok: true, id: "conv_1", phone_e164: REGISTERED, collection: "contacts", duplicate: false });
+
+  const retry = await postCall("conv_1", REGISTERED);
+  assert.equal(retry.body.duplicate, true);
+
+  const call = server.stored(`contacts/${REGISTERED}/calls`, "conv_1");
+  assert.equal(call.summary, "Asked about a permit.");
+  assert.equal(call.durationSecs, 95);
+  assert.equal(call.transcript[0].message, "Hello!");
+
+  const contact = server.stored("contacts", REGISTERED);
+  assert.equal(contact.callCount, 1);
+  assert.equal(contact.lastChannel, "voice");
+  assert.deepEqual(contact.recentCalls.map((c) => c.conversationId), ["conv_1"]);
+});
+
+test("a first-time caller gets an incomplete pending contact", async () => {
+  assert.equal((await postCall("conv_2", NEW_CALLER)).body.collection, "pending_contacts");
+  assert.equal((await postCall("conv_3", NEW_CALLER, { summary: "Called back." })).status, 200);
+
+  const pending = server.stored("pending_contacts", NEW_CALLER);
+  assert.equal(pending.status, "incomplete");
+  assert.equal(pending.submittedBy, "post-call");
+  assert.equal(pending.callCount, 2);
+  assert.deepEqual(pending.recentCalls.map((c) => c.summary), ["Called back.", "Asked about a permit."]);
+});
+
+test("other event types are acknowledged, and a call needs its ids", async () => {
+  const audio = await postCall("conv_4", REGISTERED, { type: "post_call_audio" });
+  assert.deepEqual(audio.body, { ok: true, ignored: true, type: "post_call_audio" });
+  assert.equal(server.stored(`contacts/${REGISTERED}/calls`, "conv_4"), null);
+
+  assert.equal((await postCall("", REGISTERED)).body.error, "missing_conversation_id");
+  assert.equal((await postCall("conv_5", "not a phone")).body.error, "missing_caller_id");
+  assert.equal((await server.request("POST", "/elevenlabs/post-call", { token: "admin", json: {} })).status, 401);
+});
@@ -0,0 +1,71 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { createMemoryLimitStore, createRateLimiter, createSharedLimitStore, parseLimit } from "../ratelimit/index.js";
+import { createCounterRepository, createStore } from "../storage/index.js";
+import { pendingContact } from "./helpers/fixtures.js";
+import { startServer } from "./helpers/server.js";
+
+test("limits parse as <count>/<window> or off", () => {
+  assert.deepEqual(parseLimit("60/1m"), { max: 60, windowMs: 60_000 });
+  assert.deepEqual(parseLimit("5 / h"), { max: 5, windowMs: 3_600_000 });
+  assert.deepEqual(parseLimit("10/2d"), { max: 10, windowMs: 172_800_000 });
+  assert.equal(parseLimit("off"), null);
+  assert.throws(() => parseLimit("0/1m", "RATE_LIMIT_X"), /RATE_LIMIT_X: expected/);
+  assert.throws(() => parseLimit("ten per minute", "RATE_LIMIT_X"), /RATE_LIMIT_X: expected/);
+});
+
+for (const [name, limitStore] of [
+  ["in memory", () => createMemoryLimitStore()],
+  ["in the shared store", () => createSharedLimitStore(createCounterRepository(createStore({ backend: "memory" })))]
+]) {
+  test(`counters ${name} refuse past the limit until the window ends`, async () => {
+    const limiter = createRateLimiter(limitStore(), { upsert: { phone: parseLimit("2/1m"), ip: null } });
+    const start = 1_800_000_000_000; // on a minute boundary
+    assert.equal((await limiter.hit("upsert", "phone", "+14155550190", start)).ok, true);
+    assert.equal((await limiter.hit("upsert", "phone", "+14155550190", start + 1000)).ok, true);
+    assert.deepEqual(await limiter.hit("upsert", "phone", "+14155550190", start + 30_000), { ok: false, max: 2, retryAfter: 30 });
+
+    // Other ids, switched-off dimensions and unknown policies are not counted
+    assert.equal((await limiter.hit("upsert", "phone", "+14155550191", start + 30_000)).ok, true);
+    assert.equal((await limiter.hit("upsert", "ip", "10.0.0.1", start)).ok, true);
+    assert.equal((await limiter.hit("lookup", "key", "k", start)).ok, true);
+
+    assert.equal((await limiter.hit("upsert", "phone", "+14155550190", start + 60_000)).ok, true);
+  });
+}
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    env: { INTAKE_WRITE_TOKEN: "write", READ_SECRET: "read", RATE_LIMIT_UPSERT_PHONE: "1/1h", RATE_LIMIT_LOOKUP_KEY: "2/1m" }
+  });
+});
+
+after(() => server?.stop());
+
+test("a second upsert for the same phone within the window is refused", async () => {
+  const upsert = (phone) =>
+    server.request("POST", "/v2/pending-contacts/upsert", { token: "write", json: pendingContact({ phone }) });
+  assert.equal((await upsert("+14155550192")).status, 200);
+
+  const refused = await upsert("+14155550192");
+  assert.equal(refused.status, 429);
+  assert.deepEqual(refused.body, { ok: false, error: "rate_limited", limit: "phone", retryAfter: Number(refused.headers.get("retry-after")) });
+  assert.ok(refused.body.retryAfter > 3500);
+
+  assert.equal((await upsert("+14155550193")).status, 200);
+});
+
+test("lookups are limited per key and counted in rate_limited_total", async () => {
+  const lookup = () => server.request("POST", "/contacts/lookup", { token: "read", json: { phone: "+14155550194" } });
+  assert.equal((await lookup()).status, 200);
+  assert.equal((await lookup()).status, 200);
+  const refused = await lookup();
+  assert.equal(refused.status, 429);
+  assert.equal(refused.body.limit, "key");
+
+  const metrics = await server.request("GET", "/metrics");
+  assert.match(metrics.body, /rate_limited_total\{endpoint="\/contacts\/lookup",policy="lookup",limit="key"\} 1/);
+  assert.match(metrics.body, /rate_limited_total\{endpoint="\/v2\/pending-contacts\/upsert",policy="upsert",limit="phone"\} 1/);
+});
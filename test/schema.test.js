@@ -0,0 +1,70 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { buildOpenApi, buildToolsManifest, syncSpecFiles } from "../schema/publish.js";
+import { PENDING_CONTACT_SCHEMA } from "../schema/pending-contact.js";
+import { validateSchema } from "../schema/validate.js";
+import { pendingContact } from "./helpers/fixtures.js";
+import { startServer } from "./helpers/server.js";
+
+const { title: _title, ...PUBLISHED } = PENDING_CONTACT_SCHEMA;
+
+test("the validator reports one error per broken rule, with its path", () => {
+  const schema = {
+    type: "object",
+    required: ["name", "size"],
+    additionalProperties: false,
+    properties: {
+      name: { type: "string", minLength: 2 },
+      size: { type: "integer", minimum: 0 },
+      kind: { type: "string", enum: ["a", "b"] },
+      email: { type: "string", format: "email" },
+      tags: { type: "array", items: { type: "string", pattern: "^[a-z]+$" } }
+    }
+  };
+  assert.deepEqual(validateSchema(schema, { name: "Al", size: 0 }), []);
+  assert.deepEqual(
+    validateSchema(schema, { name: "A", kind: "c", email: "nope", tags: ["ok", "Not Ok", 3], extra: 1 }).map((e) => [e.path, e.rule]),
+    [
+      ["size", "required"],
+      ["name", "minLength"],
+      ["kind", "enum"],
+      ["email", "format"],
+      ["tags[1]", "pattern"],
+      ["tags[2]", "type"],
+      ["extra", "additionalProperties"]
+    ]
+  );
+  assert.equal(validateSchema(schema, { name: "Al", size: -1 })[0].message, "size must be a non-negative integer");
+});
+
+test("openapi.yaml and tools.yaml carry the pending contact schema as written", () => {
+  assert.deepEqual(syncSpecFiles({ check: true }), []);
+  assert.deepEqual(buildOpenApi().components.schemas.PendingContactRequest, PUBLISHED);
+  const upsert = buildToolsManifest().tools.find((tool) => tool.name === "pending_contacts_upsert");
+  assert.deepEqual(upsert.io.input, PUBLISHED);
+});
+
+let server;
+
+before(async () => {
+  server = await startServer({ env: { INTAKE_WRITE_TOKEN: "write" } });
+});
+
+after(() => server?.stop());
+
+test("the served contracts and the upsert validation come from the same schema", async () => {
+  const openapi = await server.request("GET", "/openapi.json");
+  assert.deepEqual(openapi.body.components.schemas.PendingContactRequest, PUBLISHED);
+  const tools = await server.request("GET", "/tools.json");
+  assert.deepEqual(tools.body.tools.find((tool) => tool.name === "pending_contacts_upsert").io.input, PUBLISHED);
+
+  const { email: _email, ...missing } = pendingContact({ phone: "+14155550250", callCount: -1, contactMethod: "fax" });
+  const res = await server.request("POST", "/v2/pending-contacts/upsert", { token: "write", json: missing });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, "validation_failed");
+  assert.deepEqual(res.body.details.map((d) => [d.path, d.rule]).sort(), [
+    ["callCount", "minimum"],
+    ["contactMethod", "enum"],
+    ["email", "required"]
+  ]);
+});
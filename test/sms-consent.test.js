@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { twilioSignature } from "../twilio/index.js";
+import { startServer } from "./helpers/server.js";
+
+const AUTH_TOKEN = "twilio-test-token";
+const BASE_URL = "https://sms.example.test";
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    env: {
+      ADMIN_TOKEN: "admin",
+      INTAKE_WRITE_TOKEN: "write",
+      TWILIO_AUTH_TOKEN: AUTH_TOKEN,
+      TWILIO_WEBHOOK_BASE_URL: BASE_URL,
+      SMS_WORDING_VERSION: "2026-09"
+    }
+  });
+});
+
+after(() => server?.stop());
+
+const text = (from, body, sid) => {
+  const form = { MessageSid: sid, From: from, To: "+18005550100", Body: body };
+  return server.request("POST", "/twilio/sms", {
+    form,
+    headers: { "X-Twilio-Signature": twilioSignature(AUTH_TOKEN, `${BASE_URL}/twilio/sms`, form) }
+  });
+};
+
+const consentOf = async (phone) => {
+  const res = await server.request("GET", `/admin/consent/${encodeURIComponent(phone)}`, { token: "admin" });
+  assert.equal(res.status, 200);
+  return res.body;
+};
+
+test("YES is not an opt-in keyword", async () => {
+  const res = await server.request("POST", "/consent/sms", { token: "write", json: { phone: "+14155550150", message: "Yes" } });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, "no_keyword");
+
+  // A texted YES is an ordinary message
+  assert.equal((await text("+14155550151", "YES", "SMyes1")).status, 200);
+  assert.ok(server.stored("pending_contacts/+14155550151/messages", "SMyes1"));
+  assert.equal((await consentOf("+14155550151")).consent.status, "unknown");
+});
+
+test("a texted START records the wording version and the message", async () => {
+  assert.equal((await text("+14155550152", "start!", "SMstart1")).status, 200);
+
+  const { consent, events } = await consentOf("+14155550152");
+  assert.equal(consent.status, "opted_in");
+  assert.equal(consent.wordingVersion, "2026-09");
+  assert.equal(events.length, 1);
+  assert.equal(events[0].keyword, "START");
+  assert.equal(events[0].message, "start!");
+  assert.equal(events[0].wordingVersion, "2026-09");
+});
+
+test("a keyword sent to /consent/sms keeps an explicit wording version", async () => {
+  const res = await server.request("POST", "/consent/sms", {
+    token: "write",
+    json: { phone: "+14155550153", message: "UNSTOP", wording_version: "2026-10" }
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+
+  const { events } = await consentOf("+14155550153");
+  assert.equal(events[0].wordingVersion, "2026-10");
+  assert.equal(events[0].message, "UNSTOP");
+});
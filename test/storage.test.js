@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { createStore, DOCUMENT_ID, increment, serverTimestamp } from "../storage/index.js";
+
+test("documents are written, merged and deleted like Firestore's", async () => {
+  const store = createStore({ backend: "memory" });
+  await store.set("contacts", "a", { name: "Ann", tags: ["x"] });
+  await store.set("contacts", "a", { business: "ABC" }, { merge: true });
+  await store.update("contacts", "a", { visits: increment(2), updatedAt: serverTimestamp() });
+  await store.update("contacts", "a", { visits: increment(1) });
+
+  const doc = await store.get("contacts", "a");
+  const { updatedAt, ...fields } = doc;
+  assert.deepEqual(fields, { name: "Ann", tags: ["x"], business: "ABC", visits: 3 });
+  assert.ok(Math.abs(updatedAt.toMillis() - Date.now()) < 5000);
+
+  // Reads are copies
+  doc.tags.push("y");
+  assert.deepEqual((await store.get("contacts", "a")).tags, ["x"]);
+
+  await assert.rejects(store.create("contacts", "a", {}), /already exists/);
+  await assert.rejects(store.update("contacts", "b", {}), /No document to update/);
+  await store.delete("contacts", "a");
+  assert.equal(await store.get("contacts", "a"), null);
+});
+
+test("queries filter, order, page and limit", async () => {
+  const store = createStore({ backend: "memory" });
+  for (const [id, score, status] of [["c", 3, "new"], ["a", 1, "new"], ["d", 4, "old"], ["b", 2, "new"], ["e", undefined, "new"]]) {
+    await store.set("rows", id, { status, ...(score !== undefined && { score }) });
+  }
+  const ids = (rows) => rows.map((row) => row.id);
+
+  assert.deepEqual(ids(await store.query("rows", { where: [["status", "==", "new"]], orderBy: { field: "score" } })), ["a", "b", "c"]);
+  assert.deepEqual(ids(await store.query("rows", { orderBy: { field: "score", direction: "desc" }, limit: 2 })), ["d", "c"]);
+  assert.deepEqual(ids(await store.query("rows", { orderBy: { field: DOCUMENT_ID }, startAfter: "b", limit: 2 })), ["c", "d"]);
+  assert.deepEqual(ids(await store.query("rows", { where: [["score", "in", [1, 4]]] })).sort(), ["a", "d"]);
+  await assert.rejects(store.query("rows", { where: [["score", "~", 1]] }), /Unsupported query operator/);
+});
+
+test("a transaction that fails leaves none of its writes", async () => {
+  const store = createStore({ backend: "memory" });
+  await store.set("contacts", "taken", { name: "First" });
+
+  await assert.rejects(
+    store.runTransaction(async (tx) => {
+      tx.set("contacts", "new", { name: "Second" });
+      tx.update("contacts", "taken", { name: "Changed" });
+      tx.create("contacts", "taken", { name: "Duplicate" });
+    }),
+    /already exists/
+  );
+  assert.equal(await store.get("contacts", "new"), null);
+  assert.equal((await store.get("contacts", "taken")).name, "First");
+
+  // Transactions run one at a time, so read-modify-write counts every call
+  await Promise.all(
+    Array.from({ length: 5 }, () =>
+      store.runTransaction(async (tx) => {
+        const count = ((await tx.get("counters", "c"))?.count ?? 0) + 1;
+        tx.set("counters", "c", { count });
+      })
+    )
+  );
+  assert.equal((await store.get("counters", "c")).count, 5);
+});
+
+test("the file backend keeps documents and timestamps across restarts", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "store-test-"));
+  const file = path.join(dir, "nested", "store.json");
+  try {
+    const first = createStore({ backend: "file", file });
+    assert.equal(first.backend, "file");
+    await first.set("contacts/+14155550230/calls", "conv_1", { at: new Date(1_790_000_000_000), summary: "Hi" });
+
+    const reopened = createStore({ backend: "file", file });
+    const call = await reopened.get("contacts/+14155550230/calls", "conv_1");
+    assert.equal(call.summary, "Hi");
+    assert.equal(call.at.toMillis(), 1_790_000_000_000);
+    assert.equal(call.at.toDate().toISOString(), "2026-09-21T14:13:20.000Z");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("an unknown backend is refused", () => {
+  assert.throws(() => createStore({ backend: "redis" }), /Unknown STORAGE_BACKEND: redis/);
+});
@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import YAML from "yaml";
+import { createStore } from "../storage/index.js";
+import { createTenantRegistry } from "../tenants/index.js";
+import { startServer } from "./helpers/server.js";
+
+const CALLED = "+18005550100";
+
+// The registry for a TENANTS_FILE with these tenants
+function registry(tenants) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tenants-test-"));
+  const file = path.join(dir, "tenants.yaml");
+  fs.writeFileSync(file, YAML.stringify({ tenants }));
+  const previous = process.env.TENANTS_FILE;
+  process.env.TENANTS_FILE = file;
+  try {
+    return createTenantRegistry(createStore({ backend: "memory" }));
+  } finally {
+    if (previous === undefined) delete process.env.TENANTS_FILE;
+    else process.env.TENANTS_FILE = previous;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("a collection nested under another tenant's collection is refused", () => {
+  assert.throws(
+    () =>
+      registry({
+        acme: { collections: { contacts: "contacts", pending: "pending_contacts" } },
+        beta: { collections: { contacts: "contacts/beta/people", pending: "beta_pending" } }
+      }),
+    /collection contacts\/beta\/people of tenant "beta" lies under collection contacts of tenant "acme"/
+  );
+});
+
+test("a namespace nested under another namespace is refused", () => {
+  assert.throws(() => registry({ acme: { namespace: "acme" }, eu: { namespace: "acme/eu" } }), /namespace acme\/eu/);
+  assert.throws(() => registry({ acme: { namespace: "acme" }, copy: { namespace: "acme" } }), /share collection tenants\/acme\/contacts/);
+});
+
+test("sibling namespaces sharing a name prefix are allowed", () => {
+  const tenants = registry({ acme: { namespace: "acme" }, acme2: { namespace: "acme2" } });
+  assert.equal(tenants.locate("tenants/acme2/contacts/+14155551212/audit").tenant.id, "acme2");
+  assert.equal(tenants.locate("tenants/acme/pending_contacts").kind, "pending");
+});
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    env: { ACME_READ: "acme-read", BETA_READ: "beta-read", ACME_POST_CALL: "acme-post-call" },
+    tenants: {
+      acme: { namespace: "acme", calledNumbers: [CALLED], tokens: { read: "env(ACME_READ)", postCall: "env(ACME_POST_CALL)" } },
+      beta: { namespace: "beta", tokens: { read: "env(BETA_READ)" } }
+    }
+  });
+});
+
+after(() => server?.stop());
+
+const init = (calledNumber, token) =>
+  server.request("POST", "/twilio-init", { token, json: { caller_id: "+14155550140", called_number: calledNumber } });
+
+test("an unclaimed called number looks like bad credentials without a valid key", async () => {
+  const unknown = await init("+18005550199", "wrong");
+  const known = await init(CALLED, "wrong");
+  assert.equal(unknown.status, 401);
+  assert.deepEqual(unknown.body, known.body);
+
+  const postCall = await server.request("POST", "/elevenlabs/post-call", {
+    json: { type: "post_call_transcription", data: { metadata: { phone_call: { agent_number: "+18005550199" } } } }
+  });
+  assert.equal(postCall.status, 401);
+});
+
+test("a valid key learns that the called number is unclaimed", async () => {
+  const unknown = await init("+18005550199", "beta-read");
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.error, "unknown_tenant");
+
+  // Still only the owning tenant's key reads its calls
+  assert.equal((await init(CALLED, "beta-read")).status, 401);
+  assert.equal((await init(CALLED, "acme-read")).status, 200);
+});
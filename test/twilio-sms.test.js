@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { twilioSignature } from "../twilio/index.js";
+import { startServer } from "./helpers/server.js";
+
+const AUTH_TOKEN = "twilio-test-token";
+const BASE_URL = "https://sms.example.test";
+const TO = "+18005550100";
+const FROM = "+14155550126";
+
+let server;
+let sid = 0;
+
+before(async () => {
+  server = await startServer({
+    env: {
+      TWILIO_AUTH_TOKEN: AUTH_TOKEN,
+      TWILIO_WEBHOOK_BASE_URL: BASE_URL,
+      ADMIN_TOKEN: "admin",
+      RATE_LIMIT_SMS_PHONE: "2/1h",
+      RATE_LIMIT_UPSERT_PHONE: "1/1h"
+    }
+  });
+});
+
+after(() => server?.stop());
+
+const text = (body) => {
+  const form = { MessageSid: `SM${++sid}`, From: FROM, To: TO, Body: body };
+  return server.request("POST", "/twilio/sms", {
+    form,
+    headers: { "X-Twilio-Signature": twilioSignature(AUTH_TOKEN, `${BASE_URL}/twilio/sms`, form) }
+  });
+};
+
+test("texts over the sms limit get TwiML, and STOP still opts out", async () => {
+  // Two texts fit the sms limit, even though the upsert phone limit is 1
+  for (const body of ["Hi", "Are you there?"]) {
+    const res = await text(body);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /text\/xml/);
+  }
+
+  // Dropped, but answered 200 so Twilio does not log a webhook failure
+  const throttled = await text("Hello?");
+  assert.equal(throttled.status, 200);
+  assert.match(throttled.headers.get("content-type"), /text\/xml/);
+  assert.match(throttled.body, /<Response><\/Response>/);
+  assert.equal(server.stored(`pending_contacts/${FROM}/messages`, `SM${sid}`), null);
+  assert.ok(server.stored(`pending_contacts/${FROM}/messages`, `SM${sid - 1}`));
+
+  const metrics = await server.request("GET", "/metrics");
+  assert.match(metrics.body, /rate_limited_total\{endpoint="\/twilio\/sms",policy="sms",limit="phone"\} 1/);
+
+  const stop = await text("STOP");
+  assert.equal(stop.status, 200);
+  assert.match(stop.headers.get("content-type"), /text\/xml/);
+
+  const consent = await server.request("GET", `/admin/consent/${encodeURIComponent(FROM)}`, { token: "admin" });
+  assert.equal(consent.status, 200);
+  assert.equal(consent.body.consent.status, "opted_out");
+  assert.equal(consent.body.consent.suppressed, true);
+});
@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { pendingContact } from "./helpers/fixtures.js";
+import { startServer } from "./helpers/server.js";
+
+let server;
+
+before(async () => {
+  server = await startServer({ env: { INTAKE_WRITE_TOKEN: "write" } });
+});
+
+after(() => server?.stop());
+
+// v1 (snake_case) body for the same lead
+const v1Lead = (fields = {}) => ({
+  phone_number: "+14155550140",
+  contact_name: "Lee Lead",
+  business_name: "Lead Co",
+  contact_email: "lead@example.test",
+  business_address: "Las Vegas",
+  trade_type: "res",
+  contact_method: "text",
+  is_repeat: false,
+  last_contact_date: "2026-10-01",
+  created_date: "2026-10-01",
+  call_count: 0,
+  license_number: "",
+  business_type: "LLC",
+  language_used: "en",
+  ...fields
+});
+
+test("a v1 upsert is stored in the canonical shape and reports its legacy names", async () => {
+  const res = await server.request("POST", "/v1/pending-contacts/upsert", { token: "write", json: v1Lead() });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.headers.get("deprecation"), "true");
+  assert.equal(res.body.apiVersion, "v1");
+  assert.deepEqual(res.body.deprecated.find((d) => d.field === "contact_name"), { field: "contact_name", replacement: "name" });
+
+  const doc = server.stored("pending_contacts", "+14155550140");
+  assert.equal(doc.name, "Lee Lead");
+  assert.equal(doc.company, "Lead Co");
+  assert.equal(doc.location, "Las Vegas");
+});
+
+test("license_authority is stored with the license number", async () => {
+  const res = await server.request("POST", "/v1/pending-contacts/upsert", {
+    token: "write",
+    json: v1Lead({ phone_number: "+14155550141", license_number: "0012345A", license_authority: "NSCB" })
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+
+  const doc = server.stored("pending_contacts", "+14155550141");
+  assert.equal(doc.licenseNumber, "0012345A");
+  assert.equal(doc.licenseAuthority, "NSCB");
+  assert.equal(doc.enrichment.license.authority, "NSCB");
+});
+
+test("a license number invalid for its authority is rejected", async () => {
+  const res = await server.request("POST", "/v2/pending-contacts/upsert", {
+    token: "write",
+    json: pendingContact({ phone: "+14155550142", licenseNumber: "12", licenseAuthority: "AZROC" })
+  });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, "validation_failed");
+  assert.ok(res.body.details.some((d) => d.path === "licenseNumber"));
+});
@@ -0,0 +1,95 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, test } from "node:test";
+import { createStore, createWebhookRepositories } from "../storage/index.js";
+import { createWebhookDispatcher, signPayload } from "../webhooks/index.js";
+import { pendingContact } from "./helpers/fixtures.js";
+import { startServer } from "./helpers/server.js";
+
+const KEY = Buffer.alloc(32, 7).toString("base64");
+const INDEX_KEY = Buffer.alloc(32, 9).toString("base64");
+const PHONE = "+14155550160";
+
+let server;
+let receiver;
+const received = [];
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(204).end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+
+  server = await startServer({
+    env: {
+      ADMIN_TOKEN: "admin",
+      INTAKE_WRITE_TOKEN: "write",
+      FIELD_ENCRYPTION_KEYS: `k1:${KEY}`,
+      FIELD_ENCRYPTION_INDEX_KEY: INDEX_KEY,
+      WEBHOOK_WORKER: "on"
+    }
+  });
+});
+
+after(async () => {
+  await server?.stop();
+  receiver?.close();
+});
+
+async function until(check) {
+  for (let i = 0; i < 50; i += 1) {
+    const value = await check();
+    if (value) return value;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error("timed out");
+}
+
+test("a delivery stores the contact's fields encrypted and sends them in plain text", async () => {
+  const subscribed = await server.request("POST", "/admin/webhooks", {
+    token: "admin",
+    headers: { "X-Admin-User": "ops" },
+    json: { url: `http://127.0.0.1:${receiver.address().port}/hook`, events: ["pending_contact.created"] }
+  });
+  assert.equal(subscribed.status, 201, JSON.stringify(subscribed.body));
+
+  const upsert = await server.request("POST", "/v2/pending-contacts/upsert", {
+    token: "write",
+    json: pendingContact({ phone: PHONE, email: "lee@lead.test" })
+  });
+  assert.equal(upsert.status, 200, JSON.stringify(upsert.body));
+
+  const [sent] = await until(() => received.length > 0 && received);
+  assert.equal(JSON.parse(sent.body).data.email, "lee@lead.test");
+  const timestamp = Number(/t=(\d+)/.exec(sent.headers["x-webhook-signature"])[1]);
+  assert.equal(sent.headers["x-webhook-signature"], signPayload(subscribed.body.secret, sent.body, timestamp));
+
+  const list = await server.request("GET", "/admin/webhooks/deliveries", { token: "admin" });
+  assert.equal(list.status, 200);
+  const { id } = list.body.items[0];
+  const stored = await until(() => server.stored("webhook_deliveries", id)?.status === "delivered" && server.stored("webhook_deliveries", id));
+  assert.match(stored.payload.data.email, /^enc:v1:k1:/);
+  assert.doesNotMatch(JSON.stringify(stored), /lee@lead\.test/);
+  assert.ok(stored.expiresAt.__timestamp > Date.now());
+
+  const read = await server.request("GET", `/admin/webhooks/deliveries/${id}`, { token: "admin" });
+  assert.equal(read.status, 200);
+  assert.equal(read.body.payload.data.email, "lee@lead.test");
+});
+
+test("deliveries past their retention are deleted by the worker", async () => {
+  const repos = createWebhookRepositories(createStore({ backend: "memory" }));
+  const dispatcher = createWebhookDispatcher({ repos, log: () => {} });
+  const delivery = (expiresAt) => ({ tenant: "default", status: "delivered", payload: {}, expiresAt });
+  await repos.deliveries.create("old", delivery(new Date(Date.now() - 1000)));
+  await repos.deliveries.create("new", delivery(new Date(Date.now() + 60_000)));
+
+  await dispatcher.runDue();
+  assert.equal(await repos.deliveries.get("old"), null);
+  assert.ok(await repos.deliveries.get("new"));
+});
@@ -0,0 +1,44 @@
+// twilio/index.js — Twilio messaging webhooks: request signatures and TwiML replies
+//
+// Twilio signs each webhook with the account's auth token:
+//
+//   X-Twilio-Signature: base64(HMAC-SHA1(authToken, url + key1 + value1 + key2 + value2 ...))
+//
+// where url is the full URL configured in Twilio (scheme, host, path, query)
+// and the POST parameters are sorted by name. The reply is TwiML: an empty
+// <Response/> sends nothing back to the texter.
+
+import crypto from "node:crypto";
+
+// Twilio's own limit for one outbound message body
+export const MAX_MESSAGE_LENGTH = 1600;
+
+/** Expected X-Twilio-Signature for a form-encoded POST to `url`. */
+export function twilioSignature(authToken, url, params = {}) {
+  const data = Object.keys(params)
+    .sort()
+    .map((key) => [params[key]].flat().sort().map((value) => `${key}${value}`).join(""))
+    .join("");
+  return crypto.createHmac("sha1", authToken).update(url + data, "utf8").digest("base64");
+}
+
+// Returns { ok: true } or { ok: false, reason } with a loggable reason
+export function verifyTwilioSignature(authToken, url, params, signature) {
+  if (!authToken) return { ok: false, reason: "signature_secret_not_configured" };
+  if (!signature) return { ok: false, reason: "missing_signature" };
+  const expected = Buffer.from(twilioSignature(authToken, url, params));
+  const presented = Buffer.from(String(signature));
+  if (expected.length !== presented.length || !crypto.timingSafeEqual(expected, presented)) {
+    return { ok: false, reason: "signature_mismatch" };
+  }
+  return { ok: true };
+}
+
+const escapeXml = (text) =>
+  String(text).replace(/[<>&'"]/g, (ch) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" })[ch]);
+
+/** TwiML reply: one <Message> when `message` is non-empty, else an empty response. */
+export function twiml(message = "") {
+  const body = message ? `<Message>${escapeXml(String(message).slice(0, MAX_MESSAGE_LENGTH))}</Message>` : "";
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<Response>${body}</Response>\n`;
+}
@@ -0,0 +1,354 @@
+// webhooks/index.js — outbound event webhooks: subscriptions, signed deliveries, retries
+//
+// Backoffice subscribes a URL to events through /admin/webhooks. Each event
+// becomes one delivery document per matching subscription, and the deliveries
+// collection is the queue: a worker in every instance picks up due
+// deliveries, claims each with a short lease (two instances never send the
+// same one at once), POSTs it and records the attempt. Failures are retried
+// with exponential backoff, up to WEBHOOK_MAX_ATTEMPTS, then marked failed.
+// Any delivery can be queued again by hand (redeliver). Deliveries hold a copy
+// of contact fields, so the worker deletes them WEBHOOK_RETENTION_DAYS after
+// they were queued (expiresAt; a Firestore TTL policy on it does the same).
+//
+//   webhook_subscriptions/{id}: { tenant, url, events, secret, active, description, ... }
+//   webhook_deliveries/{id}:    { tenant, subscriptionId, event, eventId, payload, status,
+//                                 attempts, nextAttemptAt, log: [{ at, status, error, ... }] }
+//
+// Request to the subscriber:
+//
+//   POST <url>
+//   Content-Type: application/json
+//   X-Webhook-Event: pending_contact.created
+//   X-Webhook-Delivery: <delivery id>
+//   X-Webhook-Signature: t=<unix secs>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the subscription secret>
+//
+//   { "id": "evt_...", "type": "pending_contact.created", "createdAt": "...", "tenant": "acme", "data": { ... } }
+//
+// Any 2xx is a success. A delivery can arrive more than once (a retry after a
+// timeout, a redelivery), so receivers should ignore event ids they have seen.
+
+import crypto from "node:crypto";
+import { serverTimestamp } from "../storage/index.js";
+
+export const EVENTS = ["pending_contact.created", "pending_contact.repeat", "contact.looked_up_unregistered"];
+export const DELIVERY_STATUSES = ["pending", "delivered", "failed", "cancelled"];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 10;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10_000;
+const POLL_MS = (parseInt(process.env.WEBHOOK_POLL_SECS, 10) || 10) * 1000;
+const RETENTION_MS = (parseInt(process.env.WEBHOOK_RETENTION_DAYS, 10) || 30) * 86_400_000;
+// 30s, 1m, 2m, 4m, ... capped at 1h between attempts
+const BACKOFF_BASE_MS = 30_000;
+const BACKOFF_MAX_MS = 3_600_000;
+// Long enough for one attempt to finish before another instance may retry it
+const LEASE_MS = TIMEOUT_MS + 30_000;
+const BATCH = 20;
+const LOG_KEPT = 20;
+const CACHE_MS = 30_000;
+
+const SUBSCRIPTION_ID = /^wh_[0-9a-f]{16}$/;
+
+const toMs = (value) => (value && typeof value.toDate === "function" ? value.toDate().getTime() : new Date(value).getTime());
+
+export function backoffMs(attempt) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** (attempt - 1), BACKOFF_MAX_MS);
+}
+
+/** X-Webhook-Signature value for `body` (the exact bytes sent). */
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.`).update(body).digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+}
+
+// https only, except to this machine (local receivers while developing)
+function checkUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  const local = ["localhost", "127.0.0.1", "[::1]"].includes(parsed.hostname);
+  return parsed.protocol === "https:" || (parsed.protocol === "http:" && local);
+}
+
+function checkSubscription({ url, events, description }) {
+  if (url !== undefined && (typeof url !== "string" || url.length > 2000 || !checkUrl(url))) return "invalid_url";
+  if (events !== undefined && (!Array.isArray(events) || events.length === 0 || events.some((e) => !EVENTS.includes(e)))) {
+    return "invalid_events";
+  }
+  if (description !== undefined && (typeof description !== "string" || description.length > 200)) return "invalid_description";
+  return null;
+}
+
+// Public view of a subscription: never the secret
+function describe(id, data) {
+  const { secret: _secret, ...rest } = data;
+  return { id, ...rest };
+}
+
+/**
+ * repos: createWebhookRepositories(store)
+ * log: logEvent(level, event, details) from server.js
+ */
+export function createWebhookDispatcher({ repos, log }) {
+  const cache = new Map(); // tenant → { subscriptions, expires }
+  let timer = null;
+  let running = null;
+  let again = false;
+
+  async function activeSubscriptions(tenantId) {
+    const hit = cache.get(tenantId);
+    if (hit && hit.expires > Date.now()) return hit.subscriptions;
+    const subscriptions = (await repos.subscriptions.listByTenant(tenantId))
+      .filter((doc) => doc.data.active !== false);
+    cache.set(tenantId, { subscriptions, expires: Date.now() + CACHE_MS });
+    return subscriptions;
+  }
+
+  // One attempt at one claimed delivery; records the outcome on the delivery
+  async function attempt(id, delivery) {
+    const subscription = await repos.subscriptions.get(delivery.subscriptionId);
+    const now = Date.now();
+    if (!subscription || subscription.active === false || subscription.tenant !== delivery.tenant) {
+      await repos.deliveries.update(id, { status: "cancelled", lastError: "subscription_inactive", updatedAt: serverTimestamp() });
+      log("warn", "webhook_cancelled", { deliveryId: id, subscriptionId: delivery.subscriptionId, tenant: delivery.tenant });
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    let status = null;
+    let error = null;
+    try {
+      const response = await fetch(subscription.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "tool-center-webhooks/1.0",
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Delivery": id,
+          "X-Webhook-Signature": signPayload(subscription.secret, body)
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+      status = response.status;
+      await response.body?.cancel();
+      if (status < 200 || status >= 300) error = `http_${status}`;
+    } catch (err) {
+      error = err.name === "TimeoutError" ? "timeout" : err.cause?.code ?? err.message;
+    }
+
+    const attempts = (delivery.attempts ?? 0) + 1;
+    const delivered = error === null;
+    const exhausted = !delivered && attempts >= MAX_ATTEMPTS;
+    const entry = { at: new Date(now).toISOString(), status, error, durationMs: Date.now() - now, url: subscription.url };
+    await repos.deliveries.update(id, {
+      status: delivered ? "delivered" : exhausted ? "failed" : "pending",
+      attempts,
+      lastAttemptAt: serverTimestamp(),
+      lastStatus: status,
+      lastError: error,
+      log: [...(delivery.log ?? []), entry].slice(-LOG_KEPT),
+      ...(delivered && { deliveredAt: serverTimestamp() }),
+      ...(!delivered && !exhausted && { nextAttemptAt: new Date(Date.now() + backoffMs(attempts)) }),
+      updatedAt: serverTimestamp()
+    });
+    log(delivered ? "info" : exhausted ? "error" : "warn", delivered ? "webhook_delivered" : "webhook_attempt_failed", {
+      deliveryId: id,
+      subscriptionId: delivery.subscriptionId,
+      tenant: delivery.tenant,
+      webhookEvent: delivery.event,
+      attempt: attempts,
+      status,
+      error,
+      ...(exhausted && { gaveUp: true })
+    });
+  }
+
+  async function drain() {
+    for (;;) {
+      const now = Date.now();
+      const due = await repos.deliveries.listDue(new Date(now), BATCH);
+      for (const { id } of due) {
+        // Claim: push nextAttemptAt past the lease, unless another instance already did
+        let claimed = null;
+        await repos.deliveries.modify(id, (current) => {
+          if (current?.status !== "pending" || toMs(current.nextAttemptAt) > Date.now()) return null;
+          claimed = current;
+          return { nextAttemptAt: new Date(Date.now() + LEASE_MS) };
+        });
+        if (claimed) await attempt(id, claimed);
+      }
+      if (due.length < BATCH) return;
+    }
+  }
+
+  async function purgeExpired() {
+    for (;;) {
+      const expired = await repos.deliveries.listExpired(new Date(), BATCH);
+      await Promise.all(expired.map(({ id }) => repos.deliveries.delete(id)));
+      if (expired.length > 0) log("info", "webhook_deliveries_expired", { count: expired.length });
+      if (expired.length < BATCH) return;
+    }
+  }
+
+  // Run the queue now; a call while it runs makes it go round once more
+  function runDue() {
+    if (running) {
+      again = true;
+      return running;
+    }
+    running = (async () => {
+      do {
+        again = false;
+        try {
+          await drain();
+          await purgeExpired();
+        } catch (err) {
+          log("error", "webhook_worker_failed", { error: err.message });
+        }
+      } while (again);
+      running = null;
+    })();
+    return running;
+  }
+
+  return {
+    /**
+     * Queue `type` for every active subscription of the tenant to it. Never
+     * throws: a failure is logged and the request that caused the event goes on.
+     */
+    async emit(tenantId, type, data) {
+      try {
+        const subscriptions = (await activeSubscriptions(tenantId)).filter((doc) => doc.data.events.includes(type));
+        if (subscriptions.length === 0) return 0;
+        const payload = {
+          id: `evt_${crypto.randomBytes(12).toString("hex")}`,
+          type,
+          createdAt: new Date().toISOString(),
+          tenant: tenantId,
+          data
+        };
+        await Promise.all(subscriptions.map((doc) =>
+          repos.deliveries.create(repos.deliveries.newId(), {
+            tenant: tenantId,
+            subscriptionId: doc.id,
+            event: type,
+            eventId: payload.id,
+            payload,
+            status: "pending",
+            attempts: 0,
+            log: [],
+            nextAttemptAt: new Date(),
+            createdAt: serverTimestamp(),
+            updatedAt: serverTimestamp(),
+            expiresAt: new Date(Date.now() + RETENTION_MS)
+          })
+        ));
+        if (timer) setImmediate(runDue);
+        return subscriptions.length;
+      } catch (err) {
+        log("error", "webhook_enqueue_failed", { tenant: tenantId, webhookEvent: type, error: err.message });
+        return 0;
+      }
+    },
+
+    async list(tenantId) {
+      return (await repos.subscriptions.listByTenant(tenantId)).map((doc) => describe(doc.id, doc.data));
+    },
+
+    /**
+     * Add a subscription. Returns { ok: true, secret, record } — the only time
+     * the signing secret is shown — or { ok: false, error }.
+     */
+    async subscribe(tenantId, { url, events, description = "" } = {}, actor) {
+      if (url === undefined || events === undefined) return { ok: false, error: url === undefined ? "invalid_url" : "invalid_events" };
+      const error = checkSubscription({ url, events, description });
+      if (error) return { ok: false, error };
+      const id = `wh_${crypto.randomBytes(8).toString("hex")}`;
+      const secret = `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+      const record = {
+        tenant: tenantId,
+        url,
+        events: [...new Set(events)],
+        description,
+        secret,
+        active: true,
+        createdAt: serverTimestamp(),
+        createdBy: actor
+      };
+      await repos.subscriptions.create(id, record);
+      cache.delete(tenantId);
+      return { ok: true, secret, record: describe(id, { ...record, createdAt: new Date().toISOString() }) };
+    },
+
+    // Change url / events / description / active; returns { ok, record } or { ok: false, error }
+    async update(tenantId, id, changes, actor) {
+      const fields = Object.fromEntries(
+        ["url", "events", "description", "active"].filter((f) => changes?.[f] !== undefined).map((f) => [f, changes[f]])
+      );
+      if (Object.keys(fields).length === 0) return { ok: false, error: "no_fields" };
+      if (fields.active !== undefined && typeof fields.active !== "boolean") return { ok: false, error: "invalid_active" };
+      const error = checkSubscription(fields);
+      if (error) return { ok: false, error };
+      const data = SUBSCRIPTION_ID.test(id) ? await repos.subscriptions.get(id) : null;
+      if (!data || data.tenant !== tenantId) return { ok: false, error: "not_found" };
+      const update = { ...fields, updatedAt: serverTimestamp(), updatedBy: actor };
+      await repos.subscriptions.update(id, update);
+      cache.delete(tenantId);
+      return { ok: true, record: describe(id, { ...data, ...update, updatedAt: new Date().toISOString() }) };
+    },
+
+    // Queued deliveries of a removed subscription are cancelled when they come up
+    async remove(tenantId, id) {
+      const data = SUBSCRIPTION_ID.test(id) ? await repos.subscriptions.get(id) : null;
+      if (!data || data.tenant !== tenantId) return { ok: false, error: "not_found" };
+      await repos.subscriptions.delete(id);
+      cache.delete(tenantId);
+      return { ok: true };
+    },
+
+    async listDeliveries(tenantId, filters, limit) {
+      return (await repos.deliveries.listByTenant(tenantId, filters, limit)).map((doc) => ({ id: doc.id, ...doc.data }));
+    },
+
+    async getDelivery(tenantId, id) {
+      const data = await repos.deliveries.get(id);
+      return data && data.tenant === tenantId ? { id, ...data } : null;
+    },
+
+    // Queue a delivery again with a fresh attempt budget; its log is kept
+    async redeliver(tenantId, id, actor) {
+      let error = null;
+      await repos.deliveries.modify(id, (current) => {
+        if (!current || current.tenant !== tenantId) error = "not_found";
+        else if (current.status === "pending") error = "already_queued";
+        if (error) return null;
+        return {
+          status: "pending",
+          attempts: 0,
+          nextAttemptAt: new Date(),
+          redeliveredAt: serverTimestamp(),
+          redeliveredBy: actor,
+          expiresAt: new Date(Date.now() + RETENTION_MS),
+          updatedAt: serverTimestamp()
+        };
+      });
+      if (error) return { ok: false, error };
+      if (timer) setImmediate(runDue);
+      return { ok: true };
+    },
+
+    // Poll for due deliveries every WEBHOOK_POLL_SECS (and right after each emit)
+    start() {
+      if (timer) return;
+      timer = setInterval(runDue, POLL_MS);
+      timer.unref();
+      setImmediate(runDue);
+    },
+
+    runDue
+  };
+}